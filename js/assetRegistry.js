@@ -0,0 +1,144 @@
+// Asset Registry
+// Reference-counts geometries, materials and textures per loaded object and
+// disposes the GPU resources when the last object using them is released.
+// Clones of a cached glTF share their resources, so disposing on scene removal
+// alone would break every other copy.
+
+class AssetRegistry {
+    constructor() {
+        this.resources = {
+            geometries: new Map(), // uuid -> { resource, refs }
+            materials: new Map(),
+            textures: new Map()
+        };
+
+        // Owner object -> Set of resources it holds a reference to
+        this.owners = new Map();
+
+        // Scene-wide textures (the shared environment map) are never disposed here
+        this.sharedTextureSlots = ['envMap'];
+
+        this.disposedCount = { geometries: 0, materials: 0, textures: 0 };
+
+        console.log('📚 AssetRegistry initialized');
+    }
+
+    // Take a reference on every resource under root for owner (root defaults to owner).
+    // Calling it again for the same owner only adds resources it does not hold yet,
+    // so meshes added after loading can be picked up later.
+    retain(owner, root = owner) {
+        let held = this.owners.get(owner);
+        if (!held) {
+            held = new Set();
+            this.owners.set(owner, held);
+        }
+
+        this.collectResources(root).forEach(({ kind, resource }) => {
+            if (held.has(resource)) return;
+            held.add(resource);
+
+            const entry = this.resources[kind].get(resource.uuid);
+            if (entry) {
+                entry.refs++;
+            } else {
+                this.resources[kind].set(resource.uuid, { resource, refs: 1 });
+            }
+        });
+
+        return held.size;
+    }
+
+    // Drop every reference held by owner and dispose resources nobody else uses
+    release(owner) {
+        const held = this.owners.get(owner);
+        if (!held) return 0;
+
+        let disposed = 0;
+        held.forEach(resource => {
+            const kind = this.getKind(resource);
+            const entry = this.resources[kind].get(resource.uuid);
+            if (!entry) return;
+
+            entry.refs--;
+            if (entry.refs <= 0) {
+                resource.dispose();
+                this.resources[kind].delete(resource.uuid);
+                this.disposedCount[kind]++;
+                disposed++;
+            }
+        });
+
+        this.owners.delete(owner);
+        if (disposed > 0) {
+            console.log(`🗑️ Released ${owner.name || 'object'}: ${disposed} GPU resources disposed`);
+        }
+        return disposed;
+    }
+
+    // Find geometries, materials and their textures under an object
+    collectResources(root) {
+        const found = [];
+
+        root.traverse((object) => {
+            if (!object.isMesh && !object.isLine && !object.isPoints && !object.isSprite) return;
+
+            // Every sprite uses the same geometry inside three.js, it is never disposed
+            if (object.geometry && !object.isSprite) {
+                found.push({ kind: 'geometries', resource: object.geometry });
+            }
+
+            const materials = Array.isArray(object.material) ? object.material : [object.material];
+            materials.forEach(material => {
+                if (!material) return;
+                found.push({ kind: 'materials', resource: material });
+
+                Object.keys(material).forEach(key => {
+                    const value = material[key];
+                    if (value && value.isTexture && !this.sharedTextureSlots.includes(key)) {
+                        found.push({ kind: 'textures', resource: value });
+                    }
+                });
+            });
+        });
+
+        return found;
+    }
+
+    getKind(resource) {
+        if (resource.isBufferGeometry || resource.isGeometry) return 'geometries';
+        if (resource.isMaterial) return 'materials';
+        return 'textures';
+    }
+
+    // Current reference count of a geometry, material or texture (0 if untracked)
+    getRefCount(resource) {
+        const entry = this.resources[this.getKind(resource)].get(resource.uuid);
+        return entry ? entry.refs : 0;
+    }
+
+    // Number of live tracked resources, plus how many were disposed so far
+    getCounts() {
+        return {
+            geometries: this.resources.geometries.size,
+            materials: this.resources.materials.size,
+            textures: this.resources.textures.size,
+            owners: this.owners.size,
+            disposed: { ...this.disposedCount }
+        };
+    }
+
+    // Dispose everything that is still tracked
+    disposeAll() {
+        Object.keys(this.resources).forEach(kind => {
+            this.resources[kind].forEach(({ resource }) => resource.dispose());
+            this.disposedCount[kind] += this.resources[kind].size;
+            this.resources[kind].clear();
+        });
+        this.owners.clear();
+
+        console.log('🗑️ AssetRegistry disposed all resources');
+    }
+}
+
+// Make it globally available
+window.AssetRegistry = AssetRegistry;
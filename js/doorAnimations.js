@@ -1,158 +1,95 @@
 // Door animation module
+// Fridge doors are articulated parts driven by the shared HingedPartAnimator.
+// Which node is which door comes from the model's part mapping (see js/partDiscovery.js).
 
-// Global variables
-let upperDoor = null;
-let lowerDoor = null;
-let isUpperDoorOpen = false;
-let isLowerDoorOpen = false;
-const doorAnimationDuration = 1000; // 1 saniye
-let currentUpperAnimation = null;
-let currentLowerAnimation = null;
+// Fridge doors: how each part moves and how it is controlled
+const FRIDGE_DOORS = [
+    {
+        part: 'upperDoor',
+        axis: 'z',
+        limits: { closed: 0, open: Math.PI / 2 }, // 90 derece aç
+        duration: 1000, // 1 saniye
+        easing: 'easeInOutQuad',
+        key: 'o',
+        label: 'Üst Kapıyı Aç/Kapat'
+    },
+    {
+        part: 'lowerDoor',
+        axis: 'y',
+        limits: { closed: 0, open: Math.PI / 2 },
+        duration: 1000,
+        easing: 'easeInOutQuad',
+        key: 'l',
+        label: 'Alt Kapıyı Aç/Kapat'
+    }
+];
 
-// Initialize door animation system
-function initDoorAnimations(scene) {
-    // Find the doors in the scene
-    scene.traverse((object) => {
-        // Find upper door
-        if (object.name === 'FridgeUpperDoor') {
-            console.log('Door animation system: Found upper door:', object);
-            upperDoor = object;
-            
-            // Store original rotation for reference
-            upperDoor.userData.originalRotation = upperDoor.rotation.clone();
-            upperDoor.userData.isDoor = true;
-        }
-        
-        // Find lower door
-        if (object.name === 'FridgeLowerDoor') {
-            console.log('Door animation system: Found lower door:', object);
-            lowerDoor = object;
-            
-            // Store original rotation for reference
-            lowerDoor.userData.originalRotation = lowerDoor.rotation.clone();
-            lowerDoor.userData.isDoor = true;
+let doorAnimator = null;
+
+// Find the doors in the fridge model with its part mapping and register them with the animator.
+// Returns the door nodes that were registered.
+function initDoorAnimations(model, animator, mapping) {
+    doorAnimator = animator;
+
+    const discovery = window.PartDiscovery.discover(model, mapping);
+    window.PartDiscovery.report(discovery, mapping, 'Door animation system');
+
+    const doors = [];
+    FRIDGE_DOORS.forEach(door => {
+        const object = discovery.parts[door.part];
+        if (!object) return; // Reported by the discovery
+
+        object.userData.isDoor = true;
+        doorAnimator.register(door.part, object, door);
+        doors.push(object);
+    });
+
+    Object.keys(discovery.parts).forEach(part => {
+        if (!FRIDGE_DOORS.some(door => door.part === part)) {
+            console.warn(`Door animation system: no motion defined for ${part}, it will not move`);
         }
     });
-    
-    if (!upperDoor) {
-        console.warn('Door animation system: Upper door not found in scene!');
-    }
-    
-    if (!lowerDoor) {
-        console.warn('Door animation system: Lower door not found in scene!');
+
+    if (doors.length > 0) {
+        console.log(`Door animation system initialized with ${doors.length} doors`);
     }
-    
-    if (upperDoor || lowerDoor) {
-        console.log('Door animation system initialized successfully');
+    return doors;
+}
+
+function toggleDoor(part) {
+    if (!doorAnimator || !doorAnimator.getPart(part)) {
+        console.warn(`Door animation system: ${part} not found!`);
+        return;
     }
+    doorAnimator.toggle(part);
 }
 
 // Toggle upper door open/close
 function toggleUpperDoor() {
-    if (!upperDoor) {
-        console.warn('Door animation system: Upper door not found!');
-        return;
-    }
-    
-    // Cancel any ongoing animation
-    if (currentUpperAnimation) {
-        cancelAnimationFrame(currentUpperAnimation);
-        currentUpperAnimation = null;
-    }
-    
-    const startRotation = upperDoor.rotation.z;
-    const targetRotation = isUpperDoorOpen ? 0 : Math.PI / 2; // 90 derece aç
-    const startTime = Date.now();
-    
-    // Animate door
-    function animateDoor() {
-        const elapsedTime = Date.now() - startTime;
-        const progress = Math.min(elapsedTime / doorAnimationDuration, 1);
-        
-        // Ease in-out function for smoother animation
-        const easeProgress = progress < 0.5 
-            ? 2 * progress * progress 
-            : -1 + (4 - 2 * progress) * progress;
-        
-        // Update door rotation
-        upperDoor.rotation.z = startRotation + (targetRotation - startRotation) * easeProgress;
-        
-        if (progress < 1) {
-            currentUpperAnimation = requestAnimationFrame(animateDoor);
-        } else {
-            // Animation completed
-            upperDoor.rotation.z = targetRotation;
-            isUpperDoorOpen = !isUpperDoorOpen;
-            currentUpperAnimation = null;
-        }
-    }
-    
-    // Start animation
-    currentUpperAnimation = requestAnimationFrame(animateDoor);
+    toggleDoor('upperDoor');
 }
 
 // Toggle lower door open/close
 function toggleLowerDoor() {
-    if (!lowerDoor) {
-        console.warn('Door animation system: Lower door not found!');
-        return;
-    }
-    
-    // Cancel any ongoing animation
-    if (currentLowerAnimation) {
-        cancelAnimationFrame(currentLowerAnimation);
-        currentLowerAnimation = null;
-    }
-    
-    const startRotation = lowerDoor.rotation.y;
-    const targetRotation = isLowerDoorOpen ? 0 : Math.PI / 2; // 90 derece aç
-    const startTime = Date.now();
-    
-    // Animate door
-    function animateDoor() {
-        const elapsedTime = Date.now() - startTime;
-        const progress = Math.min(elapsedTime / doorAnimationDuration, 1);
-        
-        // Ease in-out function for smoother animation
-        const easeProgress = progress < 0.5 
-            ? 2 * progress * progress 
-            : -1 + (4 - 2 * progress) * progress;
-        
-        // Update door rotation
-        lowerDoor.rotation.y = startRotation + (targetRotation - startRotation) * easeProgress;
-        
-        if (progress < 1) {
-            currentLowerAnimation = requestAnimationFrame(animateDoor);
-        } else {
-            // Animation completed
-            lowerDoor.rotation.y = targetRotation;
-            isLowerDoorOpen = !isLowerDoorOpen;
-            currentLowerAnimation = null;
-        }
-    }
-    
-    // Start animation
-    currentLowerAnimation = requestAnimationFrame(animateDoor);
+    toggleDoor('lowerDoor');
 }
 
 // Add event listener for user interaction
 function setupDoorControls() {
-    // Keyboard controls
+    // Keyboard controls: 'O' upper door, 'L' lower door
     document.addEventListener('keydown', function(event) {
-        // 'O' key to toggle upper door
-        if (event.key === 'o' || event.key === 'O') {
-            toggleUpperDoor();
-        }
-        
-        // 'L' key to toggle lower door
-        if (event.key === 'l' || event.key === 'L') {
-            toggleLowerDoor();
+        // Ctrl+O, Ctrl+L and the like belong to the browser
+        if (event.ctrlKey || event.metaKey || event.altKey) return;
+        const door = FRIDGE_DOORS.find(entry => entry.key === event.key.toLowerCase());
+        if (door) {
+            toggleDoor(door.part);
         }
     });
-    
+
     // UI buttons for door toggles
-    createDoorButton('Üst Kapıyı Aç/Kapat', toggleUpperDoor, '20px');
-    createDoorButton('Alt Kapıyı Aç/Kapat', toggleLowerDoor, '70px');
+    FRIDGE_DOORS.forEach((door, index) => {
+        createDoorButton(door.label, () => toggleDoor(door.part), `${20 + index * 50}px`);
+    });
 }
 
 // Helper function to create UI buttons
@@ -174,5 +111,6 @@ window.DoorAnimations = {
     init: initDoorAnimations,
     setupControls: setupDoorControls,
     toggleUpperDoor: toggleUpperDoor,
-    toggleLowerDoor: toggleLowerDoor
-};
\ No newline at end of file
+    toggleLowerDoor: toggleLowerDoor,
+    getAnimator: () => doorAnimator
+};
@@ -0,0 +1,236 @@
+// Door Bins
+// Storage compartments on the inside of the fridge doors. A bin is built as a child of
+// its door node, and an item placed in a bin is re-parented to the door, so it swings
+// with the door however the door is moved (keys, buttons, dragging, auto-close). Taking
+// an item out puts it back in the scene with its world transform unchanged.
+//
+// Config (scene manifest "doorBins"), positions and sizes in world units with the doors closed:
+//   [
+//     { "id": "upper_door_bin", "label": "Upper Door Bin", "door": "upperDoor",
+//       "position": { "x": 29.4, "y": 11.6, "z": 4 }, "size": { "x": 1.8, "y": 1.5, "z": 10 } }
+//   ]
+// door is the part name the door is registered with (see doorAnimations.js), position is
+// the center of the bin floor. An item is in a bin when its origin is over the bin floor
+// and below the top of its walls.
+
+class DoorBins {
+    constructor(scene, animator, foodObjectManager, options = {}) {
+        this.scene = scene;
+        this.animator = animator;
+        this.foodObjectManager = foodObjectManager;
+
+        this.tolerance = options.tolerance !== undefined ? options.tolerance : 0.35; // Depth below the floor still counted as inside
+
+        this.bins = new Map(); // id -> { id, label, door, node, group, size }
+        this.dragControls = null;
+
+        this.tempPoint = new THREE.Vector3();
+
+        this.onDragStart = (event) => this.takeOut(event.object);
+        this.onDragEnd = (event) => this.placeIfInside(event.object);
+
+        console.log('🧺 Door bins initialized');
+    }
+
+    /**
+     * Create the bins of a config on the doors registered with the animator
+     * The doors must be closed, bin positions are given for closed doors
+     * @param {Array} config - Bin entries (see the top of this file)
+     * @returns {Array<string>} Ids of the created bins
+     */
+    create(config) {
+        (config || []).forEach(item => {
+            const part = this.animator.getPart(item.door);
+            if (!part) {
+                console.warn(`🧺 Door bin ${item.id}: door part "${item.door}" not found`);
+                return;
+            }
+
+            const group = this.buildBin(item);
+            this.scene.add(group);
+            group.updateWorldMatrix(true, true);
+            part.object.attach(group);
+
+            this.bins.set(item.id, {
+                id: item.id,
+                label: item.label || item.id,
+                door: item.door,
+                node: part.object,
+                group: group,
+                size: { x: item.size.x, y: item.size.y, z: item.size.z }
+            });
+        });
+
+        console.log(`🧺 ${this.bins.size} door bins ready`);
+        return Array.from(this.bins.keys());
+    }
+
+    // Open plastic tray; the origin is the middle of the floor
+    buildBin(item) {
+        const size = item.size;
+        const wall = 0.1;
+        const group = new THREE.Group();
+        group.name = item.id;
+
+        const material = new THREE.MeshStandardMaterial({ color: 0xe8f4f8, transparent: true, opacity: 0.5, roughness: 0.3 });
+        const addPanel = (x, y, z, width, height, depth) => {
+            const panel = new THREE.Mesh(new THREE.BoxGeometry(width, height, depth), material);
+            panel.position.set(x, y, z);
+            panel.castShadow = true;
+            panel.receiveShadow = true;
+            group.add(panel);
+        };
+
+        addPanel(0, -wall / 2, 0, size.x, wall, size.z);                          // Floor
+        addPanel(-(size.x - wall) / 2, size.y / 2, 0, wall, size.y, size.z);      // Back, against the door
+        addPanel((size.x - wall) / 2, size.y * 0.35, 0, wall, size.y * 0.7, size.z); // Low front lip
+        addPanel(0, size.y / 2, -(size.z - wall) / 2, size.x, size.y, wall);      // Ends
+        addPanel(0, size.y / 2, (size.z - wall) / 2, size.x, size.y, wall);
+
+        group.position.set(item.position.x, item.position.y, item.position.z);
+        return group;
+    }
+
+    getBin(id) {
+        return this.bins.get(id) || null;
+    }
+
+    getIds() {
+        return Array.from(this.bins.keys());
+    }
+
+    // Bin nodes, children of the doors
+    getNodes() {
+        return Array.from(this.bins.values()).map(bin => bin.group);
+    }
+
+    /**
+     * Bin the object is in, by its world position, or null
+     * @param {THREE.Object3D} object
+     * @returns {Object|null} Bin state
+     */
+    findBin(object) {
+        object.getWorldPosition(this.tempPoint);
+
+        for (const bin of this.bins.values()) {
+            bin.group.updateWorldMatrix(true, false);
+            const local = bin.group.worldToLocal(this.tempPoint.clone());
+            if (Math.abs(local.x) <= bin.size.x / 2 && Math.abs(local.z) <= bin.size.z / 2 &&
+                local.y >= -this.tolerance && local.y <= bin.size.y) {
+                return bin;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Put an item in a bin: it is attached to the bin's door and swings with it
+     * @param {THREE.Object3D} object - Food object
+     * @param {string} id - Bin id
+     */
+    place(object, id) {
+        const bin = this.bins.get(id);
+        if (!bin) {
+            throw new Error(`Unknown door bin: ${id}`);
+        }
+        if (object.userData.doorBin === id) return;
+
+        // Items snapped into a slot of the bin already hang from the door
+        if (!this.isOnDoor(object, bin.node)) {
+            bin.node.attach(object);
+        }
+        object.userData.doorBin = id;
+        this.foodObjectManager.updateMetadata(object.userData.foodObjectName, { inBin: id });
+        console.log(`🧺 ${object.userData.name || object.name || 'Item'} placed in ${bin.label}`);
+    }
+
+    isOnDoor(object, door) {
+        for (let current = object.parent; current; current = current.parent) {
+            if (current === door) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Put an item in the bin it lies in, if any
+     * @returns {string|null} Id of the bin
+     */
+    placeIfInside(object) {
+        const bin = this.findBin(object);
+        if (bin) {
+            this.place(object, bin.id);
+        }
+        return bin ? bin.id : null;
+    }
+
+    /**
+     * Take an item out of its bin, back into the scene with its world transform
+     * @param {THREE.Object3D} object - Food object
+     */
+    takeOut(object) {
+        const id = object.userData.doorBin;
+        if (!id) return;
+
+        this.scene.attach(object);
+        delete object.userData.doorBin;
+        this.foodObjectManager.updateMetadata(object.userData.foodObjectName, { inBin: null });
+        console.log(`🧺 ${object.userData.name || object.name || 'Item'} taken out of ${this.bins.has(id) ? this.bins.get(id).label : id}`);
+    }
+
+    /**
+     * Place the loaded food items that lie in a bin, e.g. bottles the manifest puts in the door
+     * @returns {number} Number of items placed
+     */
+    collect() {
+        let count = 0;
+        this.foodObjectManager.getAllFoodObjects().forEach(entry => {
+            if (entry.object.parent && !entry.object.userData.doorBin && this.placeIfInside(entry.object)) {
+                count++;
+            }
+        });
+        return count;
+    }
+
+    /**
+     * Items in a bin
+     * @param {string} id - Bin id
+     * @returns {Array} Food object entries of the FoodObjectManager
+     */
+    getContents(id) {
+        return this.foodObjectManager.getAllFoodObjects().filter(entry => entry.object.userData.doorBin === id);
+    }
+
+    // Items picked up with the drag controls leave their bin, items dropped in a bin enter it
+    attachDragControls(dragControls) {
+        this.detachDragControls();
+        this.dragControls = dragControls;
+        dragControls.addEventListener('dragstart', this.onDragStart);
+        dragControls.addEventListener('dragend', this.onDragEnd);
+    }
+
+    detachDragControls() {
+        if (!this.dragControls) return;
+        this.dragControls.removeEventListener('dragstart', this.onDragStart);
+        this.dragControls.removeEventListener('dragend', this.onDragEnd);
+        this.dragControls = null;
+    }
+
+    dispose() {
+        this.detachDragControls();
+
+        this.foodObjectManager.getAllFoodObjects().forEach(entry => this.takeOut(entry.object));
+        this.bins.forEach(bin => {
+            bin.node.remove(bin.group);
+            bin.group.traverse(object => {
+                if (object.isMesh) {
+                    object.geometry.dispose();
+                    object.material.dispose();
+                }
+            });
+        });
+        this.bins.clear();
+    }
+}
+
+// Make it globally available
+window.DoorBins = DoorBins;
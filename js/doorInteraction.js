@@ -0,0 +1,370 @@
+/**
+ * Door Interaction Module
+ * Click a fridge door to open or close it, or grab and drag it to swing it by hand.
+ * A drag moves the door so the grabbed point follows the mouse; on release the door
+ * keeps swinging with inertia and slows down softly before its limits.
+ * Works with and without the FPS pointer lock: while locked the door under the
+ * crosshair (screen center) is picked and mouse movement drives the swing.
+ */
+class DoorInteraction {
+    /**
+     * @param {THREE.Scene} scene - Scene to pick in (anything in front of a door blocks it)
+     * @param {THREE.Camera} camera
+     * @param {THREE.WebGLRenderer} renderer
+     * @param {HingedPartAnimator} animator - Animator the doors are registered with
+     * @param {CameraControls} [cameraControls] - Suspended while a door is held
+     * @param {Object} [options]
+     * @param {number} [options.dragThreshold=5] - Pixels before a press becomes a drag
+     * @param {number} [options.friction=0.05] - Fraction of the swing speed left after one second
+     * @param {number} [options.softZone=0.1] - Open fraction near each limit where the door is slowed down
+     * @param {number} [options.minSpeed=0.00005] - Open fraction per ms below which a swing stops
+     * @param {number} [options.sensitivity=0.004] - Open fraction per pixel when the door faces the camera edge-on
+     */
+    constructor(scene, camera, renderer, animator, cameraControls, options = {}) {
+        this.scene = scene;
+        this.camera = camera;
+        this.renderer = renderer;
+        this.animator = animator;
+        this.cameraControls = cameraControls;
+
+        this.dragThreshold = options.dragThreshold || 5;
+        this.friction = options.friction !== undefined ? options.friction : 0.05;
+        this.softZone = options.softZone !== undefined ? options.softZone : 0.1;
+        this.minSpeed = options.minSpeed || 0.00005;
+        this.sensitivity = options.sensitivity || 0.004;
+
+        // Door nodes (from DoorAnimations.init) that can be clicked
+        this.doors = [];
+
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+        this.pointerMoved = false;
+        this.hovered = null;
+
+        // Current press on a door: { part, door, localPoint, moved, dragging, velocity, lastMoveTime }
+        this.grab = null;
+        // Doors swinging freely after a drag: part name -> open fraction per ms
+        this.swings = new Map();
+        this.suppressClick = false;
+        this.lastTime = null;
+
+        this.tempStart = new THREE.Vector3();
+        this.tempEnd = new THREE.Vector3();
+
+        // Bind methods
+        this.onMouseDown = this.onMouseDown.bind(this);
+        this.onMouseMove = this.onMouseMove.bind(this);
+        this.onMouseUp = this.onMouseUp.bind(this);
+        this.onClick = this.onClick.bind(this);
+
+        this.isEnabled = true;
+        this.addEventListeners();
+
+        console.log('🚪 Door interaction initialized - click or drag a door');
+    }
+
+    /**
+     * Set the door nodes that respond to the mouse
+     * @param {Array<THREE.Object3D>} doors - Door nodes registered with the animator
+     */
+    setDoors(doors) {
+        this.doors = doors.filter(door => door && this.animator.findPartName(door));
+        console.log(`🚪 ${this.doors.length} doors can be clicked and dragged`);
+    }
+
+    /**
+     * Make more articulated parts (drawers, shelves) respond to the mouse like the doors
+     * @param {Array<THREE.Object3D>} parts - Nodes registered with the animator
+     */
+    addParts(parts) {
+        parts.forEach(part => {
+            if (part && this.animator.findPartName(part) && !this.doors.includes(part)) {
+                this.doors.push(part);
+            }
+        });
+    }
+
+    /**
+     * Add event listeners
+     * Mouse events go to the document: under pointer lock they are sent to the locked element
+     */
+    addEventListeners() {
+        document.addEventListener('mousedown', this.onMouseDown);
+        document.addEventListener('mousemove', this.onMouseMove);
+        document.addEventListener('mouseup', this.onMouseUp);
+        // Capture phase, so the click ending a door gesture does not reach the camera's pointer lock
+        document.addEventListener('click', this.onClick, true);
+    }
+
+    /**
+     * Remove event listeners
+     */
+    removeEventListeners() {
+        document.removeEventListener('mousedown', this.onMouseDown);
+        document.removeEventListener('mousemove', this.onMouseMove);
+        document.removeEventListener('mouseup', this.onMouseUp);
+        document.removeEventListener('click', this.onClick, true);
+    }
+
+    isPointerLocked() {
+        return document.pointerLockElement === document.body;
+    }
+
+    /**
+     * Door part under the cursor (or the crosshair while pointer locked), or null
+     */
+    pickDoor() {
+        if (this.isPointerLocked()) {
+            this.pointer.set(0, 0);
+        }
+        this.raycaster.setFromCamera(this.pointer, this.camera);
+
+        // Only the nearest hit counts: food in front of a door is not a door click
+        const hit = this.raycaster.intersectObjects(this.scene.children, true)[0];
+        if (!hit) return null;
+
+        const door = this.doors.find(candidate => this.isInside(hit.object, candidate));
+        if (!door) return null;
+
+        // Food in a door bin belongs to the door but is not a handle
+        if (this.isInsideFood(hit.object, door)) return null;
+
+        return {
+            part: this.animator.findPartName(door),
+            door: door,
+            point: hit.point,
+            distance: hit.distance
+        };
+    }
+
+    isInside(object, ancestor) {
+        let current = object;
+        while (current) {
+            if (current === ancestor) return true;
+            current = current.parent;
+        }
+        return false;
+    }
+
+    isInsideFood(object, door) {
+        for (let current = object; current && current !== door; current = current.parent) {
+            if (current.userData.isInteractable) return true;
+        }
+        return false;
+    }
+
+    updatePointer(event) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        this.pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+        this.pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+    }
+
+    /**
+     * Press on a door: remember the grabbed point, the camera stays still until release
+     */
+    onMouseDown(event) {
+        if (!this.isEnabled || event.button !== 0 || this.doors.length === 0) return;
+
+        // Without pointer lock only presses on the canvas count, not on the UI panels
+        if (!this.isPointerLocked() && event.target !== this.renderer.domElement) return;
+
+        // Another control (keyboard object drag) is using the mouse
+        if (this.cameraControls && !this.cameraControls.isEnabled) return;
+
+        this.updatePointer(event);
+        const picked = this.pickDoor();
+        if (!picked) return;
+
+        this.swings.delete(picked.part);
+        this.grab = {
+            part: picked.part,
+            door: picked.door,
+            localPoint: picked.door.worldToLocal(picked.point.clone()),
+            moved: 0,
+            dragging: false,
+            velocity: 0,
+            lastMoveTime: performance.now()
+        };
+
+        if (this.cameraControls) {
+            this.cameraControls.isEnabled = false;
+        }
+        document.body.style.cursor = 'grabbing';
+        event.preventDefault();
+    }
+
+    onMouseMove(event) {
+        if (!this.isEnabled) return;
+
+        if (!this.grab) {
+            if (this.isPointerLocked()) return;
+
+            if (event.target === this.renderer.domElement) {
+                this.updatePointer(event);
+                this.pointerMoved = true;
+            } else if (this.hovered) {
+                // Over a UI panel
+                this.hovered = null;
+                document.body.style.cursor = 'default';
+            }
+            return;
+        }
+
+        const deltaX = event.movementX || 0;
+        const deltaY = event.movementY || 0;
+        this.grab.moved += Math.abs(deltaX) + Math.abs(deltaY);
+
+        if (!this.grab.dragging) {
+            if (this.grab.moved < this.dragThreshold) return;
+            this.grab.dragging = true;
+        }
+
+        this.dragDoor(deltaX, deltaY);
+    }
+
+    /**
+     * Swing the held door so the grabbed point follows the mouse movement
+     */
+    dragDoor(deltaX, deltaY) {
+        const grab = this.grab;
+        const fraction = this.animator.getOpenFraction(grab.part);
+
+        // Screen motion (pixels) of the grabbed point per unit of open fraction
+        const step = fraction < 0.99 ? 0.01 : -0.01;
+        const start = this.toScreen(this.animator.getWorldPointAt(grab.part, fraction, grab.localPoint, this.tempStart));
+        const end = this.toScreen(this.animator.getWorldPointAt(grab.part, fraction + step, grab.localPoint, this.tempEnd));
+        const directionX = (end.x - start.x) / step;
+        const directionY = (end.y - start.y) / step;
+        const lengthSquared = directionX * directionX + directionY * directionY;
+
+        // Door seen edge-on: fall back to horizontal mouse movement
+        let change = lengthSquared > 1
+            ? (deltaX * directionX + deltaY * directionY) / lengthSquared
+            : deltaX * this.sensitivity;
+
+        change = this.resist(fraction, change);
+        this.animator.setOpenFraction(grab.part, fraction + change);
+
+        // Smoothed swing speed for the inertia on release
+        const now = performance.now();
+        const elapsed = Math.max(now - grab.lastMoveTime, 1);
+        grab.velocity = grab.velocity * 0.7 + (change / elapsed) * 0.3;
+        grab.lastMoveTime = now;
+    }
+
+    /**
+     * Soft stop: movement towards a limit is scaled down inside the soft zone
+     */
+    resist(fraction, change) {
+        if (this.softZone <= 0 || change === 0) return change;
+
+        const remaining = change > 0 ? 1 - fraction : fraction;
+        const factor = Math.max(0.2, Math.min(1, remaining / this.softZone));
+        const scaled = change * factor;
+        return change > 0 ? Math.min(scaled, remaining) : Math.max(scaled, -remaining);
+    }
+
+    toScreen(worldPoint) {
+        const projected = worldPoint.project(this.camera);
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        projected.x = (projected.x + 1) / 2 * rect.width;
+        projected.y = (1 - projected.y) / 2 * rect.height;
+        return projected;
+    }
+
+    /**
+     * Release: a click toggles the door, a drag lets it swing on
+     */
+    onMouseUp(event) {
+        if (!this.grab || event.button !== 0) return;
+
+        const grab = this.grab;
+        this.grab = null;
+
+        if (!grab.dragging) {
+            this.animator.toggle(grab.part);
+        } else if (performance.now() - grab.lastMoveTime < 100 && Math.abs(grab.velocity) > this.minSpeed) {
+            // Let go while moving
+            this.swings.set(grab.part, grab.velocity);
+        }
+
+        if (this.cameraControls) {
+            this.cameraControls.isEnabled = true;
+        }
+        document.body.style.cursor = 'default';
+        this.hovered = null;
+        this.suppressClick = true;
+    }
+
+    onClick(event) {
+        if (!this.suppressClick) return;
+
+        // The press was on a door: do not start mouse look
+        this.suppressClick = false;
+        event.stopPropagation();
+    }
+
+    /**
+     * Run door swings and the hover cursor; call once per frame
+     */
+    update(time = performance.now()) {
+        const elapsed = this.lastTime === null ? 0 : time - this.lastTime;
+        this.lastTime = time;
+
+        this.swings.forEach((velocity, part) => {
+            // A key, button or auto-close started an animation: it takes over
+            if (!this.animator.getPart(part) || this.animator.getPart(part).animation) {
+                this.swings.delete(part);
+                return;
+            }
+
+            const fraction = this.animator.getOpenFraction(part);
+            const change = this.resist(fraction, velocity * elapsed);
+            const next = THREE.MathUtils.clamp(fraction + change, 0, 1);
+            this.animator.setOpenFraction(part, next);
+
+            // Slow down, stop at a limit or when the swing is too slow to see
+            const slowed = velocity * Math.pow(this.friction, elapsed / 1000);
+            if (next === 0 || next === 1 || Math.abs(slowed) < this.minSpeed) {
+                this.swings.delete(part);
+            } else {
+                this.swings.set(part, slowed);
+            }
+        });
+
+        // Show that a door can be grabbed (the cursor is hidden under pointer lock)
+        if (this.pointerMoved && !this.grab && this.isEnabled) {
+            this.pointerMoved = false;
+            const hovered = this.doors.length > 0 ? this.pickDoor() : null;
+            if (!!hovered !== !!this.hovered) {
+                document.body.style.cursor = hovered ? 'grab' : 'default';
+            }
+            this.hovered = hovered;
+        }
+    }
+
+    // Public methods for external control
+    enable() {
+        this.isEnabled = true;
+    }
+
+    disable() {
+        this.isEnabled = false;
+        if (this.grab && this.cameraControls) {
+            this.cameraControls.isEnabled = true;
+        }
+        this.grab = null;
+        this.swings.clear();
+    }
+
+    /**
+     * Clean up when destroying the instance
+     */
+    dispose() {
+        this.removeEventListeners();
+        this.disable();
+    }
+}
+
+// Export for use in other modules
+window.DoorInteraction = DoorInteraction;
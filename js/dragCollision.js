@@ -0,0 +1,254 @@
+// Drag Collision
+// Keeps a dragged item from passing through the fridge walls, shelves, drawers and
+// other items. The item's world bounding box is swept along x, then along z (along y when
+// it is lifted): a move stops where the box touches an obstacle, and the free axis still
+// moves, so the item slides along the surface it is pushed against. An item that starts a drag inside a
+// compartment stays inside its walls.
+//
+// Obstacles are the other registered food items and the meshes of the nodes given to
+// addObstacles (shelves, drawers), each with its own box, so an item can be moved
+// around inside an open drawer. Boxes only touching (an item resting on a shelf) do not
+// collide. Obstacles already overlapping the item when the drag starts are ignored, so
+// an item placed overlapping can still be moved apart, and setPassable can let an item
+// into an obstacle (an egg into a carton with a free cup).
+//
+// Compartments (scene manifest "compartments"), world units:
+//   [ { "id": "fridge", "label": "Fridge", "min": { "x": 28.4, "y": 2, "z": -6 }, "max": { "x": 47.5, "y": 22, "z": 8 } } ]
+
+class DragCollision {
+    constructor(scene, foodObjectManager, options = {}) {
+        this.scene = scene;
+        this.foodObjectManager = foodObjectManager;
+
+        this.skin = options.skin !== undefined ? options.skin : 0.01; // Overlap below this is contact, not collision
+
+        this.compartments = []; // { id, label, box }
+        this.obstacleNodes = [];
+        this.active = null;      // { object, compartment, ignored }
+        this.passable = null;    // (object, obstacle) => true if the object may enter the obstacle
+
+        this.itemBox = new THREE.Box3();
+        this.tempMatrix = new THREE.Matrix4();
+
+        console.log('🧱 Drag collision initialized');
+    }
+
+    /**
+     * Set the compartments items are kept inside
+     * @param {Array} compartments - { id, label, min, max } (see the top of this file)
+     */
+    setCompartments(compartments) {
+        this.compartments = (compartments || []).map(compartment => ({
+            id: compartment.id,
+            label: compartment.label || compartment.id,
+            box: new THREE.Box3(
+                new THREE.Vector3(compartment.min.x, compartment.min.y, compartment.min.z),
+                new THREE.Vector3(compartment.max.x, compartment.max.y, compartment.max.z)
+            )
+        }));
+    }
+
+    /**
+     * Make the meshes of more nodes block dragged items
+     * @param {Array<THREE.Object3D>} nodes - e.g. shelf and drawer nodes
+     */
+    addObstacles(nodes) {
+        nodes.forEach(node => {
+            if (node && !this.obstacleNodes.includes(node)) {
+                this.obstacleNodes.push(node);
+            }
+        });
+    }
+
+    removeObstacles(nodes) {
+        this.obstacleNodes = this.obstacleNodes.filter(node => !nodes.includes(node));
+    }
+
+    /**
+     * Let items into some of the other items, e.g. into a container with a free slot for them
+     * @param {Function|null} passable - (object, other) => boolean
+     */
+    setPassable(passable) {
+        this.passable = passable;
+    }
+
+    canPass(object, other) {
+        return !!this.passable && this.passable(object, other);
+    }
+
+    /**
+     * World bounding box of an item; instanced copies use the pool's geometry
+     * @param {THREE.Object3D} object
+     * @param {THREE.Box3} [target]
+     * @returns {THREE.Box3}
+     */
+    getItemBox(object, target = new THREE.Box3()) {
+        object.updateWorldMatrix(true, true);
+
+        if (object.isInstanceProxy) {
+            const geometry = object.pool.geometry;
+            if (geometry.boundingBox === null) geometry.computeBoundingBox();
+            this.tempMatrix.multiplyMatrices(object.matrixWorld, object.pool.baseMatrix);
+            return target.copy(geometry.boundingBox).applyMatrix4(this.tempMatrix);
+        }
+
+        target.setFromObject(object);
+
+        // Instanced copies gathered in a group (a multi-selection) have no geometry of their own
+        object.traverse(child => {
+            if (child !== object && child.isInstanceProxy) {
+                target.union(this.getItemBox(child, new THREE.Box3()));
+            }
+        });
+
+        if (target.isEmpty()) {
+            const origin = object.getWorldPosition(new THREE.Vector3());
+            target.setFromCenterAndSize(origin, new THREE.Vector3());
+        }
+        return target;
+    }
+
+    // Boxes of everything the item can bump into
+    getObstacleBoxes(object) {
+        const boxes = [];
+
+        this.foodObjectManager.getAllFoodObjects().forEach(entry => {
+            const other = entry.object;
+            if (other === object || !other.parent || !other.visible || this.isInside(other, object) || this.canPass(object, other)) return;
+            boxes.push({ source: other, box: this.getItemBox(other) });
+        });
+
+        this.obstacleNodes.forEach(node => {
+            if (!node.parent || !node.visible) return;
+            node.updateWorldMatrix(true, true);
+            node.traverse(child => {
+                if (child.isMesh && child.visible) {
+                    boxes.push({ source: child, box: new THREE.Box3().setFromObject(child) });
+                }
+            });
+        });
+
+        return boxes;
+    }
+
+    isInside(object, ancestor) {
+        for (let current = object; current; current = current.parent) {
+            if (current === ancestor) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Compartment whose walls hold the item, by the center of its box, or null
+     * @param {THREE.Box3} box - World box of the item
+     */
+    findCompartment(box) {
+        const center = box.getCenter(new THREE.Vector3());
+        return this.compartments.find(compartment => compartment.box.containsPoint(center)) || null;
+    }
+
+    /**
+     * Start dragging an item: remember its compartment and what it already overlaps
+     * @param {THREE.Object3D} object
+     */
+    begin(object) {
+        const box = this.getItemBox(object, this.itemBox);
+        const ignored = new Set();
+        this.getObstacleBoxes(object).forEach(obstacle => {
+            if (this.overlaps(box, obstacle.box, ['x', 'y', 'z'])) {
+                ignored.add(obstacle.source);
+            }
+        });
+
+        this.active = { object: object, compartment: this.findCompartment(box), ignored: ignored };
+    }
+
+    end() {
+        this.active = null;
+    }
+
+    /**
+     * Move the dragged item towards x, z as far as nothing is in the way
+     * @param {THREE.Object3D} object - Item being dragged (world space parent)
+     * @param {number} x - Target world x
+     * @param {number} z - Target world z
+     * @returns {boolean} True if the item was stopped on an axis
+     */
+    move(object, x, z) {
+        const obstacles = this.getActiveObstacles(object);
+        const box = this.getItemBox(object, this.itemBox);
+
+        const wantedX = x - object.position.x;
+        const wantedZ = z - object.position.z;
+
+        const deltaX = this.sweep(box, 'x', wantedX, obstacles);
+        box.min.x += deltaX;
+        box.max.x += deltaX;
+        const deltaZ = this.sweep(box, 'z', wantedZ, obstacles);
+
+        object.position.x += deltaX;
+        object.position.z += deltaZ;
+
+        return deltaX !== wantedX || deltaZ !== wantedZ;
+    }
+
+    /**
+     * Move the dragged item up or down towards y as far as nothing is in the way
+     * @param {THREE.Object3D} object - Item being dragged (world space parent)
+     * @param {number} y - Target world y
+     * @returns {boolean} True if the item was stopped
+     */
+    lift(object, y) {
+        const obstacles = this.getActiveObstacles(object);
+        const box = this.getItemBox(object, this.itemBox);
+
+        const wanted = y - object.position.y;
+        const delta = this.sweep(box, 'y', wanted, obstacles);
+        object.position.y += delta;
+
+        return delta !== wanted;
+    }
+
+    // Obstacles of the current drag, starting it if needed
+    getActiveObstacles(object) {
+        if (!this.active || this.active.object !== object) {
+            this.begin(object);
+        }
+        return this.getObstacleBoxes(object).filter(obstacle => !this.active.ignored.has(obstacle.source));
+    }
+
+    // Largest part of delta the box can move along the axis without entering an obstacle or leaving its compartment
+    sweep(box, axis, delta, obstacles) {
+        if (delta === 0) return 0;
+
+        const others = ['x', 'y', 'z'].filter(other => other !== axis);
+        obstacles.forEach(obstacle => {
+            if (!this.overlaps(box, obstacle.box, others)) return;
+
+            if (delta > 0 && obstacle.box.min[axis] >= box.max[axis] - this.skin) {
+                delta = Math.min(delta, Math.max(0, obstacle.box.min[axis] - box.max[axis]));
+            } else if (delta < 0 && obstacle.box.max[axis] <= box.min[axis] + this.skin) {
+                delta = Math.max(delta, Math.min(0, obstacle.box.max[axis] - box.min[axis]));
+            }
+        });
+
+        const compartment = this.active && this.active.compartment;
+        if (compartment) {
+            if (delta > 0) {
+                delta = Math.min(delta, Math.max(0, compartment.box.max[axis] - box.max[axis]));
+            } else {
+                delta = Math.max(delta, Math.min(0, compartment.box.min[axis] - box.min[axis]));
+            }
+        }
+
+        return delta;
+    }
+
+    // Boxes overlap by more than the skin on every given axis
+    overlaps(a, b, axes) {
+        return axes.every(axis => a.min[axis] < b.max[axis] - this.skin && a.max[axis] > b.min[axis] + this.skin);
+    }
+}
+
+// Make it globally available
+window.DragCollision = DragCollision;
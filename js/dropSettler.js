@@ -0,0 +1,283 @@
+// Drop Settler
+// Dragging keeps an item at the height it was picked up or lifted to. When it is dropped, the
+// settler lowers it onto the highest surface below it (a shelf, a drawer or bin floor,
+// the top of another item, a surface of the fridge or kitchen model) with a short fall.
+// If nothing is below the item within maxDrop, the item is tinted red and carried
+// back to where it was picked up. An item dropped near a free slot that takes it (see
+// js/itemSlots.js) snaps into the slot instead, turning to the slot's orientation.
+//
+// Surfaces are found by casting rays straight down from the center and four points
+// under the item's footprint; the highest hit wins, so an item half over a shelf edge
+// still rests on the shelf.
+//
+// Events (THREE.EventDispatcher):
+//   'settled'   - { object, surface, returned, slot } the item came to rest (surface is a world
+//                 height, slot the id of the slot it snapped into or null)
+//   'nosurface' - { object } nothing to rest on below the drop point, the item goes back
+
+const SETTLE_EASINGS = {
+    easeInQuad: t => t * t,
+    easeInOutCubic: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2)
+};
+
+class DropSettler extends THREE.EventDispatcher {
+    constructor(scene, collision, options = {}) {
+        super();
+        this.scene = scene;
+        this.collision = collision; // DragCollision, for item bounding boxes
+
+        this.maxDrop = options.maxDrop || 40;               // World units searched below the item
+        this.tolerance = options.tolerance !== undefined ? options.tolerance : 0.05; // Surfaces this far above the bottom still count
+        this.fallDuration = options.fallDuration || 250;    // ms for a fall of fallHeight
+        this.fallHeight = options.fallHeight || 5;
+        this.returnDuration = options.returnDuration || 500; // ms to carry an item back
+        this.snapDuration = options.snapDuration || 200;     // ms to snap an item into a slot
+
+        this.slots = null; // ItemSlots, optional
+
+        this.raycaster = new THREE.Raycaster();
+        this.raycaster.far = this.maxDrop + this.tolerance;
+        this.down = new THREE.Vector3(0, -1, 0);
+
+        this.pickedUpAt = new Map(); // object -> world position when the drag started
+        this.settling = new Map();   // object -> running animation
+        this.dragControls = null;
+
+        this.onDragStart = (event) => this.handleDragStart(event.object);
+        this.onDragEnd = (event) => this.settle(event.object);
+
+        console.log('⬇️ Drop settler initialized');
+    }
+
+    // Settle the items dropped by the drag controls
+    attachDragControls(dragControls) {
+        this.detachDragControls();
+        this.dragControls = dragControls;
+        dragControls.addEventListener('dragstart', this.onDragStart);
+        dragControls.addEventListener('dragend', this.onDragEnd);
+    }
+
+    detachDragControls() {
+        if (!this.dragControls) return;
+        this.dragControls.removeEventListener('dragstart', this.onDragStart);
+        this.dragControls.removeEventListener('dragend', this.onDragEnd);
+        this.dragControls = null;
+    }
+
+    // Snap dropped items into the free slots near them
+    setSlots(slots) {
+        this.slots = slots;
+    }
+
+    handleDragStart(object) {
+        // Picked up again before it landed
+        this.stop(object);
+        this.pickedUpAt.set(object, object.getWorldPosition(new THREE.Vector3()));
+    }
+
+    /**
+     * Height of the highest surface below the item, or null
+     * @param {THREE.Object3D} object
+     * @returns {number|null} World height
+     */
+    findSurface(object) {
+        const box = this.collision.getItemBox(object);
+        const center = box.getCenter(new THREE.Vector3());
+        const size = box.getSize(new THREE.Vector3());
+        const startY = box.min.y + this.tolerance;
+
+        const points = [[0, 0], [-0.3, -0.3], [0.3, -0.3], [-0.3, 0.3], [0.3, 0.3]];
+        let surface = null;
+
+        points.forEach(([u, v]) => {
+            const origin = new THREE.Vector3(center.x + u * size.x, startY, center.z + v * size.z);
+            this.raycaster.set(origin, this.down);
+
+            const hit = this.raycaster.intersectObjects(this.scene.children, true)
+                .find(candidate => this.isSupport(candidate, object));
+            if (hit && (surface === null || hit.point.y > surface)) {
+                surface = hit.point.y;
+            }
+        });
+
+        return surface;
+    }
+
+    // A hit on something visible other than the item itself
+    isSupport(hit, object) {
+        if (!hit.object.isMesh && !hit.object.isInstanceProxy) return false;
+
+        // The item's own copy in its instanced mesh
+        if (object.isInstanceProxy && hit.object === object.pool.mesh && hit.instanceId === object.instanceId) {
+            return false;
+        }
+
+        for (let current = hit.object; current; current = current.parent) {
+            if (current === object || !current.visible) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Lower a dropped item onto the surface below it, or carry it back if there is none
+     * @param {THREE.Object3D} object
+     * @returns {boolean} False if there was no surface
+     */
+    settle(object) {
+        this.stop(object);
+
+        const from = object.getWorldPosition(new THREE.Vector3());
+        const pickedUpAt = this.pickedUpAt.get(object);
+        this.pickedUpAt.delete(object);
+
+        const slot = this.slots ? this.slots.findSlot(object) : null;
+        if (slot) {
+            const target = this.slots.getWorldTransform(slot.id);
+            this.start(object, from, target.position, this.snapDuration, 'easeInOutCubic',
+                { surface: target.position.y, returned: false, slot: slot.id }, target.quaternion);
+            return true;
+        }
+
+        const surface = this.findSurface(object);
+        if (surface === null) {
+            console.warn(`⬇️ Nothing to rest ${object.userData.name || 'the item'} on here, putting it back`);
+            this.dispatchEvent({ type: 'nosurface', object: object });
+
+            if (!pickedUpAt) {
+                this.dispatchEvent({ type: 'settled', object: object, surface: null, returned: false, slot: null });
+                return false;
+            }
+
+            this.tint(object);
+            this.start(object, from, pickedUpAt, this.returnDuration, 'easeInOutCubic', { surface: null, returned: true, slot: null });
+            return false;
+        }
+
+        const drop = this.collision.getItemBox(object).min.y - surface;
+        const to = from.clone();
+        to.y -= drop;
+
+        // Fall time grows with the square root of the height, like a real fall
+        const duration = drop > 0.001 ? this.fallDuration * Math.sqrt(drop / this.fallHeight) : 0;
+        this.start(object, from, to, duration, 'easeInQuad', { surface: surface, returned: false, slot: null });
+        return true;
+    }
+
+    // toQuaternion (world) turns the item on the way, for slots
+    start(object, from, to, duration, easing, result, toQuaternion = null) {
+        this.settling.set(object, {
+            from: from,
+            to: to,
+            fromQuaternion: toQuaternion ? object.getWorldQuaternion(new THREE.Quaternion()) : null,
+            toQuaternion: toQuaternion,
+            startTime: performance.now(),
+            duration: duration,
+            easing: SETTLE_EASINGS[easing],
+            result: result
+        });
+
+        if (duration <= 0) {
+            this.finish(object);
+        }
+    }
+
+    // Stop an animation where it is
+    stop(object) {
+        if (!this.settling.has(object)) return;
+        this.settling.delete(object);
+        this.untint(object);
+    }
+
+    finish(object) {
+        const animation = this.settling.get(object);
+        this.setWorldPosition(object, animation.to);
+        this.settling.delete(object);
+        this.untint(object);
+
+        // Taken by another item meanwhile: it stays on top of the slot
+        const result = { ...animation.result };
+        if (result.slot && !this.slots.place(object, result.slot)) {
+            result.slot = null;
+        }
+        this.dispatchEvent({ type: 'settled', object: object, ...result });
+    }
+
+    // Items in a door bin have the door as parent
+    setWorldPosition(object, position) {
+        const local = position.clone();
+        if (object.parent) {
+            object.parent.worldToLocal(local);
+        }
+        object.position.copy(local);
+    }
+
+    setWorldQuaternion(object, quaternion) {
+        object.quaternion.copy(quaternion);
+        if (object.parent) {
+            object.quaternion.premultiply(object.parent.getWorldQuaternion(new THREE.Quaternion()).invert());
+        }
+    }
+
+    // Red tint while an item without a surface is carried back
+    tint(object) {
+        if (object.isInstanceProxy) {
+            object.userData.settleColor = object.getColor();
+            object.setColor(new THREE.Color(1, 0.35, 0.35));
+            return;
+        }
+
+        object.traverse(child => {
+            if (child.isMesh && child.material && child.material.emissive) {
+                child.userData.settleEmissive = child.material.emissive.clone();
+                child.material.emissive.setRGB(0.6, 0, 0);
+            }
+        });
+    }
+
+    untint(object) {
+        if (object.isInstanceProxy) {
+            if (object.userData.settleColor) {
+                object.setColor(object.userData.settleColor);
+                delete object.userData.settleColor;
+            }
+            return;
+        }
+
+        object.traverse(child => {
+            if (child.userData.settleEmissive) {
+                child.material.emissive.copy(child.userData.settleEmissive);
+                delete child.userData.settleEmissive;
+            }
+        });
+    }
+
+    isSettling(object) {
+        return this.settling.has(object);
+    }
+
+    // Advance falling and returning items; call once per frame
+    update(time = performance.now()) {
+        this.settling.forEach((animation, object) => {
+            const t = Math.min(1, (time - animation.startTime) / animation.duration);
+            if (t >= 1) {
+                this.finish(object);
+                return;
+            }
+            const progress = animation.easing(t);
+            this.setWorldPosition(object, animation.from.clone().lerp(animation.to, progress));
+            if (animation.toQuaternion) {
+                this.setWorldQuaternion(object, animation.fromQuaternion.clone().slerp(animation.toQuaternion, progress));
+            }
+        });
+    }
+
+    dispose() {
+        this.detachDragControls();
+        this.settling.forEach((animation, object) => this.setWorldPosition(object, animation.to));
+        Array.from(this.settling.keys()).forEach(object => this.stop(object));
+        this.pickedUpAt.clear();
+    }
+}
+
+// Make it globally available
+window.DropSettler = DropSettler;
@@ -0,0 +1,364 @@
+/**
+ * Food Item Module
+ * Generic base class for every item in the fridge
+ * Material handling, fallback geometry and extra behavior come from the
+ * item type definition registered in FoodItemTypes, so a new product is a
+ * manifest entry (or a small subclass) instead of a new module
+ */
+class FoodItem {
+    /**
+     * @param {FoodObjectManager} foodObjectManager - Manager the item registers with
+     * @param {OptimizedModelLoader} modelLoader - Loader used for the model
+     * @param {Object} config - Model loader config plus id, label, type, itemType,
+     *                          metadata, materials, options, highlight and fallback
+     */
+    constructor(foodObjectManager, modelLoader, config) {
+        this.foodObjectManager = foodObjectManager;
+        this.modelLoader = modelLoader;
+        this.config = config;
+        this.id = config.id || config.name;
+        this.label = config.label || this.id;
+        this.definition = window.FoodItemTypes.get(config.itemType);
+
+        this.object = null;
+        this.isLoaded = false;
+        this.isFallback = false;
+        this.lights = [];
+    }
+
+    /**
+     * Load the model, enhance it and register it
+     * Falls back to a labeled placeholder if the model cannot be loaded
+     * @param {Object} [options] - Load options passed to the model loader
+     * @param {AbortSignal} [options.signal] - Cancels the load; no fallback is created then
+     * @returns {Promise<THREE.Object3D>} The item object
+     */
+    async load(options = {}) {
+        if (this.isLoaded) {
+            return this.object;
+        }
+
+        try {
+            console.log(`📦 Loading ${this.label} (${this.config.itemType})...`);
+
+            const model = await this.modelLoader.loadModel(this.config, options);
+            this.object = model;
+
+            const materialRoot = this.getMaterialRoot(model);
+            if (materialRoot) {
+                this.enhanceMaterials(materialRoot);
+                this.applyEnvironmentMap(materialRoot);
+            }
+            this.retainAssets(model);
+            this.register(model, {});
+            this.addHighlightLight(model);
+
+            console.log(`✅ ${this.label} loaded at:`, model.position);
+        } catch (error) {
+            if (error.isCancelled) {
+                throw error;
+            }
+
+            console.error(`❌ Failed to load ${this.label} model:`, error);
+            console.log(`🔄 Creating fallback ${this.label}...`);
+
+            this.object = this.createFallback(error);
+            this.isFallback = true;
+            this.retainAssets(this.object);
+            this.register(this.object, {
+                description: `Fallback ${this.label}`,
+                isFallback: true
+            });
+        }
+
+        this.isLoaded = true;
+        return this.object;
+    }
+
+    /**
+     * Register the item object with the food object manager
+     */
+    register(object, extraMetadata) {
+        this.foodObjectManager.registerFoodObject(this.id, object, {
+            type: this.config.type,
+            interactable: this.config.interactable !== false,
+            itemType: this.config.itemType,
+            label: this.label,
+            lights: this.lights, // Filled by addHighlightLight, removed with the object
+            ...this.config.metadata,
+            ...extraMetadata
+        });
+    }
+
+    /**
+     * Get the object whose meshes carry the item's materials
+     * Instanced items share the pool's material, which is enhanced by the first item only;
+     * other models have their own copies of the materials (see OptimizedModelLoader.createInstance)
+     * @param {THREE.Object3D} model - The loaded model or instance proxy
+     * @returns {THREE.Object3D|null} Root to enhance, or null if already done
+     */
+    getMaterialRoot(model) {
+        if (!model.isInstanceProxy) {
+            return model;
+        }
+
+        const material = model.pool.material;
+        if (material.userData.foodItemEnhanced) {
+            return null;
+        }
+        material.userData.foodItemEnhanced = true;
+        return model.pool.mesh;
+    }
+
+    /**
+     * Apply the type's material roles to every mesh of the model
+     * @param {THREE.Object3D} model - The loaded model
+     */
+    enhanceMaterials(model) {
+        const roleCounts = {};
+
+        model.traverse((object) => {
+            if (!object.isMesh || !object.material) return;
+
+            const materials = Array.isArray(object.material) ? object.material : [object.material];
+            materials.forEach(material => {
+                const role = this.classifyMaterial(object, material);
+                this.applyRole(object, material, role);
+                roleCounts[role.name] = (roleCounts[role.name] || 0) + 1;
+            });
+
+            object.castShadow = true;
+            object.receiveShadow = true;
+        });
+
+        console.log(`🎨 ${this.label} materials by role:`, roleCounts);
+    }
+
+    /**
+     * Find the first role of the item type that matches a material
+     * @param {THREE.Mesh} mesh - Mesh using the material
+     * @param {THREE.Material} material - Material to classify
+     * @returns {Object} The matching role, or the type's default role
+     */
+    classifyMaterial(mesh, material) {
+        const context = {
+            materialName: material.name ? material.name.toLowerCase() : '',
+            meshName: mesh.name ? mesh.name.toLowerCase() : '',
+            material: material,
+            color: material.color ? material.color.clone() : null
+        };
+
+        const role = this.definition.roles.find(candidate => this.matchesRole(candidate, context));
+        return role || this.definition.defaultRole;
+    }
+
+    /**
+     * Check whether a role applies to a material
+     */
+    matchesRole(role, context) {
+        const names = role.names || [];
+        if (names.some(name => context.materialName.includes(name) || context.meshName.includes(name))) {
+            return true;
+        }
+        return typeof role.match === 'function' && role.match(context);
+    }
+
+    /**
+     * Apply a role's color, properties and behavior to a material
+     * Per-item overrides from config.materials[role.name] win over the type defaults
+     */
+    applyRole(mesh, material, role) {
+        const overrides = (this.config.materials && this.config.materials[role.name]) || {};
+        const { color: colorOverride, ...propertyOverrides } = overrides;
+
+        const colorSpec = colorOverride !== undefined ? { value: colorOverride } : role.color;
+        if (colorSpec && material.color) {
+            this.applyColor(material.color, colorSpec);
+        }
+
+        this.applyProperties(material, { ...role.properties, ...propertyOverrides });
+
+        if (role.useAoMapIntensity && material.aoMapIntensity !== undefined && this.config.materialConfig) {
+            material.aoMapIntensity = this.config.materialConfig.aoMapIntensity || material.aoMapIntensity;
+        }
+
+        if (role.renderOrder !== undefined) {
+            mesh.renderOrder = role.renderOrder;
+        }
+
+        if (typeof role.apply === 'function') {
+            role.apply(this, mesh, material);
+        }
+
+        material.userData.foodItemRole = role.name;
+        material.needsUpdate = true;
+    }
+
+    /**
+     * Set a color from a role color spec
+     * @param {THREE.Color} color - Color to modify in place
+     * @param {Object} spec - { value, keepIf, multiply, variation }
+     */
+    applyColor(color, spec) {
+        const keep = spec.keepIf === true || (typeof spec.keepIf === 'function' && spec.keepIf(color));
+
+        if (!keep && spec.value !== undefined) {
+            setColorValue(color, spec.value);
+        } else if (keep && spec.multiply !== undefined) {
+            if (typeof spec.multiply === 'number') {
+                color.multiplyScalar(spec.multiply);
+            } else {
+                color.setRGB(color.r * spec.multiply.r, color.g * spec.multiply.g, color.b * spec.multiply.b);
+            }
+        }
+
+        // Slight random variation so repeated items do not look cloned
+        if (spec.variation) {
+            const [min, max] = spec.variation;
+            color.multiplyScalar(min + Math.random() * (max - min));
+        }
+    }
+
+    /**
+     * Copy material properties, skipping ones the material type does not have
+     */
+    applyProperties(material, properties) {
+        Object.keys(properties).forEach(key => {
+            const value = properties[key];
+
+            if (key === 'emissive') {
+                if (material.emissive) {
+                    setColorValue(material.emissive, value);
+                }
+            } else if (material[key] !== undefined) {
+                material[key] = value;
+            }
+        });
+    }
+
+    /**
+     * Apply the shared environment map to roles that declare a reflection strength
+     * @param {THREE.Object3D} model - The loaded model
+     */
+    applyEnvironmentMap(model) {
+        if (!window.envMap) {
+            return;
+        }
+
+        model.traverse((object) => {
+            if (!object.isMesh || !object.material) return;
+
+            const materials = Array.isArray(object.material) ? object.material : [object.material];
+            materials.forEach(material => {
+                const role = this.definition.roles.find(candidate => candidate.name === material.userData.foodItemRole);
+                if (role && role.envMapIntensity !== undefined) {
+                    material.envMap = window.envMap;
+                    material.envMapIntensity = role.envMapIntensity;
+                    material.needsUpdate = true;
+                }
+            });
+        });
+    }
+
+    /**
+     * Add the spotlight described by config.highlight, if any
+     * Angles are in degrees, the offset is relative to the item position
+     * @param {THREE.Object3D} model - The item object
+     */
+    addHighlightLight(model) {
+        const highlight = this.config.highlight;
+        if (!highlight) return;
+
+        const offset = highlight.offset || { x: 0, y: 2, z: 0 };
+        const spotlight = new THREE.SpotLight(
+            highlight.color || 0xffffff,
+            highlight.intensity !== undefined ? highlight.intensity : 1,
+            highlight.distance || 10,
+            THREE.MathUtils.degToRad(highlight.angle || 20),
+            highlight.penumbra !== undefined ? highlight.penumbra : 0.4
+        );
+        spotlight.position.set(
+            model.position.x + offset.x,
+            model.position.y + offset.y,
+            model.position.z + offset.z
+        );
+        spotlight.target.position.copy(model.position);
+
+        // Enable shadows for the spotlight
+        spotlight.castShadow = true;
+        spotlight.shadow.camera.near = 0.1;
+        spotlight.shadow.camera.far = highlight.distance || 10;
+        spotlight.shadow.mapSize.width = highlight.shadowMapSize || 512;
+        spotlight.shadow.mapSize.height = highlight.shadowMapSize || 512;
+
+        this.foodObjectManager.scene.add(spotlight);
+        this.foodObjectManager.scene.add(spotlight.target);
+        this.lights.push(spotlight);
+    }
+
+    /**
+     * Replace the missing model with the loader's labeled placeholder,
+     * using the type's fallback shape when it has one
+     * @param {Error} error - Why the model could not be loaded
+     * @returns {THREE.Group} The placeholder, already added to the scene
+     */
+    createFallback(error) {
+        const body = this.definition.createFallback
+            ? this.definition.createFallback(this, this.config.fallback || {})
+            : null;
+
+        return this.modelLoader.createPlaceholder(this.config, error, body);
+    }
+
+    /**
+     * Track meshes added to the item after loading (foam, placeholder)
+     * so they are disposed together with the model
+     */
+    retainAssets(object) {
+        if (this.modelLoader.assets) {
+            this.modelLoader.assets.retain(object);
+        }
+    }
+
+    /**
+     * Get the item object
+     * @returns {THREE.Object3D|null} The loaded model or fallback
+     */
+    getObject() {
+        return this.object;
+    }
+
+    /**
+     * Update item (called in animation loop if needed)
+     */
+    update() {
+        // Subclasses can add per-frame behavior
+    }
+
+    /**
+     * Remove the item and its highlight light from the scene
+     * The food object manager takes the lights registered with the item out too
+     */
+    remove() {
+        if (this.object) {
+            this.foodObjectManager.removeFoodObject(this.id);
+            this.lights = [];
+
+            this.object = null;
+            this.isLoaded = false;
+            console.log(`${this.label} removed from scene`);
+        }
+    }
+}
+
+// Set a THREE.Color from a hex number, CSS string or { r, g, b } object
+function setColorValue(color, value) {
+    if (value && typeof value === 'object') {
+        color.setRGB(value.r, value.g, value.b);
+    } else {
+        color.set(value);
+    }
+}
+
+// Make FoodItem available globally
+window.FoodItem = FoodItem;
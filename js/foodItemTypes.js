@@ -0,0 +1,596 @@
+/**
+ * Food Item Types Module
+ * Registry mapping item types to their material roles and fallback geometry
+ *
+ * A type definition looks like:
+ * {
+ *     extends: 'produce',            // optional parent type, roles are inherited
+ *     materialConfig: { ... },       // loader-level material defaults
+ *     roles: [                       // checked in order, first match wins
+ *         {
+ *             name: 'glass',
+ *             names: ['glass'],      // substrings of the material or mesh name
+ *             match: (context) => bool, // optional color/property test
+ *             color: { value, keepIf, multiply, variation },
+ *             properties: { roughness: 0.1, ... },
+ *             envMapIntensity: 0.3,
+ *             renderOrder: 0,
+ *             apply: (item, mesh, material) => {} // optional extra behavior
+ *         }
+ *     ],
+ *     defaultRole: { ... },          // used when no role matches
+ *     createFallback: (item, options) => THREE.Group,
+ *     collider: 'cylinder'           // physics shape fitted to the item (js/fridgePhysics.js), 'box' by default
+ * }
+ */
+class FoodItemTypeRegistry {
+    constructor() {
+        this.types = new Map();
+    }
+
+    /**
+     * Register an item type
+     * @param {string} name - Type name used by the manifest's itemType
+     * @param {Object} definition - Type definition
+     */
+    register(name, definition) {
+        let resolved = definition;
+
+        if (definition.extends) {
+            const parent = this.get(definition.extends);
+            resolved = {
+                ...parent,
+                ...definition,
+                materialConfig: { ...parent.materialConfig, ...definition.materialConfig },
+                roles: [...(definition.roles || []), ...parent.roles]
+            };
+        }
+
+        this.types.set(name, {
+            name: name,
+            materialConfig: {},
+            roles: [],
+            defaultRole: { name: 'general', color: { keepIf: true }, useAoMapIntensity: true },
+            ...resolved
+        });
+    }
+
+    /**
+     * Get a registered item type
+     * @param {string} name - Type name
+     * @returns {Object} Type definition
+     */
+    get(name) {
+        const definition = this.types.get(name);
+        if (!definition) {
+            throw new Error(`Unknown food item type "${name}" (registered: ${this.getTypeNames().join(', ')})`);
+        }
+        return definition;
+    }
+
+    /**
+     * Check whether an item type is registered
+     */
+    has(name) {
+        return this.types.has(name);
+    }
+
+    /**
+     * Get the names of all registered item types
+     * @returns {Array} Type names
+     */
+    getTypeNames() {
+        return Array.from(this.types.keys());
+    }
+
+    /**
+     * Create a food item for a config
+     * config.itemClass may name a FoodItem subclass on window for items that need extra behavior
+     * @param {FoodObjectManager} foodObjectManager - Food object manager
+     * @param {OptimizedModelLoader} modelLoader - Model loader
+     * @param {Object} config - Food item config
+     * @returns {FoodItem} The food item, not yet loaded
+     */
+    create(foodObjectManager, modelLoader, config) {
+        const definition = this.get(config.itemType);
+        const ItemClass = config.itemClass ? window[config.itemClass] : window.FoodItem;
+
+        if (typeof ItemClass !== 'function' || !(ItemClass === window.FoodItem || ItemClass.prototype instanceof window.FoodItem)) {
+            throw new Error(`Item class "${config.itemClass}" is not a FoodItem subclass`);
+        }
+
+        return new ItemClass(foodObjectManager, modelLoader, {
+            ...config,
+            materialConfig: { ...definition.materialConfig, ...config.materialConfig }
+        });
+    }
+}
+
+// Color tests shared by the type definitions
+const isGoldenBeer = (c) => c.r > 0.6 && c.g > 0.4 && c.b < 0.4;
+const isBrownBeer = (c) => c.r > 0.3 && c.g > 0.2 && c.b < 0.2 && c.r > c.g && c.g > c.b;
+const isLightBeer = (c) => c.r > 0.7 && c.g > 0.7 && c.b < 0.6;
+const isBeerColor = (c) => isGoldenBeer(c) || isBrownBeer(c) || isLightBeer(c);
+const isClearGlass = (c) => (c.r > 0.8 && c.g > 0.8 && c.b > 0.8) || (c.r > 0.7 && c.g > 0.7 && c.b > 0.6);
+const isGreen = (c) => c.g > c.r && c.g > c.b && c.g > 0.3;
+const isEggshell = (c) => (c.r > 0.85 && c.g > 0.85 && c.b > 0.8) || (c.r > 0.7 && c.g > 0.6 && c.b > 0.5 && c.r > c.g && c.g > c.b);
+const isYellowish = (c) => c.r > 0.6 && c.g > 0.5 && c.b < 0.7;
+const isWhitish = (c) => c.r > 0.7 && c.g > 0.7 && c.b > 0.6;
+
+const colorMatches = (test) => (context) => context.color !== null && test(context.color);
+
+// Shared fallback helpers
+function standardMesh(geometry, materialOptions) {
+    return new THREE.Mesh(geometry, new THREE.MeshStandardMaterial(materialOptions));
+}
+
+function addEggGrid(group, slots) {
+    const eggGeometry = new THREE.SphereGeometry(0.08, 12, 8);
+    const eggMaterial = new THREE.MeshStandardMaterial({ color: 0xFFFEF0, roughness: 0.2, metalness: 0.0 });
+
+    slots.forEach(([column, row]) => {
+        const egg = new THREE.Mesh(eggGeometry, eggMaterial);
+        egg.position.set(-0.25 + column * 0.25, 0.35, -0.15 + row * 0.3);
+        egg.scale.y = 1.2; // Make eggs slightly oval
+        group.add(egg);
+    });
+}
+
+const FoodItemTypes = new FoodItemTypeRegistry();
+
+// Clear glass bottle with beer inside
+FoodItemTypes.register('glass_bottle', {
+    collider: 'cylinder',
+    materialConfig: {
+        enhanceRealism: true,
+        shininess: 120,
+        roughness: 0.04,
+        metalness: 0.05,
+        aoMapIntensity: 1.2
+    },
+    roles: [
+        {
+            name: 'liquid',
+            names: ['liquid', 'beer', 'fluid', 'content', 'drink', 'inner', 'fill', 'inside'],
+            match: colorMatches(isBeerColor),
+            color: { value: 0xF5DEB3, keepIf: isBeerColor, multiply: 1.3 },
+            properties: {
+                transparent: true,
+                opacity: 0.9,
+                roughness: 1.0,
+                metalness: 1.0,
+                refractionRatio: 1.33,
+                transmission: 0.1,
+                emissive: 0x221100,
+                emissiveIntensity: 0.15,
+                side: THREE.FrontSide
+            },
+            envMapIntensity: 0.25,
+            renderOrder: 2,
+            apply: (item, mesh) => {
+                // Leave a little headspace below the neck
+                mesh.scale.set(mesh.scale.x * 0.97, mesh.scale.y * 0.9, mesh.scale.z * 0.97);
+                mesh.position.y -= 0.05;
+
+                if (item.config.options && item.config.options.foam) {
+                    addBottleFoam(mesh);
+                }
+            }
+        },
+        {
+            name: 'glass',
+            names: ['glass', 'bottle', 'clear', 'transparent'],
+            match: (context) => context.material.transparent && context.material.opacity < 0.9,
+            color: { value: 0xf0f8f0, keepIf: true, multiply: { r: 0.95, g: 1.05, b: 0.95 } },
+            properties: {
+                transparent: true,
+                opacity: 0.99,
+                roughness: 1.0,
+                metalness: 1.0,
+                reflectivity: 1.0,
+                clearcoat: 1.0,
+                clearcoatRoughness: 0.1,
+                side: THREE.FrontSide
+            },
+            envMapIntensity: 0.2,
+            renderOrder: 0
+        },
+        {
+            name: 'label',
+            names: ['label', 'text', 'cap', 'lid', 'logo'],
+            match: (context) => !context.material.transparent,
+            color: { keepIf: true },
+            properties: { roughness: 0.7, metalness: 0.1, transparent: false },
+            renderOrder: 1
+        }
+    ],
+    createFallback: () => {
+        const group = new THREE.Group();
+
+        const glassMaterial = new THREE.MeshPhysicalMaterial({
+            color: 0xf0f8f0,
+            transparent: true,
+            opacity: 0.35,
+            roughness: 0.01,
+            metalness: 0.0,
+            transmission: 0.85,
+            clearcoat: 0.3,
+            clearcoatRoughness: 0.1,
+            side: THREE.FrontSide
+        });
+
+        const body = new THREE.Mesh(new THREE.CylinderGeometry(0.32, 0.32, 1.6, 16), glassMaterial);
+        body.position.y = 0.8;
+        group.add(body);
+
+        const neck = new THREE.Mesh(new THREE.CylinderGeometry(0.16, 0.26, 0.35, 12), glassMaterial);
+        neck.position.y = 1.8;
+        group.add(neck);
+
+        const liquid = new THREE.Mesh(
+            new THREE.CylinderGeometry(0.28, 0.28, 1.35, 16),
+            new THREE.MeshPhysicalMaterial({
+                color: 0xF5DEB3,
+                transparent: true,
+                opacity: 0.85,
+                roughness: 0.0,
+                metalness: 0.0,
+                transmission: 0.1,
+                emissive: 0x221100,
+                emissiveIntensity: 0.15
+            })
+        );
+        liquid.position.y = 0.7;
+        liquid.renderOrder = 1;
+        group.add(liquid);
+
+        const foam = standardMesh(new THREE.CylinderGeometry(0.27, 0.27, 0.04, 16), {
+            color: 0xFFFFF5, transparent: true, opacity: 0.75, roughness: 0.95, metalness: 0.0
+        });
+        foam.position.y = 1.4;
+        foam.renderOrder = 3;
+        group.add(foam);
+
+        const cap = standardMesh(new THREE.CylinderGeometry(0.18, 0.18, 0.04, 12), {
+            color: 0xDAA520, roughness: 0.6, metalness: 0.4
+        });
+        cap.position.y = 2.0;
+        group.add(cap);
+
+        return group;
+    }
+});
+
+// Thin foam layer on top of a bottle's liquid mesh
+function addBottleFoam(liquidMesh) {
+    if (!liquidMesh.parent) return;
+
+    const foam = standardMesh(new THREE.CylinderGeometry(0.3, 0.3, 0.04, 16), {
+        color: 0xFFFFF0, transparent: true, opacity: 0.75, roughness: 0.9, metalness: 0.0
+    });
+    foam.position.copy(liquidMesh.position);
+    foam.position.y += 0.8;
+    foam.renderOrder = 4;
+    liquidMesh.parent.add(foam);
+}
+
+// Glass jar with a metal lid, brine and preserved vegetables
+FoodItemTypes.register('jar', {
+    collider: 'cylinder',
+    materialConfig: {
+        enhanceRealism: true,
+        shininess: 60,
+        roughness: 0.3,
+        metalness: 0.1,
+        aoMapIntensity: 1.0
+    },
+    roles: [
+        {
+            name: 'glass',
+            names: ['jar', 'glass', 'transparent'],
+            match: colorMatches(isClearGlass),
+            color: { value: 0xF8F8FF },
+            properties: { roughness: 0.5, metalness: 0.1, transparent: true, opacity: 0.85, ior: 1.52 },
+            envMapIntensity: 0.8,
+            renderOrder: 2
+        },
+        {
+            name: 'contents',
+            names: ['pickle', 'cucumber', 'vegetable'],
+            match: colorMatches(isGreen),
+            color: { value: 0x4A6741, keepIf: isGreen, multiply: 0.8 },
+            properties: { roughness: 0.4, metalness: 0.0, emissive: 0x1A2518, transparent: false },
+            renderOrder: 0
+        },
+        {
+            name: 'brine',
+            names: ['brine', 'liquid', 'water'],
+            color: { value: 0xD4D466 },
+            properties: {
+                roughness: 0.25,
+                metalness: 0.1,
+                transparent: true,
+                opacity: 0.9,
+                emissive: 0x333311,
+                side: THREE.DoubleSide,
+                depthWrite: false
+            },
+            renderOrder: 1
+        },
+        {
+            name: 'lid',
+            names: ['lid', 'cap', 'cover', 'metal'],
+            color: { value: 0xC0C0C0, keepIf: true },
+            properties: { roughness: 0.3, metalness: 0.8, transparent: false },
+            envMapIntensity: 0.6,
+            renderOrder: 3
+        }
+    ],
+    createFallback: () => {
+        const group = new THREE.Group();
+
+        const jar = standardMesh(new THREE.CylinderGeometry(0.6, 0.6, 1.2, 16), {
+            color: 0xF8F8FF, transparent: true, opacity: 0.8, roughness: 0.05, metalness: 0.0
+        });
+        jar.position.y = 0.6;
+        group.add(jar);
+
+        const lid = standardMesh(new THREE.CylinderGeometry(0.65, 0.65, 0.1, 16), {
+            color: 0xC0C0C0, roughness: 0.3, metalness: 0.8
+        });
+        lid.position.y = 1.25;
+        group.add(lid);
+
+        // Pickles inside jar (simplified)
+        const pickleGeometry = new THREE.CylinderGeometry(0.1, 0.1, 0.5, 8);
+        const pickleMaterial = new THREE.MeshStandardMaterial({ color: 0x4A6741, roughness: 0.4, metalness: 0.0 });
+        for (let i = 0; i < 5; i++) {
+            const pickle = new THREE.Mesh(pickleGeometry, pickleMaterial);
+            pickle.position.set((Math.random() - 0.5) * 0.6, 0.2 + Math.random() * 0.8, (Math.random() - 0.5) * 0.6);
+            pickle.rotation.set(Math.random() * Math.PI, Math.random() * Math.PI, Math.random() * Math.PI);
+            group.add(pickle);
+        }
+
+        const brine = standardMesh(new THREE.CylinderGeometry(0.55, 0.55, 1.1, 16), {
+            color: 0xD4D466,
+            transparent: true,
+            opacity: 0.85,
+            roughness: 0.1,
+            metalness: 0.0,
+            emissive: 0x333311,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        });
+        brine.position.y = 0.6;
+        group.add(brine);
+
+        return group;
+    }
+});
+
+// Cardboard carton holding eggs; options.open shows the lifted lid
+FoodItemTypes.register('carton', {
+    materialConfig: {
+        enhanceRealism: true,
+        shininess: 30,
+        roughness: 0.7,
+        metalness: 0.0,
+        aoMapIntensity: 1.0
+    },
+    roles: [
+        {
+            name: 'cardboard',
+            names: ['cardboard', 'paper', 'carton', 'box', 'package'],
+            color: { value: 0xF5E6D3, keepIf: true, variation: [0.95, 1.05] },
+            properties: { roughness: 0.8, metalness: 0.0, transparent: false },
+            renderOrder: 0
+        },
+        {
+            name: 'egg',
+            names: ['egg', 'shell', 'oval'],
+            match: colorMatches(isEggshell),
+            color: { value: 0xFFFEF0, keepIf: isEggshell, variation: [0.95, 1.05] },
+            properties: { roughness: 0.2, metalness: 0.0, transparent: false, transmission: 0.1 },
+            envMapIntensity: 0.15,
+            renderOrder: 1
+        },
+        {
+            name: 'lid',
+            names: ['lid', 'flap', 'cover'],
+            color: { value: 0xF0E3CC, keepIf: true, variation: [0.97, 1.03] },
+            properties: { roughness: 0.75, metalness: 0.0 }
+        },
+        {
+            name: 'label',
+            names: ['label', 'text', 'print', 'brand'],
+            color: { keepIf: true },
+            properties: { roughness: 0.6, metalness: 0.0 }
+        }
+    ],
+    createFallback: (item) => {
+        const group = new THREE.Group();
+        const isOpen = Boolean(item.config.options && item.config.options.open);
+
+        const carton = standardMesh(new THREE.BoxGeometry(1.2, 0.3, 0.8), {
+            color: 0xF5E6D3, roughness: 0.8, metalness: 0.0
+        });
+        carton.position.y = 0.15;
+        group.add(carton);
+
+        if (isOpen) {
+            const lid = standardMesh(new THREE.BoxGeometry(1.2, 0.05, 0.4), {
+                color: 0xF0E3CC, roughness: 0.75, metalness: 0.0
+            });
+            lid.position.set(0, 0.35, -0.6);
+            lid.rotation.x = -Math.PI / 3; // Opened angle
+            group.add(lid);
+
+            // Middle egg of the front row is missing to show the carton is in use
+            addEggGrid(group, [[0, 1], [1, 1], [2, 1], [0, 0], [2, 0]]);
+        } else {
+            addEggGrid(group, [[0, 0], [1, 0], [2, 0], [0, 1], [1, 1], [2, 1]]);
+        }
+
+        return group;
+    }
+});
+
+// Loose fruit, vegetables and eggs; options.shape picks the fallback ('egg' or 'crate')
+FoodItemTypes.register('produce', {
+    materialConfig: {
+        enhanceRealism: true,
+        shininess: 40,
+        roughness: 0.6,
+        metalness: 0.0,
+        aoMapIntensity: 1.0
+    },
+    roles: [
+        {
+            name: 'wood',
+            names: ['wood', 'crate', 'box'],
+            color: { keepIf: true },
+            properties: { roughness: 0.9, metalness: 0.0, emissive: 0x110000 }
+        },
+        {
+            name: 'peel',
+            names: ['banana', 'yellow', 'fruit', 'peel'],
+            color: { keepIf: true },
+            properties: { roughness: 0.6, metalness: 0.0, emissive: 0x221100 }
+        },
+        {
+            name: 'interior',
+            names: ['interior', 'inside', 'yolk', 'inner'],
+            color: { value: 0xFFFBF0 },
+            properties: { roughness: 0.8, metalness: 0.0, transparent: true, opacity: 0.9 },
+            renderOrder: 1
+        },
+        {
+            name: 'shell',
+            names: ['shell', 'egg', 'white', 'exterior'],
+            match: colorMatches(isEggshell),
+            color: { value: 0xFFFEF0, keepIf: isEggshell, variation: [0.98, 1.02] },
+            properties: { roughness: 0.15, metalness: 0.0, transparent: false, transmission: 0.05 },
+            envMapIntensity: 0.1,
+            renderOrder: 0
+        }
+    ],
+    defaultRole: {
+        name: 'general',
+        color: { keepIf: true },
+        properties: { roughness: 0.7, metalness: 0.1 },
+        useAoMapIntensity: true
+    },
+    createFallback: (item, options) => {
+        const group = new THREE.Group();
+
+        if (options.shape === 'crate') {
+            group.add(standardMesh(new THREE.BoxGeometry(1, 0.5, 0.8), {
+                color: 0xA0522D, roughness: 0.9, metalness: 0.0
+            }));
+
+            const bananaGeometry = new THREE.CylinderGeometry(0.05, 0.04, 0.4, 8);
+            const bananaMaterial = new THREE.MeshStandardMaterial({ color: 0xFFD700, roughness: 0.6, metalness: 0.0 });
+            for (let i = 0; i < 8; i++) {
+                const banana = new THREE.Mesh(bananaGeometry, bananaMaterial);
+                banana.position.set(-0.3 + (i % 4) * 0.2, 0.25 + Math.random() * 0.05, -0.2 + Math.floor(i / 4) * 0.25);
+                banana.rotation.z = Math.PI / 8 + Math.random() * 0.2;
+                banana.rotation.y = Math.random() * Math.PI;
+                group.add(banana);
+            }
+        } else {
+            const egg = standardMesh(new THREE.SphereGeometry(0.1, 16, 12), {
+                color: 0xFFFEF0, roughness: 0.15, metalness: 0.0
+            });
+            egg.scale.set(1, 1.3, 1); // Slightly oval
+            group.add(egg);
+        }
+
+        return group;
+    }
+});
+
+// Retail packaging with hard goods inside (batteries and similar)
+FoodItemTypes.register('packaged', {
+    materialConfig: {
+        enhanceRealism: true,
+        shininess: 50,
+        roughness: 0.5,
+        metalness: 0.2,
+        aoMapIntensity: 1.0
+    },
+    roles: [
+        {
+            name: 'contents',
+            names: ['battery', 'cell', 'terminal', 'metal'],
+            color: { value: 0xCCCCCC, keepIf: true },
+            properties: { roughness: 0.4, metalness: 0.2 }
+        },
+        {
+            name: 'pack',
+            names: ['pack', 'box', 'wrap', 'plastic', 'cardboard', 'label'],
+            color: { value: 0x3070B0, keepIf: true },
+            properties: { roughness: 0.7, metalness: 0.0 }
+        }
+    ],
+    createFallback: () => {
+        const group = new THREE.Group();
+
+        group.add(standardMesh(new THREE.BoxGeometry(0.8, 0.3, 1.2), {
+            color: 0x3070B0, roughness: 0.7, metalness: 0.0
+        }));
+
+        const batteryGeometry = new THREE.CylinderGeometry(0.1, 0.1, 0.6, 16);
+        const batteryMaterial = new THREE.MeshStandardMaterial({ color: 0xCCCCCC, roughness: 0.4, metalness: 0.2 });
+        for (let i = 0; i < 4; i++) {
+            const battery = new THREE.Mesh(batteryGeometry, batteryMaterial);
+            battery.position.set(-0.3 + i * 0.2, 0.2, 0);
+            battery.rotation.z = Math.PI / 2; // Lying on top of the pack
+            group.add(battery);
+        }
+
+        return group;
+    }
+});
+
+// Cheese block: produce with warmer rind and paste colors
+FoodItemTypes.register('cheese', {
+    extends: 'produce',
+    materialConfig: {
+        shininess: 30,
+        roughness: 0.7,
+        metalness: 0.05
+    },
+    roles: [
+        {
+            name: 'paste',
+            match: colorMatches(isYellowish),
+            color: { value: { r: 1.0, g: 0.9, b: 0.6 } },
+            properties: { roughness: 0.7, metalness: 0.05, emissive: { r: 0.1, g: 0.08, b: 0.03 }, shininess: 40 }
+        },
+        {
+            name: 'rind',
+            match: colorMatches(isWhitish),
+            color: { value: { r: 0.95, g: 0.95, b: 0.85 } },
+            properties: { roughness: 0.8, metalness: 0.02, emissive: { r: 0.05, g: 0.05, b: 0.03 }, shininess: 30 }
+        }
+    ],
+    defaultRole: {
+        name: 'general',
+        color: { keepIf: true },
+        properties: { roughness: 0.6, metalness: 0.1, emissive: { r: 0.08, g: 0.08, b: 0.05 }, shininess: 35 },
+        useAoMapIntensity: true
+    },
+    createFallback: () => {
+        const group = new THREE.Group();
+        const wedge = standardMesh(new THREE.CylinderGeometry(1, 1, 0.8, 3), {
+            color: 0xFFE699, roughness: 0.7, metalness: 0.05
+        });
+        wedge.position.y = 0.4;
+        group.add(wedge);
+        return group;
+    }
+});
+
+// Make the registry available globally
+window.FoodItemTypeRegistry = FoodItemTypeRegistry;
+window.FoodItemTypes = FoodItemTypes;
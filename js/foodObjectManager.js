@@ -1,13 +1,17 @@
 /**
  * Food Object Manager - Manages all food objects in the fridge
  * Modular system for loading and managing individual food items
+ * Events: 'added' with { entry } when an object is registered or restored,
+ * 'removed' with { entry, parent, slot, released } when one is removed (released: its GPU resources are gone)
  */
-class FoodObjectManager {
+class FoodObjectManager extends THREE.EventDispatcher {
     constructor(scene, modelLoader) {
+        super();
         this.scene = scene;
         this.modelLoader = modelLoader;
         this.foodObjects = new Map(); // Store all food objects
         this.interactableObjects = []; // Objects that can be interacted with
+        this.slots = new Map(); // Slot id -> slot with its occupant (see js/itemSlots.js)
         
         console.log('Food Object Manager initialized');
     }
@@ -39,6 +43,21 @@ class FoodObjectManager {
         }
         
         console.log(`Food object registered: ${name} (${foodItem.type})`);
+        this.dispatchEvent({ type: 'added', entry: foodItem });
+    }
+    
+    /**
+     * Register a removed food object again, e.g. to undo its removal
+     * The object must be back in the scene graph where it was
+     * @param {Object} entry - Entry the object had before removal
+     */
+    restoreFoodObject(entry) {
+        const { object, name, ...metadata } = entry;
+        (entry.lights || []).forEach(light => {
+            this.scene.add(light);
+            this.scene.add(light.target);
+        });
+        this.registerFoodObject(name, object, { ...metadata, slot: null });
     }
     
     /**
@@ -60,13 +79,53 @@ class FoodObjectManager {
     }
     
     /**
-     * Remove a food object
+     * Get all registered food objects
+     * @returns {Array} Array of food object entries
+     */
+    getAllFoodObjects() {
+        return Array.from(this.foodObjects.values());
+    }
+    
+    /**
+     * Merge additional metadata into a registered food object
+     * @param {string} name - Name of the object
+     * @param {Object} metadata - Data to merge into the object entry
+     */
+    updateMetadata(name, metadata = {}) {
+        const foodItem = this.foodObjects.get(name);
+        if (foodItem) {
+            Object.assign(foodItem, metadata);
+        }
+    }
+
+    /**
+     * Remove a food object, with its highlight lights (entry.lights), and release its GPU resources
+     * Geometries, materials and textures are disposed once no other object uses them
      * @param {string} name - Name of the object to remove
+     * @param {Object} [options]
+     * @param {boolean} [options.keepAssets=false] - Keep the resources so the object can be restored,
+     *   releaseFoodObject frees them once it will not come back
      */
-    removeFoodObject(name) {
+    removeFoodObject(name, options = {}) {
         const foodItem = this.foodObjects.get(name);
         if (foodItem) {
-            this.scene.remove(foodItem.object);
+            const slot = foodItem.slot;
+            if (slot) {
+                this.setSlotOccupant(slot, null);
+            }
+            
+            // May be attached to a door bin or a slot's container instead of the scene
+            const parent = foodItem.object.parent;
+            if (parent) {
+                parent.remove(foodItem.object);
+            }
+            (foodItem.lights || []).forEach(light => {
+                this.scene.remove(light);
+                this.scene.remove(light.target);
+            });
+            if (!options.keepAssets) {
+                this.releaseFoodObject(foodItem.object, foodItem.lights);
+            }
             
             // Remove from interactable objects if it was interactable
             const index = this.interactableObjects.indexOf(foodItem.object);
@@ -76,20 +135,134 @@ class FoodObjectManager {
             
             this.foodObjects.delete(name);
             console.log(`Food object removed: ${name}`);
+            this.dispatchEvent({ type: 'removed', entry: foodItem, parent: parent, slot: slot, released: !options.keepAssets });
         }
     }
     
+    /**
+     * Release the GPU resources of a removed object that was kept for restoring
+     * @param {THREE.Object3D} object
+     * @param {Array<THREE.Light>} [lights] - Its highlight lights, whose shadow maps are disposed
+     */
+    releaseFoodObject(object, lights = []) {
+        if (this.modelLoader && typeof this.modelLoader.releaseModel === 'function') {
+            this.modelLoader.releaseModel(object);
+        }
+        lights.forEach(light => {
+            if (light.shadow && light.shadow.map) {
+                light.shadow.map.dispose();
+                light.shadow.map = null;
+            }
+        });
+    }
+    
     /**
      * Reset all food objects to their original positions
      */
     resetAllPositions() {
         this.foodObjects.forEach((foodItem, name) => {
+            // Original positions are in world space: take items out of door bins and slots first
+            if (foodItem.object.parent !== this.scene) {
+                this.scene.attach(foodItem.object);
+                delete foodItem.object.userData.doorBin;
+                foodItem.inBin = null;
+            }
+            if (foodItem.slot) {
+                this.setSlotOccupant(foodItem.slot, null);
+            }
             foodItem.object.position.copy(foodItem.originalPosition);
             foodItem.object.rotation.copy(foodItem.originalRotation);
         });
         console.log('All food objects reset to original positions');
     }
     
+    /**
+     * Register a place an item can be put in, e.g. an egg cup
+     * @param {Object} slot - { id, group, label, container, accepts, ... } (see js/itemSlots.js)
+     */
+    registerSlot(slot) {
+        this.slots.set(slot.id, { taken: false, ...slot, occupant: null });
+    }
+    
+    /**
+     * Remove a slot, its item stays where it is
+     * @param {string} id - Slot id
+     */
+    removeSlot(id) {
+        if (this.slots.has(id)) {
+            this.setSlotOccupant(id, null);
+            this.slots.delete(id);
+        }
+    }
+    
+    /**
+     * Get a slot by id
+     * @param {string} id - Slot id
+     * @returns {Object|null} Slot, occupant is the name of the item in it or null
+     */
+    getSlot(id) {
+        return this.slots.get(id) || null;
+    }
+    
+    /**
+     * Get all slots, or those of one container
+     * @param {string} [container] - Container id (item, fixture or door bin)
+     * @returns {Array} Slots
+     */
+    getSlots(container = null) {
+        return Array.from(this.slots.values()).filter(slot => container === null || slot.container === container);
+    }
+    
+    /**
+     * Get the slots nothing is in, of all containers or of one
+     * @param {string} [container] - Container id
+     * @returns {Array} Slots
+     */
+    getFreeSlots(container = null) {
+        return this.getSlots(container).filter(slot => !slot.taken && !slot.occupant);
+    }
+    
+    /**
+     * Get the item in a slot
+     * @param {string} id - Slot id
+     * @returns {Object|null} Food object entry
+     */
+    getSlotOccupant(id) {
+        const slot = this.slots.get(id);
+        return slot && slot.occupant ? this.getFoodObject(slot.occupant) : null;
+    }
+    
+    /**
+     * Get the slot an item is in
+     * @param {string} name - Name of the object
+     * @returns {Object|null} Slot
+     */
+    getItemSlot(name) {
+        const foodItem = this.foodObjects.get(name);
+        return foodItem && foodItem.slot ? this.getSlot(foodItem.slot) : null;
+    }
+    
+    /**
+     * Record which item is in a slot; ItemSlots moves the objects
+     * @param {string} id - Slot id
+     * @param {string|null} name - Name of the object, null to free the slot
+     */
+    setSlotOccupant(id, name) {
+        const slot = this.slots.get(id);
+        if (!slot) return;
+        
+        const previous = slot.occupant ? this.foodObjects.get(slot.occupant) : null;
+        if (previous && previous.slot === id) {
+            previous.slot = null;
+        }
+        
+        const foodItem = name ? this.foodObjects.get(name) : null;
+        slot.occupant = foodItem ? name : null;
+        if (foodItem) {
+            foodItem.slot = id;
+        }
+    }
+    
     /**
      * Get all interactable objects (for raycasting)
      * @returns {Array} Array of THREE.Object3D that can be interacted with
@@ -123,7 +296,7 @@ class FoodObjectManager {
      * Update all food objects (called in animation loop if needed)
      */
     update() {
-        // Future: Add physics, animations, etc.
+        // Physics is stepped by FridgePhysics (js/fridgePhysics.js); future: animations, etc.
         this.foodObjects.forEach((foodItem, name) => {
             // Example: Add subtle floating animation for some objects
             if (foodItem.hasFloatingAnimation) {
@@ -0,0 +1,493 @@
+// Fridge Fixtures
+// Shelves and drawers as interactive parts of the fridge. A fixture is a node of the
+// fridge model (found with PartDiscovery rules) or, when the model has none, a simple
+// built shelf or drawer. Fixtures are registered with the HingedPartAnimator as 'slide'
+// parts, so they open, close, send events and can be clicked and dragged like the doors:
+//   drawers slide out on their rail up to their travel limit,
+//   shelves slide out a little (pullOut), move between rail heights and can be lifted out.
+// Food items resting on a fixture move with it.
+//
+// Config (scene manifest "fixtures"), positions and sizes in world units:
+//   {
+//     "rails": [8.5, 11.5, 15.2, 19.4],   // heights of the shelf rails (shelf top surface)
+//     "items": [
+//       { "id": "shelf_middle", "kind": "shelf", "label": "Middle Shelf", "rail": 2,
+//         "position": { "x": 39, "z": 1 }, "size": { "x": 17, "y": 0.3, "z": 14 }, "pullOut": 4 },
+//       { "id": "crisper_drawer", "kind": "drawer", "label": "Crisper Drawer",
+//         "position": { "x": 40, "y": 4, "z": 1 }, "size": { "x": 14, "y": 4, "z": 12 }, "travel": 9 }
+//     ]
+//   }
+// position is the center of the surface items rest on (shelf top, drawer floor). Fixtures
+// slide along "outward" (default -x, towards the doors). "node" takes PartDiscovery rules to
+// use a node of the fridge model instead of building the fixture.
+
+class FridgeFixtures {
+    constructor(scene, animator, foodObjectManager, options = {}) {
+        this.scene = scene;
+        this.animator = animator;
+        this.foodObjectManager = foodObjectManager;
+
+        this.restTolerance = options.restTolerance !== undefined ? options.restTolerance : 0.35; // Height gap still counted as resting
+        this.margin = options.margin !== undefined ? options.margin : 0.3; // Footprint margin
+        this.moveDuration = options.moveDuration || 700; // ms per leg of a shelf move
+        this.liftHeight = options.liftHeight || 1.5;     // How far a shelf is lifted off its rail
+        this.carryRiders = options.carryRiders !== false; // Off while physics moves the items
+
+        this.rails = [];
+        this.fixtures = new Map(); // id -> fixture state
+        this.moves = new Map();    // id -> running shelf move
+        this.collision = null;     // DragCollision, measures the items resting on a fixture
+
+        this.tempPosition = new THREE.Vector3();
+        this.tempDelta = new THREE.Vector3();
+        this.tempBox = new THREE.Box3();
+
+        console.log('🗄️ Fridge fixtures initialized');
+    }
+
+    /**
+     * Create the fixtures of a config
+     * @param {Object} config - { rails, items } (see the top of this file)
+     * @param {THREE.Object3D} [model] - Fridge model searched for fixture nodes
+     * @returns {Array<string>} Ids of the created fixtures
+     */
+    create(config, model = null) {
+        this.rails = (config.rails || []).slice();
+
+        (config.items || []).forEach(item => {
+            let node = null;
+            if (item.node && model) {
+                const discovery = window.PartDiscovery.discover(model, { [item.id]: item.node });
+                window.PartDiscovery.report(discovery, { [item.id]: item.node }, 'Fridge fixtures');
+                node = discovery.parts[item.id] || null;
+            }
+
+            const built = !node;
+            if (built) {
+                node = item.kind === 'drawer' ? this.buildDrawer(item) : this.buildShelf(item);
+                this.scene.add(node);
+            }
+
+            this.addFixture(item, node, built);
+        });
+
+        console.log(`🗄️ ${this.fixtures.size} fixtures ready (${this.getIds('shelf').length} shelves, ${this.getIds('drawer').length} drawers)`);
+        return Array.from(this.fixtures.keys());
+    }
+
+    addFixture(item, node, built) {
+        node.updateWorldMatrix(true, true);
+        const position = node.getWorldPosition(new THREE.Vector3());
+        const box = new THREE.Box3().setFromObject(node);
+
+        // Surface and footprint relative to the node, they only move with it
+        const floor = item.floor !== undefined ? item.floor : 0.15;
+        const fixture = {
+            id: item.id,
+            kind: item.kind === 'drawer' ? 'drawer' : 'shelf',
+            label: item.label || item.id,
+            config: item,
+            node: node,
+            built: built,
+            surface: (item.kind === 'drawer' ? box.min.y + floor : box.max.y) - position.y,
+            footprint: {
+                minX: box.min.x - position.x,
+                maxX: box.max.x - position.x,
+                minZ: box.min.z - position.z,
+                maxZ: box.max.z - position.z
+            },
+            outward: this.toVector(item.outward, new THREE.Vector3(-1, 0, 0)).normalize(),
+            rail: item.kind === 'drawer' ? null : (item.rail !== undefined ? item.rail : null),
+            removed: false,
+            lastPosition: position.clone()
+        };
+
+        // Drawers run on their rail up to the travel limit, shelves slide out a little
+        const distance = fixture.kind === 'drawer' ? (item.travel || 8) : (item.pullOut || 3);
+        const motion = this.toPartMotion(node, fixture.outward, distance);
+        this.animator.register(item.id, node, {
+            motion: 'slide',
+            axis: motion.axis,
+            limits: { closed: 0, open: motion.amount },
+            easing: 'easeInOutCubic',
+            duration: item.duration || 800
+        });
+
+        node.userData.fixtureId = item.id;
+        node.userData.isDrawer = fixture.kind === 'drawer';
+        node.userData.isShelf = fixture.kind === 'shelf';
+
+        this.fixtures.set(item.id, fixture);
+        return fixture;
+    }
+
+    // Slide axis and distance in the node's own space for a world direction and distance
+    toPartMotion(node, worldDirection, worldDistance) {
+        const parentVector = this.toParentVector(node, worldDirection.clone().multiplyScalar(worldDistance));
+        const amount = parentVector.length();
+        const axis = parentVector.normalize().applyQuaternion(node.quaternion.clone().invert());
+        return { axis: axis, amount: amount };
+    }
+
+    // A world-space offset expressed in the space of the node's parent (scaled and rotated models)
+    toParentVector(node, worldVector) {
+        if (!node.parent) return worldVector;
+        node.parent.updateWorldMatrix(true, false);
+        const inverse = new THREE.Matrix3().setFromMatrix4(node.parent.matrixWorld).invert();
+        return worldVector.applyMatrix3(inverse);
+    }
+
+    toVector(value, fallback) {
+        return value ? new THREE.Vector3(value.x || 0, value.y || 0, value.z || 0) : fallback;
+    }
+
+    // Glass plate with a white front trim; the origin is the middle of the top surface
+    buildShelf(item) {
+        const size = item.size;
+        const group = new THREE.Group();
+        group.name = item.id;
+
+        const glass = new THREE.Mesh(
+            new THREE.BoxGeometry(size.x, size.y, size.z),
+            new THREE.MeshStandardMaterial({ color: 0xdde8f0, transparent: true, opacity: 0.35, roughness: 0.05, metalness: 0.1 })
+        );
+        glass.position.y = -size.y / 2;
+        group.add(glass);
+
+        const outward = this.toVector(item.outward, new THREE.Vector3(-1, 0, 0)).normalize();
+        const trimDepth = 0.3;
+        const trim = new THREE.Mesh(
+            new THREE.BoxGeometry(
+                Math.abs(outward.x) > 0.5 ? trimDepth : size.x,
+                size.y * 1.6,
+                Math.abs(outward.x) > 0.5 ? size.z : trimDepth
+            ),
+            new THREE.MeshStandardMaterial({ color: 0xf5f5f5, roughness: 0.4 })
+        );
+        // Flush with the top of the glass, hanging below it
+        trim.position.set(outward.x * (size.x - trimDepth) / 2, -size.y * 0.8, outward.z * (size.z - trimDepth) / 2);
+        group.add(trim);
+
+        const rail = this.rails[item.rail];
+        group.position.set(item.position.x, rail !== undefined ? rail : item.position.y, item.position.z);
+        this.enableShadows(group);
+        return group;
+    }
+
+    // Open plastic box with a handle on the outward side; the origin is the middle of the floor
+    buildDrawer(item) {
+        const size = item.size;
+        const wall = 0.15;
+        const group = new THREE.Group();
+        group.name = item.id;
+
+        const material = new THREE.MeshStandardMaterial({ color: 0xe8f4f8, transparent: true, opacity: 0.55, roughness: 0.3 });
+        const addPanel = (x, y, z, width, height, depth) => {
+            const panel = new THREE.Mesh(new THREE.BoxGeometry(width, height, depth), material);
+            panel.position.set(x, y, z);
+            group.add(panel);
+        };
+
+        addPanel(0, -wall / 2, 0, size.x, wall, size.z);                         // Floor
+        addPanel(-(size.x - wall) / 2, size.y / 2, 0, wall, size.y, size.z);     // Walls
+        addPanel((size.x - wall) / 2, size.y / 2, 0, wall, size.y, size.z);
+        addPanel(0, size.y / 2, -(size.z - wall) / 2, size.x, size.y, wall);
+        addPanel(0, size.y / 2, (size.z - wall) / 2, size.x, size.y, wall);
+
+        const outward = this.toVector(item.outward, new THREE.Vector3(-1, 0, 0)).normalize();
+        const handle = new THREE.Mesh(
+            new THREE.BoxGeometry(
+                Math.abs(outward.x) > 0.5 ? 0.4 : size.x * 0.4,
+                0.4,
+                Math.abs(outward.x) > 0.5 ? size.z * 0.4 : 0.4
+            ),
+            new THREE.MeshStandardMaterial({ color: 0xb0bec5, roughness: 0.3, metalness: 0.5 })
+        );
+        handle.position.set(outward.x * (size.x / 2 + 0.2), size.y * 0.75, outward.z * (size.z / 2 + 0.2));
+        group.add(handle);
+
+        group.position.set(item.position.x, item.position.y, item.position.z);
+        this.enableShadows(group);
+        return group;
+    }
+
+    enableShadows(group) {
+        group.traverse(object => {
+            if (object.isMesh) {
+                object.castShadow = true;
+                object.receiveShadow = true;
+            }
+        });
+    }
+
+    getFixture(id) {
+        return this.fixtures.get(id) || null;
+    }
+
+    // Fixture ids, optionally only 'shelf' or 'drawer'
+    getIds(kind = null) {
+        return Array.from(this.fixtures.values())
+            .filter(fixture => !kind || fixture.kind === kind)
+            .map(fixture => fixture.id);
+    }
+
+    getNodes() {
+        return Array.from(this.fixtures.values()).map(fixture => fixture.node);
+    }
+
+    toggle(id) {
+        this.requireFixture(id);
+        return this.animator.toggle(id);
+    }
+
+    isMoving(id) {
+        return this.moves.has(id);
+    }
+
+    // Shelf id on a rail, or null
+    getShelfOnRail(rail) {
+        const shelf = Array.from(this.fixtures.values()).find(fixture => fixture.kind === 'shelf' && !fixture.removed && fixture.rail === rail);
+        return shelf ? shelf.id : null;
+    }
+
+    // Next free rail above (direction 1) or below (-1) a shelf, or null
+    findFreeRail(id, direction) {
+        const shelf = this.requireFixture(id);
+        for (let rail = shelf.rail + direction; rail >= 0 && rail < this.rails.length; rail += direction) {
+            if (!this.getShelfOnRail(rail)) return rail;
+        }
+        return null;
+    }
+
+    /**
+     * Move a shelf to another rail: it is closed, lifted, moved and set down
+     * @param {string} id - Shelf id
+     * @param {number} rail - Index into rails
+     * @returns {Promise} Resolves when the shelf rests on the new rail
+     */
+    async moveShelf(id, rail) {
+        const shelf = this.requireShelf(id);
+        if (shelf.removed) {
+            throw new Error(`Shelf ${id} is lifted out, insert it first`);
+        }
+        this.requireFreeRail(rail, id);
+
+        await this.animator.close(id);
+        const base = this.animator.getPart(id).basePosition;
+        const height = this.rails[rail] - this.rails[shelf.rail];
+
+        shelf.rail = rail;
+        await this.runMove(shelf, [
+            this.offsetBase(shelf, base, new THREE.Vector3(0, this.liftHeight, 0)),
+            this.offsetBase(shelf, base, new THREE.Vector3(0, height + this.liftHeight, 0)),
+            this.offsetBase(shelf, base, new THREE.Vector3(0, height, 0))
+        ]);
+        console.log(`🗄️ ${shelf.label} moved to rail ${rail + 1}`);
+    }
+
+    /**
+     * Lift a shelf off its rail and take it out of the fridge, with what rests on it
+     * @param {string} id - Shelf id
+     * @returns {Promise} Resolves when the shelf is out
+     */
+    async liftOut(id) {
+        const shelf = this.requireShelf(id);
+        if (shelf.removed) return;
+
+        await this.animator.close(id);
+        const base = this.animator.getPart(id).basePosition;
+        const out = shelf.outward.clone().multiplyScalar(this.getDepth(shelf) + 2);
+
+        shelf.removed = true;
+        shelf.railBeforeRemoval = shelf.rail;
+        shelf.rail = null;
+        await this.runMove(shelf, [
+            this.offsetBase(shelf, base, new THREE.Vector3(0, this.liftHeight, 0)),
+            this.offsetBase(shelf, base, out.setY(this.liftHeight))
+        ]);
+        console.log(`🗄️ ${shelf.label} lifted out`);
+    }
+
+    /**
+     * Put a lifted-out shelf back on a free rail
+     * @param {string} id - Shelf id
+     * @param {number} [rail] - Rail index, defaults to the rail it was taken from (or the lowest free one)
+     * @returns {Promise} Resolves when the shelf rests on the rail
+     */
+    async insert(id, rail) {
+        const shelf = this.requireShelf(id);
+        if (!shelf.removed) return;
+
+        let target = rail;
+        if (target === undefined) {
+            target = this.getShelfOnRail(shelf.railBeforeRemoval)
+                ? this.rails.findIndex((height, index) => !this.getShelfOnRail(index))
+                : shelf.railBeforeRemoval;
+        }
+        this.requireFreeRail(target, id);
+
+        await this.animator.close(id);
+        const base = this.animator.getPart(id).basePosition;
+        const surface = shelf.lastPosition.y + shelf.surface;
+        const height = this.rails[target] - surface;
+        const inward = shelf.outward.clone().multiplyScalar(-(this.getDepth(shelf) + 2));
+
+        shelf.removed = false;
+        shelf.rail = target;
+        await this.runMove(shelf, [
+            this.offsetBase(shelf, base, new THREE.Vector3(0, height + this.liftHeight, 0)),
+            this.offsetBase(shelf, base, inward.clone().setY(height + this.liftHeight)),
+            this.offsetBase(shelf, base, inward.setY(height))
+        ]);
+        console.log(`🗄️ ${shelf.label} inserted on rail ${target + 1}`);
+    }
+
+    // Size of a fixture along its outward direction
+    getDepth(fixture) {
+        const footprint = fixture.footprint;
+        return Math.abs(fixture.outward.x) * (footprint.maxX - footprint.minX) +
+            Math.abs(fixture.outward.z) * (footprint.maxZ - footprint.minZ);
+    }
+
+    // Closed pose moved by a world offset
+    offsetBase(fixture, base, worldOffset) {
+        return base.clone().add(this.toParentVector(fixture.node, worldOffset));
+    }
+
+    // Move the closed pose of a fixture through waypoints, one leg after the other
+    runMove(fixture, waypoints) {
+        const previous = this.moves.get(fixture.id);
+        if (previous) {
+            previous.resolve();
+        }
+
+        return new Promise(resolve => {
+            this.moves.set(fixture.id, {
+                waypoints: waypoints,
+                from: this.animator.getPart(fixture.id).basePosition.clone(),
+                leg: 0,
+                startTime: performance.now(),
+                resolve: resolve
+            });
+        });
+    }
+
+    requireFixture(id) {
+        const fixture = this.fixtures.get(id);
+        if (!fixture) {
+            throw new Error(`Unknown fridge fixture "${id}"`);
+        }
+        return fixture;
+    }
+
+    requireShelf(id) {
+        const fixture = this.requireFixture(id);
+        if (fixture.kind !== 'shelf') {
+            throw new Error(`Fridge fixture "${id}" is not a shelf`);
+        }
+        return fixture;
+    }
+
+    requireFreeRail(rail, id) {
+        if (!(rail >= 0 && rail < this.rails.length)) {
+            throw new Error(`Rail ${rail} does not exist (${this.rails.length} rails)`);
+        }
+        const occupant = this.getShelfOnRail(rail);
+        if (occupant && occupant !== id) {
+            throw new Error(`Rail ${rail + 1} is taken by ${this.fixtures.get(occupant).label}`);
+        }
+    }
+
+    // Run shelf moves and carry resting items along; call once per frame after the animator
+    update(time = performance.now()) {
+        this.moves.forEach((move, id) => {
+            const progress = Math.min((time - move.startTime) / this.moveDuration, 1);
+            const eased = progress < 0.5 ? 2 * progress * progress : -1 + (4 - 2 * progress) * progress;
+            const target = move.waypoints[move.leg];
+            this.animator.setBasePosition(id, move.from.clone().lerp(target, eased));
+
+            if (progress >= 1) {
+                move.leg++;
+                move.from = target.clone();
+                move.startTime = time;
+                if (move.leg >= move.waypoints.length) {
+                    this.moves.delete(id);
+                    move.resolve();
+                }
+            }
+        });
+
+        this.fixtures.forEach(fixture => {
+            fixture.node.updateWorldMatrix(true, false);
+            const position = fixture.node.getWorldPosition(this.tempPosition);
+            if (position.equals(fixture.lastPosition)) return;
+
+            this.tempDelta.subVectors(position, fixture.lastPosition);
+            const riders = this.carryRiders ? this.findRiders(fixture, fixture.lastPosition) : [];
+            riders.forEach(entry => {
+                entry.object.position.add(this.toParentVector(entry.object, this.tempDelta.clone()));
+                if (entry.restingOn !== fixture.id) {
+                    this.foodObjectManager.updateMetadata(entry.name, { restingOn: fixture.id });
+                }
+            });
+            fixture.lastPosition.copy(position);
+        });
+    }
+
+    // Items are measured like the drag collision and the drop settler do (instanced copies included)
+    setCollision(collision) {
+        this.collision = collision;
+    }
+
+    /**
+     * Food objects resting on a fixture: bottom at the fixture surface, center over its footprint
+     * Nothing rides before setCollision
+     * @param {Object} fixture - Fixture state
+     * @param {THREE.Vector3} [position] - World position of the fixture node to test against
+     * @returns {Array} Food object entries of the FoodObjectManager
+     */
+    findRiders(fixture, position = fixture.lastPosition) {
+        if (!this.collision) return [];
+
+        const surface = position.y + fixture.surface;
+        const footprint = fixture.footprint;
+
+        return this.foodObjectManager.getAllFoodObjects().filter(entry => {
+            const object = entry.object;
+            if (!object.parent || object === fixture.node) return false;
+            // Items in a door bin or a slot travel with their door or container
+            if (object.parent !== this.scene) return false;
+
+            const box = this.collision.getItemBox(object, this.tempBox);
+            const bottom = box.min.y;
+            const x = (box.min.x + box.max.x) / 2;
+            const z = (box.min.z + box.max.z) / 2;
+
+            return Math.abs(bottom - surface) <= this.restTolerance &&
+                x >= position.x + footprint.minX - this.margin && x <= position.x + footprint.maxX + this.margin &&
+                z >= position.z + footprint.minZ - this.margin && z <= position.z + footprint.maxZ + this.margin;
+        });
+    }
+
+    dispose() {
+        this.moves.forEach(move => move.resolve());
+        this.moves.clear();
+
+        this.fixtures.forEach(fixture => {
+            this.animator.unregister(fixture.id);
+            if (fixture.built) {
+                this.scene.remove(fixture.node);
+                fixture.node.traverse(object => {
+                    if (object.isMesh) {
+                        object.geometry.dispose();
+                        object.material.dispose();
+                    }
+                });
+            }
+        });
+        this.fixtures.clear();
+    }
+}
+
+// Make it globally available
+window.FridgeFixtures = FridgeFixtures;
@@ -0,0 +1,871 @@
+// Fridge Physics
+// Lightweight rigid-body physics for the fridge contents, so items stack, tip over and
+// slide when a drawer is yanked. Optional: nothing moves by itself unless it is created
+// and update() is called from animate().
+//
+// Each item inside a compartment becomes a body with a collider fitted to its bounds:
+// a cylinder for the item types marked collider: 'cylinder' in js/foodItemTypes.js
+// (bottles, jars), a box otherwise. Contacts are found by testing sample points of each
+// collider (box corners, edges and faces, cylinder caps and rings) against the other
+// bodies, the meshes of the shelves, drawers and door bins, the compartment walls and the
+// floor, and resolved with impulses (friction included), so an off-center contact makes
+// an item turn. Moving shelves and drawers are swept from where they were at the last
+// step, so a yanked drawer does not pass through what it carries.
+//
+// The simulation advances in fixed steps (timestep, 1/120 s by default) and in a fixed
+// order, so the same input gives the same result. Items that are held (dragged, settling
+// after a drop) or sit in a door bin are moved by others and push bodies out of the way;
+// items moved from outside (reset, shelf carried while paused) are picked up where they
+// are. Bodies that stay still fall asleep until something touches them.
+//
+// Gravity is in world units per s²: the fridge is about 20 units tall, so a unit is about
+// 10 cm and 98 is 9.8 m/s².
+//
+// Events (THREE.EventDispatcher):
+//   'pause' - { paused } the simulation was paused or resumed
+
+class FridgePhysics extends THREE.EventDispatcher {
+    constructor(scene, foodObjectManager, collision, options = {}) {
+        super();
+        this.scene = scene;
+        this.foodObjectManager = foodObjectManager;
+        this.collision = collision; // DragCollision, for item bounding boxes
+
+        this.timestep = options.timestep || 1 / 120;       // s per step
+        this.maxSubSteps = options.maxSubSteps || 4;       // Steps per frame, slower frames run in slow motion
+        this.iterations = options.iterations || 10;        // Impulse solver passes per step
+        this.gravity = options.gravity !== undefined ? options.gravity : 98;
+        this.friction = options.friction !== undefined ? options.friction : 0.5;
+        this.restitution = options.restitution !== undefined ? options.restitution : 0.1;
+        this.groundHeight = options.groundHeight !== undefined ? options.groundHeight : 0; // Kitchen floor
+        this.linearDamping = 0.05;  // Fraction of the speed lost per second
+        this.angularDamping = 0.3;
+        this.maxAngularSpeed = 30;  // rad/s
+        this.slop = 0.01;           // Penetration left alone, keeps resting contacts steady
+        this.correction = 0.2;      // Part of the penetration corrected per step
+        this.maxCorrection = 2;     // Units/s
+        this.sleepSpeed = 0.3;      // Units/s (and rad/s) below which a body may fall asleep
+        this.sleepDelay = 0.5;      // s
+
+        this.paused = !!options.paused;
+        this.bodies = [];
+        this.colliderNodes = [];
+        this.walls = [];         // Compartment walls, static boxes
+        this.colliders = [];     // Boxes of this frame: walls and meshes of the collider nodes
+        this.lastPlacements = new WeakMap(); // Mesh -> { center, quaternion } at the last step
+        this.compartments = [];
+        this.holds = new Set();
+
+        this.accumulator = 0;
+        this.lastTime = null;
+        this.frameSeconds = 0;
+        this.stepCount = 0;
+
+        this.tempVector = new THREE.Vector3();
+        this.tempScale = new THREE.Vector3();
+        this.tempQuaternion = new THREE.Quaternion();
+
+        console.log(`🎱 Fridge physics ready (${Math.round(1 / this.timestep)} steps/s)`);
+    }
+
+    /**
+     * Set the compartments: only items inside one are simulated, their walls hold the bodies
+     * @param {Array} compartments - { id, min, max, open } (scene manifest "compartments");
+     *   open lists sides without a wall, e.g. ["-x"] for the door side
+     */
+    setCompartments(compartments) {
+        const thickness = 4;
+        this.compartments = [];
+        this.walls = [];
+
+        (compartments || []).forEach(compartment => {
+            const box = new THREE.Box3(
+                new THREE.Vector3(compartment.min.x, compartment.min.y, compartment.min.z),
+                new THREE.Vector3(compartment.max.x, compartment.max.y, compartment.max.z)
+            );
+            this.compartments.push(box);
+
+            const open = compartment.open || [];
+            const center = box.getCenter(new THREE.Vector3());
+            const half = box.getSize(new THREE.Vector3()).multiplyScalar(0.5);
+
+            ['x', 'y', 'z'].forEach(axis => {
+                [-1, 1].forEach(side => {
+                    if (open.includes(`${side < 0 ? '-' : '+'}${axis}`)) return;
+
+                    const wallCenter = center.clone();
+                    wallCenter[axis] += side * (half[axis] + thickness / 2);
+                    const wallHalf = half.clone().addScalar(thickness);
+                    wallHalf[axis] = thickness / 2;
+                    const placement = { center: wallCenter, quaternion: new THREE.Quaternion() };
+                    this.walls.push(this.createBox(placement, placement, wallHalf));
+                });
+            });
+        });
+    }
+
+    /**
+     * Make the meshes of more nodes solid (shelves, drawers, door bins); they may move
+     * @param {Array<THREE.Object3D>} nodes
+     */
+    addColliders(nodes) {
+        nodes.forEach(node => {
+            if (node && !this.colliderNodes.includes(node)) {
+                this.colliderNodes.push(node);
+            }
+        });
+    }
+
+    /**
+     * Create bodies for the food items inside a compartment
+     * @param {Array} entries - Food object entries of the FoodObjectManager
+     * @returns {number} Number of bodies created
+     */
+    addBodies(entries) {
+        let count = 0;
+        entries.forEach(entry => {
+            if (this.bodies.some(body => body.object === entry.object)) return;
+
+            const body = this.createBody(entry);
+            if (!body) return;
+
+            // Items placed inside one another are left that way
+            this.bodies.forEach(other => {
+                if (this.overlaps(body, other)) {
+                    body.ignored.add(other);
+                    other.ignored.add(body);
+                }
+            });
+            this.bodies.push(body);
+            count++;
+        });
+
+        console.log(`🎱 ${count} items simulated (${this.bodies.length} in total)`);
+        return count;
+    }
+
+    /**
+     * Stop simulating items, e.g. ones deleted from the scene
+     * @param {Array<THREE.Object3D>} objects
+     */
+    removeBodies(objects) {
+        const removed = this.bodies.filter(body => objects.includes(body.object));
+        this.bodies = this.bodies.filter(body => !removed.includes(body));
+        this.bodies.forEach(body => removed.forEach(other => body.ignored.delete(other)));
+        objects.forEach(object => this.holds.delete(object));
+    }
+
+    createBody(entry) {
+        const object = entry.object;
+        if (!object.parent) return null;
+
+        // Bounds in the item's own orientation: turn it to world axes for the measurement
+        const saved = object.quaternion.clone();
+        object.parent.getWorldQuaternion(object.quaternion).invert();
+        object.updateWorldMatrix(true, true);
+        const box = this.collision.getItemBox(object, new THREE.Box3());
+        const origin = object.getWorldPosition(new THREE.Vector3());
+        object.quaternion.copy(saved);
+        object.updateWorldMatrix(true, true);
+
+        const size = box.getSize(new THREE.Vector3());
+        const center = box.getCenter(new THREE.Vector3());
+        if (box.isEmpty() || size.x <= 0 || size.y <= 0 || size.z <= 0) return null;
+        if (!this.compartments.some(compartment => compartment.containsPoint(center))) return null;
+
+        const type = window.FoodItemTypes && entry.itemType && window.FoodItemTypes.has(entry.itemType)
+            ? window.FoodItemTypes.get(entry.itemType)
+            : null;
+        const shape = type && type.collider === 'cylinder' ? 'cylinder' : 'box';
+
+        const body = {
+            object: object,
+            name: entry.name,
+            shape: shape,
+            half: size.clone().multiplyScalar(0.5),
+            radius: Math.max(size.x, size.z) / 2,
+            offset: center.clone().sub(origin), // Center of mass from the origin, in the body's frame
+            position: new THREE.Vector3(),
+            quaternion: new THREE.Quaternion(),
+            previousPosition: new THREE.Vector3(),
+            previousQuaternion: new THREE.Quaternion(),
+            velocity: new THREE.Vector3(),
+            angularVelocity: new THREE.Vector3(),
+            writtenPosition: new THREE.Vector3(),
+            writtenQuaternion: new THREE.Quaternion(),
+            ignored: new Set(),  // Bodies it overlapped when created (eggs in their carton)
+            kinematic: false,
+            asleep: false,
+            sleepTime: 0
+        };
+
+        // Mass from the volume, inertia of a solid box or cylinder about its center
+        const half = body.half;
+        let inertia;
+        if (shape === 'cylinder') {
+            const r = body.radius;
+            body.mass = Math.PI * r * r * size.y;
+            const side = body.mass * (3 * r * r + size.y * size.y) / 12;
+            inertia = new THREE.Vector3(side, body.mass * r * r / 2, side);
+        } else {
+            body.mass = size.x * size.y * size.z;
+            inertia = new THREE.Vector3(
+                body.mass * (half.y * half.y + half.z * half.z) / 3,
+                body.mass * (half.x * half.x + half.z * half.z) / 3,
+                body.mass * (half.x * half.x + half.y * half.y) / 3
+            );
+        }
+        body.inverseMass = 1 / body.mass;
+        body.inverseInertia = new THREE.Vector3(1 / inertia.x, 1 / inertia.y, 1 / inertia.z);
+        body.points = this.createSamplePoints(body);
+        body.boundingRadius = body.points.reduce((max, point) => Math.max(max, point.length()), 0);
+
+        this.readBody(body);
+        this.markWritten(body);
+        return body;
+    }
+
+    overlaps(a, b) {
+        const test = (owner, other) => owner.points.some(local => {
+            const hit = this.pointInBody(local.clone().applyQuaternion(owner.quaternion).add(owner.position), other);
+            return hit && hit.depth > this.slop;
+        });
+        return test(a, b) || test(b, a);
+    }
+
+    // Points on the collider, relative to the center of mass, tested for contacts
+    createSamplePoints(body) {
+        const points = [];
+        const half = body.half;
+
+        // Edges and faces are sampled too, so an edge pressed against a side is felt
+        if (body.shape === 'cylinder') {
+            const segments = 8;
+            [-1, 1].forEach(end => points.push(new THREE.Vector3(0, end * half.y, 0)));
+            [-1, -0.5, 0, 0.5, 1].forEach(height => {
+                for (let i = 0; i < segments; i++) {
+                    const angle = (i / segments) * Math.PI * 2;
+                    points.push(new THREE.Vector3(Math.cos(angle) * body.radius, height * half.y, Math.sin(angle) * body.radius));
+                }
+            });
+        } else {
+            [-1, 0, 1].forEach(x => [-1, 0, 1].forEach(y => [-1, 0, 1].forEach(z => {
+                if (x !== 0 || y !== 0 || z !== 0) {
+                    points.push(new THREE.Vector3(x * half.x, y * half.y, z * half.z));
+                }
+            })));
+        }
+        return points;
+    }
+
+    // Body state from the object's world transform
+    readBody(body) {
+        body.object.updateWorldMatrix(true, false);
+        body.object.matrixWorld.decompose(this.tempVector, body.quaternion, this.tempScale);
+        body.position.copy(body.offset).applyQuaternion(body.quaternion).add(this.tempVector);
+        body.previousPosition.copy(body.position);
+        body.previousQuaternion.copy(body.quaternion);
+    }
+
+    // Object transform from the body state (simulated bodies are direct children of the scene)
+    writeBody(body) {
+        body.object.quaternion.copy(body.quaternion);
+        body.object.position.copy(body.offset).applyQuaternion(body.quaternion).negate().add(body.position);
+        this.markWritten(body);
+    }
+
+    markWritten(body) {
+        body.writtenPosition.copy(body.object.position);
+        body.writtenQuaternion.copy(body.object.quaternion);
+    }
+
+    // Dragged or settling items are moved by others until released
+    hold(object) {
+        this.holds.add(object);
+    }
+
+    release(object) {
+        this.holds.delete(object);
+        const body = this.getBody(object);
+        if (body) {
+            body.velocity.set(0, 0, 0);
+            body.angularVelocity.set(0, 0, 0);
+            this.wake(body);
+        }
+    }
+
+    getBody(object) {
+        return this.bodies.find(body => body.object === object) || null;
+    }
+
+    wake(body) {
+        body.asleep = false;
+        body.sleepTime = 0;
+    }
+
+    setPaused(paused) {
+        if (this.paused === paused) return;
+        this.paused = paused;
+        this.lastTime = null;
+        this.accumulator = 0;
+        console.log(`🎱 Physics ${paused ? 'paused' : 'resumed'}`);
+        this.dispatchEvent({ type: 'pause', paused: paused });
+    }
+
+    togglePaused() {
+        this.setPaused(!this.paused);
+        return this.paused;
+    }
+
+    isPaused() {
+        return this.paused;
+    }
+
+    /**
+     * Run the fixed steps due since the last frame; call once per frame
+     * @param {number} [time] - Frame time in ms
+     */
+    update(time = performance.now()) {
+        if (this.paused) return;
+
+        const elapsed = this.lastTime === null ? 0 : Math.max(0, (time - this.lastTime) / 1000);
+        this.lastTime = time;
+        this.frameSeconds = elapsed;
+
+        this.syncBodies();
+        this.updateColliders();
+
+        // Moving colliders go from where they were at the last step to where they are now over the steps
+        this.accumulator = Math.min(this.accumulator + elapsed, this.timestep * this.maxSubSteps);
+        const steps = Math.floor(this.accumulator / this.timestep + 1e-9);
+        for (let i = 1; i <= steps; i++) {
+            this.placeColliders((i - 1) / steps, i / steps);
+            this.step(this.timestep);
+        }
+        this.accumulator = Math.max(0, this.accumulator - steps * this.timestep);
+
+        if (steps > 0) {
+            this.colliders.forEach(collider => {
+                if (collider.mesh) this.lastPlacements.set(collider.mesh, collider.to);
+            });
+        }
+
+        this.bodies.forEach(body => {
+            if (!body.kinematic && !body.asleep) {
+                this.writeBody(body);
+            }
+        });
+    }
+
+    // Pick up what others did to the items since the last frame
+    syncBodies() {
+        this.bodies.forEach(body => {
+            const object = body.object;
+            const kinematic = !object.parent || object.parent !== this.scene || this.holds.has(object);
+
+            if (kinematic) {
+                const previous = body.position.clone();
+                this.readBody(body);
+                if (body.kinematic && this.frameSeconds > 0) {
+                    body.velocity.subVectors(body.position, previous).divideScalar(this.frameSeconds);
+                } else {
+                    body.velocity.set(0, 0, 0);
+                }
+                body.angularVelocity.set(0, 0, 0);
+                body.kinematic = true;
+                this.markWritten(body);
+                return;
+            }
+
+            const moved = !object.position.equals(body.writtenPosition) || !object.quaternion.equals(body.writtenQuaternion);
+            if (body.kinematic || moved) {
+                this.readBody(body);
+                body.velocity.set(0, 0, 0);
+                body.angularVelocity.set(0, 0, 0);
+                this.markWritten(body);
+                this.wake(body);
+            }
+            body.kinematic = false;
+        });
+    }
+
+    // Boxes of the collider meshes where they are this frame and where they were at the last step
+    updateColliders() {
+        this.colliders = this.walls.slice();
+
+        this.colliderNodes.forEach(node => {
+            if (!node.parent || !node.visible) return;
+            node.updateWorldMatrix(true, true);
+
+            node.traverse(mesh => {
+                if (!mesh.isMesh || !mesh.visible) return;
+
+                const geometry = mesh.geometry;
+                if (geometry.boundingBox === null) geometry.computeBoundingBox();
+                const localCenter = geometry.boundingBox.getCenter(new THREE.Vector3());
+                const localHalf = geometry.boundingBox.getSize(new THREE.Vector3()).multiplyScalar(0.5);
+
+                const position = new THREE.Vector3();
+                const quaternion = new THREE.Quaternion();
+                const scale = new THREE.Vector3();
+                mesh.matrixWorld.decompose(position, quaternion, scale);
+
+                const half = localHalf.multiply(scale);
+                half.set(Math.abs(half.x), Math.abs(half.y), Math.abs(half.z));
+                const to = { center: localCenter.applyMatrix4(mesh.matrixWorld), quaternion: quaternion };
+                const from = this.lastPlacements.get(mesh) || to;
+
+                const collider = this.createBox(from, to, half);
+                collider.mesh = mesh;
+                this.colliders.push(collider);
+            });
+        });
+    }
+
+    /**
+     * Oriented box collider moving from one placement to another during the frame
+     * @param {Object} from - { center, quaternion } at the last step
+     * @param {Object} to - { center, quaternion } now
+     * @param {THREE.Vector3} half - Half size along the box axes
+     */
+    createBox(from, to, half) {
+        const moving = !from.center.equals(to.center) || !from.quaternion.equals(to.quaternion);
+        const frame = this.createFrame(to.center, to.quaternion);
+        const halfSize = [half.x, half.y, half.z];
+
+        return {
+            from: from,
+            to: to,
+            half: halfSize,
+            moving: moving,
+            previous: frame, // Placement at the start and end of the current step
+            current: frame,
+            bounds: this.getFrameBounds(frame, halfSize).union(this.getFrameBounds(this.createFrame(from.center, from.quaternion), halfSize)),
+            mesh: null
+        };
+    }
+
+    createFrame(center, quaternion) {
+        return {
+            center: center,
+            axes: [new THREE.Vector3(1, 0, 0), new THREE.Vector3(0, 1, 0), new THREE.Vector3(0, 0, 1)]
+                .map(axis => axis.applyQuaternion(quaternion))
+        };
+    }
+
+    getFrameBounds(frame, half) {
+        const axes = frame.axes;
+        const extent = new THREE.Vector3(
+            Math.abs(axes[0].x) * half[0] + Math.abs(axes[1].x) * half[1] + Math.abs(axes[2].x) * half[2],
+            Math.abs(axes[0].y) * half[0] + Math.abs(axes[1].y) * half[1] + Math.abs(axes[2].y) * half[2],
+            Math.abs(axes[0].z) * half[0] + Math.abs(axes[1].z) * half[1] + Math.abs(axes[2].z) * half[2]
+        );
+        return new THREE.Box3(frame.center.clone().sub(extent), frame.center.clone().add(extent));
+    }
+
+    // Place the moving colliders for a step running from start to end (fractions of the frame)
+    placeColliders(start, end) {
+        const placeAt = (collider, t) => this.createFrame(
+            collider.from.center.clone().lerp(collider.to.center, t),
+            collider.from.quaternion.clone().slerp(collider.to.quaternion, t)
+        );
+
+        this.colliders.forEach(collider => {
+            if (!collider.moving) return;
+            collider.previous = placeAt(collider, start);
+            collider.current = placeAt(collider, end);
+        });
+    }
+
+    /**
+     * Advance the simulation by one fixed step
+     * @param {number} dt - Seconds
+     */
+    step(dt) {
+        this.stepCount++;
+
+        this.bodies.forEach(body => {
+            if (body.kinematic || body.asleep) return;
+            body.velocity.y -= this.gravity * dt;
+            body.velocity.multiplyScalar(1 / (1 + this.linearDamping * dt));
+            body.angularVelocity.multiplyScalar(1 / (1 + this.angularDamping * dt));
+        });
+
+        const contacts = this.findContacts(dt);
+        contacts.forEach(contact => this.prepareContact(contact, dt));
+        for (let i = 0; i < this.iterations; i++) {
+            contacts.forEach(contact => this.solveContact(contact));
+        }
+
+        this.bodies.forEach(body => {
+            if (body.kinematic || body.asleep) return;
+            this.integrate(body, dt);
+            this.updateSleep(body, dt);
+        });
+    }
+
+    integrate(body, dt) {
+        body.previousPosition.copy(body.position);
+        body.previousQuaternion.copy(body.quaternion);
+
+        if (body.angularVelocity.length() > this.maxAngularSpeed) {
+            body.angularVelocity.setLength(this.maxAngularSpeed);
+        }
+
+        body.position.addScaledVector(body.velocity, dt);
+
+        const w = body.angularVelocity;
+        const spin = new THREE.Quaternion(w.x * dt * 0.5, w.y * dt * 0.5, w.z * dt * 0.5, 0).multiply(body.quaternion);
+        body.quaternion.set(
+            body.quaternion.x + spin.x,
+            body.quaternion.y + spin.y,
+            body.quaternion.z + spin.z,
+            body.quaternion.w + spin.w
+        ).normalize();
+    }
+
+    updateSleep(body, dt) {
+        if (body.velocity.length() < this.sleepSpeed && body.angularVelocity.length() < this.sleepSpeed) {
+            body.sleepTime += dt;
+            if (body.sleepTime >= this.sleepDelay) {
+                body.asleep = true;
+                body.velocity.set(0, 0, 0);
+                body.angularVelocity.set(0, 0, 0);
+            }
+        } else {
+            body.sleepTime = 0;
+        }
+    }
+
+    // Body can take impulses this step
+    isMovable(body) {
+        return !!body && !body.kinematic && !body.asleep;
+    }
+
+    // Body or surface moves fast enough to wake a sleeping body it touches
+    isActive(body, surfaceVelocity) {
+        if (!body) return surfaceVelocity.length() > this.sleepSpeed;
+        if (body.asleep) return false;
+        return body.velocity.length() > this.sleepSpeed || body.angularVelocity.length() > this.sleepSpeed;
+    }
+
+    findContacts(dt) {
+        const contacts = [];
+
+        this.bodies.forEach(body => {
+            if (body.kinematic) return;
+
+            // Floor and static or moving boxes
+            body.points.forEach(local => {
+                const point = local.clone().applyQuaternion(body.quaternion).add(body.position);
+                if (point.y < this.groundHeight) {
+                    contacts.push(this.createContact(body, null, point, new THREE.Vector3(0, 1, 0), this.groundHeight - point.y));
+                }
+            });
+
+            this.colliders.forEach(collider => {
+                if (collider.bounds.distanceToPoint(body.position) > body.boundingRadius) return;
+
+                body.points.forEach(local => {
+                    const point = local.clone().applyQuaternion(body.quaternion).add(body.position);
+                    const previous = local.clone().applyQuaternion(body.previousQuaternion).add(body.previousPosition);
+                    const hit = this.pointInBox(point, previous, collider, body.position);
+                    if (!hit) return;
+
+                    // Went through a thin panel within the step (a yanked drawer): put it back on the side it came from
+                    if (hit.swept) {
+                        body.position.addScaledVector(hit.normal, hit.depth);
+                        point.addScaledVector(hit.normal, hit.depth);
+                        hit.depth = 0;
+                        this.wake(body);
+                    }
+
+                    const contact = this.createContact(body, null, point, hit.normal, hit.depth);
+                    if (collider.moving) {
+                        // Where the point of the collider under the contact was at the start of the step
+                        const local = this.toFrame(point, collider.current);
+                        const before = collider.previous.center.clone();
+                        collider.previous.axes.forEach((axis, i) => before.addScaledVector(axis, local[i]));
+                        contact.surfaceVelocity.subVectors(point, before).divideScalar(dt);
+                    }
+                    contacts.push(contact);
+                });
+            });
+        });
+
+        // Item against item, the points of each inside the other
+        for (let i = 0; i < this.bodies.length; i++) {
+            for (let j = i + 1; j < this.bodies.length; j++) {
+                const a = this.bodies[i];
+                const b = this.bodies[j];
+                if (a.ignored.has(b) || this.isAttached(a, b) || this.isPassing(a, b) || this.isPassing(b, a)) continue;
+                // Nothing to move, unless a held item touches a sleeping one
+                if (!this.isMovable(a) && !this.isMovable(b) && !(a.asleep && b.kinematic) && !(b.asleep && a.kinematic)) continue;
+                if (a.position.distanceTo(b.position) > a.boundingRadius + b.boundingRadius) continue;
+
+                [[a, b], [b, a]].forEach(([owner, other]) => {
+                    owner.points.forEach(local => {
+                        const point = local.clone().applyQuaternion(owner.quaternion).add(owner.position);
+                        const hit = this.pointInBody(point, other);
+                        if (hit) {
+                            contacts.push(this.createContact(owner, other, point, hit.normal, hit.depth));
+                        }
+                    });
+                });
+            }
+        }
+
+        // Wake sleeping bodies touched by something moving, drop contacts nothing can move
+        contacts.forEach(contact => {
+            if (contact.a.asleep && this.isActive(contact.b, contact.surfaceVelocity)) this.wake(contact.a);
+            if (contact.b && contact.b.asleep && this.isActive(contact.a, contact.surfaceVelocity)) this.wake(contact.b);
+        });
+        return contacts.filter(contact => this.isMovable(contact.a) || this.isMovable(contact.b));
+    }
+
+    // One item hangs from the other, like an egg in a carton's cup
+    isAttached(a, b) {
+        const contains = (ancestor, object) => {
+            for (let current = object.parent; current; current = current.parent) {
+                if (current === ancestor) return true;
+            }
+            return false;
+        };
+        return contains(a.object, b.object) || contains(b.object, a.object);
+    }
+
+    // A held item going into a container that has a free slot for it
+    isPassing(held, other) {
+        return held.kinematic && this.collision.canPass(held.object, other.object);
+    }
+
+    createContact(a, b, point, normal, depth) {
+        return {
+            a: a,
+            b: b,
+            point: point,
+            normal: normal, // Pushes a out of b
+            depth: depth,
+            surfaceVelocity: new THREE.Vector3(),
+            normalImpulse: 0,
+            tangentImpulse: new THREE.Vector3()
+        };
+    }
+
+    // Penetration of a point of a body into a box collider. The face the point came through
+    // wins, else the nearest face on the side of the body's center, so a point deep in a thin
+    // panel is not pushed out through the far side. A point that passed right through a thin
+    // box during the step is caught by its path and marked swept.
+    pointInBox(point, previous, box, bodyCenter) {
+        const local = this.toFrame(point, box.current);
+        const previousLocal = this.toFrame(previous, box.previous);
+        const half = box.half;
+
+        if (!local.every((value, i) => Math.abs(value) < half[i])) {
+            const entry = this.findEntry(previousLocal, local, half);
+            if (entry === -1) return null;
+
+            const side = previousLocal[entry] >= 0 ? 1 : -1;
+            return {
+                normal: box.current.axes[entry].clone().multiplyScalar(side),
+                depth: half[entry] - side * local[entry],
+                swept: true
+            };
+        }
+
+        let best = -1;
+        let bestOutside = 0;
+        previousLocal.forEach((value, i) => {
+            const outside = Math.abs(value) - half[i];
+            if (outside > bestOutside) {
+                best = i;
+                bestOutside = outside;
+            }
+        });
+
+        if (best !== -1) {
+            const side = previousLocal[best] >= 0 ? 1 : -1;
+            return {
+                normal: box.current.axes[best].clone().multiplyScalar(side),
+                depth: half[best] - side * local[best],
+                swept: false
+            };
+        }
+
+        const centerLocal = this.toFrame(bodyCenter, box.current);
+        let result = null;
+        local.forEach((value, i) => {
+            const side = (Math.abs(centerLocal[i]) >= half[i] ? centerLocal[i] : value) >= 0 ? 1 : -1;
+            const depth = half[i] - side * value;
+            if (!result || depth < result.depth) {
+                result = { normal: box.current.axes[i].clone().multiplyScalar(side), depth: depth, swept: false };
+            }
+        });
+        return result;
+    }
+
+    // Coordinates of a point along the axes of a collider placement
+    toFrame(point, frame) {
+        const offset = point.clone().sub(frame.center);
+        return frame.axes.map(axis => offset.dot(axis));
+    }
+
+    // Axis of the face through which a path (box coordinates) enters the box, or -1 if it does not
+    findEntry(from, to, half) {
+        let enter = 0;
+        let exit = 1;
+        let axis = -1;
+
+        for (let i = 0; i < 3; i++) {
+            const delta = to[i] - from[i];
+            if (Math.abs(delta) < 1e-9) {
+                if (Math.abs(from[i]) >= half[i]) return -1;
+                continue;
+            }
+
+            const near = (-Math.sign(delta) * half[i] - from[i]) / delta;
+            const far = (Math.sign(delta) * half[i] - from[i]) / delta;
+            if (near > enter) {
+                enter = near;
+                axis = i;
+            }
+            exit = Math.min(exit, far);
+            if (enter > exit) return -1;
+        }
+        return axis;
+    }
+
+    // Penetration of a point into a body's collider, along the nearest surface
+    pointInBody(point, body) {
+        const inverse = body.quaternion.clone().invert();
+        const local = point.clone().sub(body.position).applyQuaternion(inverse);
+        const half = body.half;
+
+        if (body.shape === 'cylinder') {
+            const radial = Math.sqrt(local.x * local.x + local.z * local.z);
+            const radialDepth = body.radius - radial;
+            const axialDepth = half.y - Math.abs(local.y);
+            if (radialDepth <= 0 || axialDepth <= 0) return null;
+
+            if (radialDepth < axialDepth && radial > 1e-6) {
+                return {
+                    normal: new THREE.Vector3(local.x / radial, 0, local.z / radial).applyQuaternion(body.quaternion),
+                    depth: radialDepth
+                };
+            }
+            return {
+                normal: new THREE.Vector3(0, local.y >= 0 ? 1 : -1, 0).applyQuaternion(body.quaternion),
+                depth: axialDepth
+            };
+        }
+
+        const depths = ['x', 'y', 'z'].map(axis => half[axis] - Math.abs(local[axis]));
+        if (!depths.every(depth => depth > 0)) return null;
+
+        const axis = depths.indexOf(Math.min(...depths));
+        const normal = new THREE.Vector3();
+        normal.setComponent(axis, local.getComponent(axis) >= 0 ? 1 : -1);
+        return { normal: normal.applyQuaternion(body.quaternion), depth: depths[axis] };
+    }
+
+    // Inverse world inertia times a vector
+    applyInverseInertia(body, vector) {
+        if (!this.isMovable(body)) return vector.set(0, 0, 0);
+
+        const inverse = this.tempQuaternion.copy(body.quaternion).invert();
+        return vector.applyQuaternion(inverse).multiply(body.inverseInertia).applyQuaternion(body.quaternion);
+    }
+
+    inverseMass(body) {
+        return this.isMovable(body) ? body.inverseMass : 0;
+    }
+
+    // Impulse needed per unit of velocity change along a direction
+    effectiveMass(contact, direction) {
+        let k = this.inverseMass(contact.a) + this.inverseMass(contact.b);
+
+        const angularA = this.applyInverseInertia(contact.a, contact.rA.clone().cross(direction)).cross(contact.rA);
+        k += angularA.dot(direction);
+        if (contact.b) {
+            const angularB = this.applyInverseInertia(contact.b, contact.rB.clone().cross(direction)).cross(contact.rB);
+            k += angularB.dot(direction);
+        }
+        return k > 0 ? 1 / k : 0;
+    }
+
+    prepareContact(contact, dt) {
+        contact.rA = contact.point.clone().sub(contact.a.position);
+        contact.rB = contact.b ? contact.point.clone().sub(contact.b.position) : null;
+        contact.normalMass = this.effectiveMass(contact, contact.normal);
+
+        const approach = this.relativeVelocity(contact).dot(contact.normal);
+        contact.bias = Math.min(this.maxCorrection, (this.correction / dt) * Math.max(0, contact.depth - this.slop));
+        if (approach < -1) {
+            contact.bias = Math.max(contact.bias, -this.restitution * approach);
+        }
+    }
+
+    // Velocity of a's point relative to b (or the surface) at the contact
+    relativeVelocity(contact) {
+        const velocity = contact.a.velocity.clone().add(contact.a.angularVelocity.clone().cross(contact.rA));
+        if (contact.b) {
+            velocity.sub(contact.b.velocity).sub(contact.b.angularVelocity.clone().cross(contact.rB));
+        } else {
+            velocity.sub(contact.surfaceVelocity);
+        }
+        return velocity;
+    }
+
+    applyImpulse(contact, impulse) {
+        const a = contact.a;
+        if (this.isMovable(a)) {
+            a.velocity.addScaledVector(impulse, a.inverseMass);
+            a.angularVelocity.add(this.applyInverseInertia(a, contact.rA.clone().cross(impulse)));
+        }
+
+        const b = contact.b;
+        if (this.isMovable(b)) {
+            b.velocity.addScaledVector(impulse, -b.inverseMass);
+            b.angularVelocity.sub(this.applyInverseInertia(b, contact.rB.clone().cross(impulse)));
+        }
+    }
+
+    solveContact(contact) {
+        const normal = contact.normal;
+
+        // Normal impulse: stop the approach and push out of the penetration
+        let velocity = this.relativeVelocity(contact);
+        let lambda = (contact.bias - velocity.dot(normal)) * contact.normalMass;
+        const total = Math.max(contact.normalImpulse + lambda, 0);
+        lambda = total - contact.normalImpulse;
+        contact.normalImpulse = total;
+        this.applyImpulse(contact, normal.clone().multiplyScalar(lambda));
+
+        // Friction, limited by the normal impulse
+        velocity = this.relativeVelocity(contact);
+        const tangentVelocity = velocity.sub(normal.clone().multiplyScalar(velocity.dot(normal)));
+        const speed = tangentVelocity.length();
+        if (speed < 1e-9) return;
+
+        const tangent = tangentVelocity.divideScalar(speed);
+        const tangentMass = this.effectiveMass(contact, tangent);
+        const accumulated = contact.tangentImpulse.clone().addScaledVector(tangent, -speed * tangentMass);
+        const limit = this.friction * contact.normalImpulse;
+        if (accumulated.length() > limit) {
+            accumulated.setLength(limit);
+        }
+        const impulse = accumulated.clone().sub(contact.tangentImpulse);
+        contact.tangentImpulse.copy(accumulated);
+        this.applyImpulse(contact, impulse);
+    }
+
+    dispose() {
+        this.bodies = [];
+        this.colliderNodes = [];
+        this.colliders = [];
+        this.holds.clear();
+    }
+}
+
+// Make it globally available
+window.FridgePhysics = FridgePhysics;
@@ -0,0 +1,208 @@
+// Fridge Temperature
+// Simulated interior temperature driven by the doors. While a door is open warm
+// kitchen air comes in, faster the wider it is open; the cooling always pulls the
+// temperature back to the setpoint. Above the alarm threshold a door-left-open alarm
+// fires (optionally beeping) and doors still open after the auto-close timeout are
+// closed by the fridge itself.
+//
+// Per second: dT = openRate * openness * (ambient - T) - coolRate * (T - setpoint)
+// where openness is the sum of the open fractions of the doors.
+//
+// Events (THREE.EventDispatcher):
+//   'change'       - { temperature, openness } displayed temperature changed (0.1°C steps)
+//   'alarm'        - { temperature } temperature rose above the threshold
+//   'alarmcleared' - { temperature } temperature fell back below threshold - hysteresis
+//   'autoclose'    - { doors } doors closed by the auto-close timeout
+
+class FridgeTemperature extends THREE.EventDispatcher {
+    constructor(options = {}) {
+        super();
+        this.setpoint = options.setpoint !== undefined ? options.setpoint : 4;   // °C
+        this.ambient = options.ambient !== undefined ? options.ambient : 22;     // °C, kitchen air
+        this.openRate = options.openRate !== undefined ? options.openRate : 0.02; // 1/s for a fully open door
+        this.coolRate = options.coolRate !== undefined ? options.coolRate : 0.01; // 1/s
+        this.alarmThreshold = options.alarmThreshold !== undefined ? options.alarmThreshold : 8; // °C
+        this.hysteresis = options.hysteresis !== undefined ? options.hysteresis : 1;             // °C
+        this.autoCloseAfter = options.autoCloseAfter !== undefined ? options.autoCloseAfter : 10000; // ms after the alarm, 0 = never
+        this.sound = options.sound !== undefined ? options.sound : true;
+        this.beepInterval = options.beepInterval || 1000; // ms
+
+        this.temperature = options.temperature !== undefined ? options.temperature : this.setpoint;
+        this.displayed = null;
+        this.alarm = false;
+        this.alarmStart = 0;
+        this.lastBeep = 0;
+        this.lastTime = null;
+
+        this.openSince = new Map(); // door part name -> time it opened
+        this.audioContext = null;
+
+        this.animator = null;
+        this.onPartOpen = (event) => this.handleDoor(event, true);
+        this.onPartClose = (event) => this.handleDoor(event, false);
+
+        console.log(`🌡️ Fridge temperature model ready (${this.setpoint}°C, alarm at ${this.alarmThreshold}°C)`);
+    }
+
+    // Follow the doors registered with a HingedPartAnimator (see doorAnimations.js).
+    // doors: part names to follow; by default every part whose node is marked isDoor
+    attachDoors(animator, doors = null) {
+        this.detachDoors();
+        this.animator = animator;
+        this.doorNames = doors;
+        animator.addEventListener('open', this.onPartOpen);
+        animator.addEventListener('close', this.onPartClose);
+
+        animator.getPartNames().forEach(name => {
+            if (this.isDoorPart(name) && animator.isOpen(name)) {
+                this.openSince.set(name, performance.now());
+            }
+        });
+    }
+
+    detachDoors() {
+        if (!this.animator) return;
+        this.animator.removeEventListener('open', this.onPartOpen);
+        this.animator.removeEventListener('close', this.onPartClose);
+        this.animator = null;
+        this.openSince.clear();
+    }
+
+    isDoorPart(name) {
+        if (this.doorNames) {
+            return this.doorNames.includes(name);
+        }
+        const part = this.animator.getPart(name);
+        return !!part && part.object.userData.isDoor === true;
+    }
+
+    handleDoor(event, open) {
+        if (!this.isDoorPart(event.part)) return;
+
+        if (open) {
+            this.openSince.set(event.part, performance.now());
+        } else {
+            this.openSince.delete(event.part);
+        }
+    }
+
+    // Sum of the open fractions of the doors, 0 when all are closed
+    getOpenness() {
+        let openness = 0;
+        this.openSince.forEach((since, name) => {
+            openness += this.animator.getOpenFraction(name);
+        });
+        return openness;
+    }
+
+    setSoundEnabled(enabled) {
+        this.sound = enabled;
+    }
+
+    setAutoCloseAfter(milliseconds) {
+        this.autoCloseAfter = milliseconds;
+    }
+
+    // Advance the simulation; call once per frame
+    update(time = performance.now()) {
+        const seconds = this.lastTime === null ? 0 : (time - this.lastTime) / 1000;
+        this.lastTime = time;
+
+        const openness = this.animator ? this.getOpenness() : 0;
+
+        // Exact solution for the interval, so long frames (background tab) stay stable
+        const rate = this.openRate * openness + this.coolRate;
+        if (seconds > 0 && rate > 0) {
+            const equilibrium = (this.openRate * openness * this.ambient + this.coolRate * this.setpoint) / rate;
+            this.temperature = equilibrium + (this.temperature - equilibrium) * Math.exp(-rate * seconds);
+        }
+
+        const displayed = Math.round(this.temperature * 10) / 10;
+        if (displayed !== this.displayed) {
+            this.displayed = displayed;
+            this.dispatchEvent({ type: 'change', temperature: displayed, openness: openness });
+        }
+
+        this.updateAlarm(time);
+    }
+
+    updateAlarm(time) {
+        if (!this.alarm && this.temperature > this.alarmThreshold) {
+            this.alarm = true;
+            this.alarmStart = time;
+            this.lastBeep = 0;
+            console.warn(`🌡️ Door left open: ${this.temperature.toFixed(1)}°C`);
+            this.dispatchEvent({ type: 'alarm', temperature: this.temperature });
+        } else if (this.alarm && this.temperature < this.alarmThreshold - this.hysteresis) {
+            this.alarm = false;
+            console.log(`🌡️ Temperature back to ${this.temperature.toFixed(1)}°C`);
+            this.dispatchEvent({ type: 'alarmcleared', temperature: this.temperature });
+        }
+
+        if (!this.alarm) return;
+
+        if (this.sound && this.openSince.size > 0 && time - this.lastBeep >= this.beepInterval) {
+            this.lastBeep = time;
+            this.beep();
+        }
+
+        if (this.autoCloseAfter > 0) {
+            this.autoCloseDoors(time);
+        }
+    }
+
+    // Close doors that stayed open autoCloseAfter ms into the alarm (or since they were reopened)
+    autoCloseDoors(time) {
+        const doors = [];
+        this.openSince.forEach((since, name) => {
+            const part = this.animator.getPart(name);
+            if (!part || part.target === 0) return; // Already closing
+
+            if (time - Math.max(since, this.alarmStart) >= this.autoCloseAfter) {
+                this.animator.close(name);
+                doors.push(name);
+            }
+        });
+
+        if (doors.length > 0) {
+            console.log(`🌡️ Auto-closing ${doors.join(', ')}`);
+            this.dispatchEvent({ type: 'autoclose', doors: doors });
+        }
+    }
+
+    // Short alarm tone; silently skipped where Web Audio is not available
+    beep() {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return;
+
+        if (!this.audioContext) {
+            this.audioContext = new AudioContextClass();
+        }
+
+        const context = this.audioContext;
+        const oscillator = context.createOscillator();
+        const gain = context.createGain();
+        oscillator.type = 'square';
+        oscillator.frequency.value = 880;
+        gain.gain.value = 0.05;
+        oscillator.connect(gain);
+        gain.connect(context.destination);
+        oscillator.start();
+        oscillator.stop(context.currentTime + 0.15);
+    }
+
+    isAlarm() {
+        return this.alarm;
+    }
+
+    dispose() {
+        this.detachDoors();
+        if (this.audioContext) {
+            this.audioContext.close();
+            this.audioContext = null;
+        }
+    }
+}
+
+// Make it globally available
+window.FridgeTemperature = FridgeTemperature;
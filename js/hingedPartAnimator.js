@@ -0,0 +1,321 @@
+// Hinged Part Animator
+// Opens and closes articulated parts of a model (doors, freezer flap, drawers).
+// Each part is a named node with a motion ('rotate' around a hinge or 'slide'
+// along an axis), an axis and pivot in the part's local space, closed/open
+// limits, easing and duration. The part's transform when it is registered is
+// its closed pose.
+//
+// Events (THREE.EventDispatcher), all with { part, object, fraction }:
+//   'open'    - the part left its closed position
+//   'opened'  - the part reached its open limit
+//   'closing' - the part started moving back to closed
+//   'close'   - the part is fully closed again
+//   'change'  - the open fraction changed (every animated frame)
+
+const PART_EASINGS = {
+    linear: t => t,
+    easeInOutQuad: t => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t),
+    easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+    easeInOutCubic: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2)
+};
+
+const PART_AXES = {
+    x: new THREE.Vector3(1, 0, 0),
+    y: new THREE.Vector3(0, 1, 0),
+    z: new THREE.Vector3(0, 0, 1)
+};
+
+class HingedPartAnimator extends THREE.EventDispatcher {
+    constructor() {
+        super();
+        this.parts = new Map(); // name -> part state
+        this.tempQuaternion = new THREE.Quaternion();
+        this.tempVector = new THREE.Vector3();
+
+        console.log('🚪 HingedPartAnimator initialized');
+    }
+
+    /**
+     * Register a node as an articulated part
+     * @param {string} name - Name used to drive the part
+     * @param {THREE.Object3D} object - The node to move
+     * @param {Object} [options]
+     * @param {string} [options.motion='rotate'] - 'rotate' or 'slide'
+     * @param {string|THREE.Vector3} [options.axis='y'] - Local hinge or slide axis
+     * @param {Object} [options.pivot] - Hinge position relative to the node origin, in local units
+     * @param {Object} [options.limits] - { closed, open } angle in radians (rotate) or distance (slide)
+     * @param {string|Function} [options.easing='easeInOutQuad'] - Easing name or function of t in [0, 1]
+     * @param {number} [options.duration=1000] - Milliseconds for a full close-to-open move
+     * @returns {Object} The part state
+     */
+    register(name, object, options = {}) {
+        if (this.parts.has(name)) {
+            this.unregister(name);
+        }
+
+        const motion = options.motion || 'rotate';
+        if (motion !== 'rotate' && motion !== 'slide') {
+            throw new Error(`Part ${name}: unknown motion "${motion}"`);
+        }
+
+        const axis = typeof options.axis === 'string' || options.axis === undefined
+            ? PART_AXES[options.axis || 'y']
+            : options.axis;
+        if (!axis) {
+            throw new Error(`Part ${name}: unknown axis "${options.axis}"`);
+        }
+
+        const easing = typeof options.easing === 'function'
+            ? options.easing
+            : PART_EASINGS[options.easing || 'easeInOutQuad'];
+        if (!easing) {
+            throw new Error(`Part ${name}: unknown easing "${options.easing}"`);
+        }
+
+        const limits = options.limits || {};
+        const pivot = options.pivot || {};
+
+        const part = {
+            name: name,
+            object: object,
+            motion: motion,
+            axis: axis.clone().normalize(),
+            pivot: new THREE.Vector3(pivot.x || 0, pivot.y || 0, pivot.z || 0),
+            closed: limits.closed !== undefined ? limits.closed : 0,
+            open: limits.open !== undefined ? limits.open : (motion === 'rotate' ? Math.PI / 2 : 1),
+            easing: easing,
+            duration: options.duration !== undefined ? options.duration : 1000,
+            basePosition: object.position.clone(),
+            baseQuaternion: object.quaternion.clone(),
+            fraction: 0,
+            target: 0,
+            animation: null
+        };
+
+        object.userData.articulatedPart = name;
+        this.parts.set(name, part);
+        this.applyFraction(part);
+
+        console.log(`🚪 Registered ${motion} part ${name} (${object.name})`);
+        return part;
+    }
+
+    // Put the part back in its closed pose and stop driving it
+    unregister(name) {
+        const part = this.parts.get(name);
+        if (!part) return;
+
+        part.object.position.copy(part.basePosition);
+        part.object.quaternion.copy(part.baseQuaternion);
+        delete part.object.userData.articulatedPart;
+        this.parts.delete(name);
+    }
+
+    // Move the closed pose of a part (a shelf moved to another rail); the open fraction is kept
+    setBasePosition(name, position) {
+        const part = this.requirePart(name);
+        part.basePosition.copy(position);
+        this.applyFraction(part);
+    }
+
+    getPart(name) {
+        return this.parts.get(name) || null;
+    }
+
+    getPartNames() {
+        return Array.from(this.parts.keys());
+    }
+
+    // Part name of an object or any of its ancestors, or null
+    findPartName(object) {
+        let current = object;
+        while (current) {
+            if (current.userData.articulatedPart && this.parts.has(current.userData.articulatedPart)) {
+                return current.userData.articulatedPart;
+            }
+            current = current.parent;
+        }
+        return null;
+    }
+
+    open(name, options = {}) {
+        return this.animateTo(name, 1, options);
+    }
+
+    close(name, options = {}) {
+        return this.animateTo(name, 0, options);
+    }
+
+    // Reverses a part that is moving, otherwise opens a closed part and closes an open one
+    toggle(name, options = {}) {
+        const part = this.requirePart(name);
+        return this.animateTo(name, part.target > 0.5 ? 0 : 1, options);
+    }
+
+    isOpen(name) {
+        const part = this.parts.get(name);
+        return !!part && part.fraction > 0;
+    }
+
+    getOpenFraction(name) {
+        const part = this.parts.get(name);
+        return part ? part.fraction : 0;
+    }
+
+    /**
+     * Move a part to an open fraction
+     * @param {string} name - Part name
+     * @param {number} fraction - 0 closed .. 1 open
+     * @param {Object} [options] - { animate: false, duration }
+     * @returns {Promise} Resolves when the part got there (or was redirected)
+     */
+    setOpenFraction(name, fraction, options = {}) {
+        if (options.animate) {
+            return this.animateTo(name, fraction, options);
+        }
+
+        const part = this.requirePart(name);
+        if (part.animation) {
+            part.animation.resolve();
+            part.animation = null;
+        }
+        part.target = THREE.MathUtils.clamp(fraction, 0, 1);
+        this.setFraction(part, part.target);
+        return Promise.resolve();
+    }
+
+    animateTo(name, fraction, options = {}) {
+        const part = this.requirePart(name);
+        const target = THREE.MathUtils.clamp(fraction, 0, 1);
+
+        if (part.animation) {
+            part.animation.resolve();
+        }
+        if (target < part.target && part.fraction > 0) {
+            this.emit('closing', part);
+        }
+        part.target = target;
+
+        const distance = Math.abs(target - part.fraction);
+        const duration = (options.duration !== undefined ? options.duration : part.duration) * distance;
+        if (distance === 0 || duration <= 0) {
+            part.animation = null;
+            this.setFraction(part, target);
+            return Promise.resolve();
+        }
+
+        return new Promise(resolve => {
+            part.animation = {
+                from: part.fraction,
+                to: target,
+                startTime: performance.now(),
+                duration: duration,
+                resolve: resolve
+            };
+        });
+    }
+
+    // Advance running animations; call once per frame
+    update(time = performance.now()) {
+        this.parts.forEach(part => {
+            const animation = part.animation;
+            if (!animation) return;
+
+            const progress = Math.min((time - animation.startTime) / animation.duration, 1);
+            const eased = part.easing(progress);
+            this.setFraction(part, animation.from + (animation.to - animation.from) * eased);
+
+            if (progress >= 1) {
+                part.animation = null;
+                animation.resolve();
+            }
+        });
+    }
+
+    setFraction(part, fraction) {
+        const previous = part.fraction;
+        if (fraction === previous) return;
+
+        part.fraction = fraction;
+        this.applyFraction(part);
+
+        if (previous === 0 && fraction > 0) {
+            this.emit('open', part);
+        }
+        this.emit('change', part);
+        if (fraction === 1 && previous < 1) {
+            this.emit('opened', part);
+        }
+        if (fraction === 0 && previous > 0) {
+            this.emit('close', part);
+        }
+    }
+
+    // Pose the node for its current fraction relative to the closed pose
+    applyFraction(part) {
+        const amount = part.closed + (part.open - part.closed) * part.fraction;
+        const object = part.object;
+
+        if (part.motion === 'slide') {
+            this.tempVector.copy(part.axis).multiplyScalar(amount).applyQuaternion(part.baseQuaternion);
+            object.position.copy(part.basePosition).add(this.tempVector);
+            return;
+        }
+
+        // Rotate around the pivot: keep the hinge point where it is in the parent's space
+        this.tempQuaternion.setFromAxisAngle(part.axis, amount);
+        object.quaternion.copy(part.baseQuaternion).multiply(this.tempQuaternion);
+
+        this.tempVector.copy(part.pivot).multiply(object.scale);
+        const hingeClosed = this.tempVector.clone().applyQuaternion(part.baseQuaternion);
+        const hingeNow = this.tempVector.applyQuaternion(object.quaternion);
+        object.position.copy(part.basePosition).add(hingeClosed).sub(hingeNow);
+    }
+
+    /**
+     * World position a point on the part would have at an open fraction, without moving it
+     * @param {string} name - Part name
+     * @param {number} fraction - 0 closed .. 1 open
+     * @param {THREE.Vector3} localPoint - Point in the part's local space
+     * @param {THREE.Vector3} target - Receives the world position
+     * @returns {THREE.Vector3} target
+     */
+    getWorldPointAt(name, fraction, localPoint, target) {
+        const part = this.requirePart(name);
+        const current = part.fraction;
+
+        part.fraction = fraction;
+        this.applyFraction(part);
+        part.object.updateMatrixWorld(true);
+        part.object.localToWorld(target.copy(localPoint));
+
+        part.fraction = current;
+        this.applyFraction(part);
+        part.object.updateMatrixWorld(true);
+        return target;
+    }
+
+    emit(type, part) {
+        this.dispatchEvent({
+            type: type,
+            part: part.name,
+            object: part.object,
+            fraction: part.fraction
+        });
+    }
+
+    requirePart(name) {
+        const part = this.parts.get(name);
+        if (!part) {
+            throw new Error(`Unknown articulated part "${name}"`);
+        }
+        return part;
+    }
+
+    dispose() {
+        Array.from(this.parts.keys()).forEach(name => this.unregister(name));
+    }
+}
+
+// Make it globally available
+window.HingedPartAnimator = HingedPartAnimator;
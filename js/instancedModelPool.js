@@ -0,0 +1,198 @@
+// Instanced Model Pool
+// Draws every copy of a repeated single-mesh model with one InstancedMesh.
+// Each copy is represented by an InstanceProxy: an empty Object3D that can be
+// moved, registered, dragged and raycast like a normal model, while the pool
+// copies its transform into the instance matrix before every render.
+
+class InstanceProxy extends THREE.Object3D {
+    constructor(pool, instanceId) {
+        super();
+        this.type = 'InstanceProxy';
+        this.isInstanceProxy = true;
+        this.pool = pool;
+        this.instanceId = instanceId;
+    }
+
+    // Raycast against this instance only and report the proxy as the hit object
+    raycast(raycaster, intersects) {
+        this.pool.raycastInstance(this, raycaster, intersects);
+    }
+
+    // Per-instance color (multiplies the shared material color)
+    setColor(color) {
+        this.pool.setColorAt(this.instanceId, color);
+    }
+
+    getColor(target = new THREE.Color()) {
+        return this.pool.getColorAt(this.instanceId, target);
+    }
+}
+
+class InstancedModelPool {
+    constructor(scene, geometry, material, options = {}) {
+        this.scene = scene;
+        this.geometry = geometry;
+        this.material = material;
+        this.name = options.name || 'instanced model';
+        this.castShadow = options.castShadow !== false;
+        this.receiveShadow = options.receiveShadow !== false;
+
+        // Transform of the mesh inside its glTF scene, applied under each proxy
+        this.baseMatrix = options.baseMatrix ? options.baseMatrix.clone() : new THREE.Matrix4();
+
+        this.proxies = [];  // By instance id, null where an instance was released
+        this.freeIds = [];  // Released instance ids, reused before the mesh grows
+        this.hiddenMatrix = new THREE.Matrix4().makeScale(0, 0, 0);
+        this.tempMatrix = new THREE.Matrix4();
+
+        // Used to raycast a single instance with the regular Mesh code path
+        this.raycastMesh = new THREE.Mesh(geometry, material);
+
+        this.mesh = this.createMesh(options.capacity || 16);
+        this.scene.add(this.mesh);
+
+        console.log(`🧩 Instanced pool created: ${this.name} (capacity ${this.getCapacity()})`);
+    }
+
+    // Build an InstancedMesh with a white color per instance
+    createMesh(capacity) {
+        const mesh = new THREE.InstancedMesh(this.geometry, this.material, capacity);
+        mesh.name = `${this.name} (instanced)`;
+        mesh.count = 0;
+        mesh.castShadow = this.castShadow;
+        mesh.receiveShadow = this.receiveShadow;
+        mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+
+        // Instances are spread over the scene, so the geometry's bounds say nothing
+        mesh.frustumCulled = false;
+
+        // The color attribute has to exist before the first render to be picked up by the shader
+        const colors = new Float32Array(capacity * 3).fill(1);
+        mesh.instanceColor = new THREE.InstancedBufferAttribute(colors, 3);
+
+        for (let i = 0; i < capacity; i++) {
+            mesh.setMatrixAt(i, this.hiddenMatrix);
+        }
+
+        mesh.onBeforeRender = () => this.update();
+        return mesh;
+    }
+
+    getCapacity() {
+        return this.mesh.instanceMatrix.count;
+    }
+
+    // Create a proxy for a new instance, reusing a released instance or growing the InstancedMesh if it is full
+    acquire() {
+        let instanceId = this.freeIds.pop();
+        if (instanceId === undefined) {
+            if (this.proxies.length >= this.getCapacity()) {
+                this.grow(this.getCapacity() * 2);
+            }
+            instanceId = this.proxies.length;
+        } else {
+            this.setColorAt(instanceId, 0xffffff);
+        }
+
+        const proxy = new InstanceProxy(this, instanceId);
+        this.proxies[instanceId] = proxy;
+        this.mesh.count = this.proxies.length;
+        return proxy;
+    }
+
+    // Give a proxy's instance back for the next acquire(); the proxy is not drawn or used any more
+    release(proxy) {
+        if (this.proxies[proxy.instanceId] !== proxy) return;
+
+        if (proxy.parent) {
+            proxy.parent.remove(proxy);
+        }
+        this.proxies[proxy.instanceId] = null;
+        this.freeIds.push(proxy.instanceId);
+        this.mesh.setMatrixAt(proxy.instanceId, this.hiddenMatrix);
+        this.mesh.instanceMatrix.needsUpdate = true;
+    }
+
+    // Replace the InstancedMesh with a larger one, keeping matrices and colors
+    grow(capacity) {
+        const oldMesh = this.mesh;
+        const newMesh = this.createMesh(capacity);
+
+        newMesh.instanceMatrix.array.set(oldMesh.instanceMatrix.array);
+        newMesh.instanceColor.array.set(oldMesh.instanceColor.array);
+        newMesh.count = oldMesh.count;
+
+        this.scene.remove(oldMesh);
+        oldMesh.dispose();
+        this.scene.add(newMesh);
+        this.mesh = newMesh;
+
+        console.log(`🧩 Instanced pool ${this.name} grown to ${capacity}`);
+    }
+
+    // Copy proxy transforms into the instance matrices; detached or hidden proxies are collapsed,
+    // released instances were collapsed by release(). Runs from onBeforeRender, so the shadow
+    // pass sees the previous frame's transforms
+    update() {
+        this.proxies.forEach((proxy, index) => {
+            if (!proxy) return;
+            if (proxy.parent && proxy.visible) {
+                proxy.updateWorldMatrix(true, false);
+                this.tempMatrix.multiplyMatrices(proxy.matrixWorld, this.baseMatrix);
+                this.mesh.setMatrixAt(index, this.tempMatrix);
+            } else {
+                this.mesh.setMatrixAt(index, this.hiddenMatrix);
+            }
+        });
+
+        this.mesh.instanceMatrix.needsUpdate = true;
+    }
+
+    setColorAt(index, color) {
+        const value = color && color.isColor ? color : new THREE.Color(color);
+        this.mesh.setColorAt(index, value);
+        this.mesh.instanceColor.needsUpdate = true;
+    }
+
+    getColorAt(index, target) {
+        this.mesh.getColorAt(index, target);
+        return target;
+    }
+
+    // Raycast the shared geometry placed at one proxy
+    raycastInstance(proxy, raycaster, intersects) {
+        if (!proxy.parent || !proxy.visible) return;
+
+        this.raycastMesh.matrixWorld.multiplyMatrices(proxy.matrixWorld, this.baseMatrix);
+
+        const hits = [];
+        this.raycastMesh.raycast(raycaster, hits);
+        hits.forEach(hit => {
+            hit.object = proxy;
+            hit.instanceId = proxy.instanceId;
+            intersects.push(hit);
+        });
+    }
+
+    getStats() {
+        return {
+            name: this.name,
+            instances: this.proxies.filter(proxy => proxy).length,
+            visible: this.proxies.filter(proxy => proxy && proxy.parent && proxy.visible).length,
+            capacity: this.getCapacity()
+        };
+    }
+
+    // Remove the InstancedMesh; geometry stays with the cached glTF
+    dispose() {
+        this.scene.remove(this.mesh);
+        this.mesh.dispose();
+        this.material.dispose();
+        this.proxies = [];
+        this.freeIds = [];
+    }
+}
+
+// Make them globally available
+window.InstanceProxy = InstanceProxy;
+window.InstancedModelPool = InstancedModelPool;
@@ -0,0 +1,178 @@
+// Interior Light
+// Fridge light that follows the doors: it fades in when a door opens and fades
+// out once every door is closed again, each after a configurable delay.
+// The light panel can override it ('on' / 'off') or hand it back to the doors ('auto').
+//
+// Emits { type: 'change', on, mode } when the light is switched or the mode changes.
+
+class InteriorLight extends THREE.EventDispatcher {
+    constructor(light, options = {}) {
+        super();
+        this.light = light;
+        this.bulb = options.bulb || null;
+
+        this.intensity = options.intensity !== undefined ? options.intensity : light.intensity;
+        this.fadeIn = options.fadeIn !== undefined ? options.fadeIn : 250;    // ms
+        this.fadeOut = options.fadeOut !== undefined ? options.fadeOut : 600; // ms
+        this.onDelay = options.onDelay || 0;                                  // ms after a door opens
+        this.offDelay = options.offDelay !== undefined ? options.offDelay : 300; // ms after the last door closes
+
+        this.mode = options.mode || 'auto'; // 'auto', 'on' or 'off'
+        this.openDoors = new Set();
+        this.on = this.mode === 'on';
+        this.pending = null; // { on, at } switch waiting for its delay
+        this.level = this.on ? 1 : 0; // 0..1 fade position
+        this.lastTime = null;
+
+        this.bulbOnColor = this.bulb ? this.bulb.material.color.clone() : null;
+        this.bulbOffColor = new THREE.Color(0x555544);
+
+        this.animator = null;
+        this.onPartOpen = (event) => this.handleDoor(event, true);
+        this.onPartClose = (event) => this.handleDoor(event, false);
+
+        this.apply();
+        console.log(`💡 Interior light ready (${this.mode})`);
+    }
+
+    // Follow the open/close events of the doors registered with a HingedPartAnimator.
+    // doors: part names to follow; by default every part whose node is marked isDoor
+    attachDoors(animator, doors = null) {
+        this.detachDoors();
+        this.animator = animator;
+        this.doorNames = doors;
+        animator.addEventListener('open', this.onPartOpen);
+        animator.addEventListener('close', this.onPartClose);
+
+        // Doors that are already open count right away
+        animator.getPartNames().forEach(name => {
+            if (this.isDoorPart(name) && animator.isOpen(name)) {
+                this.openDoors.add(name);
+            }
+        });
+        this.refresh(true);
+    }
+
+    detachDoors() {
+        if (!this.animator) return;
+        this.animator.removeEventListener('open', this.onPartOpen);
+        this.animator.removeEventListener('close', this.onPartClose);
+        this.animator = null;
+    }
+
+    isDoorPart(name) {
+        if (this.doorNames) {
+            return this.doorNames.includes(name);
+        }
+        const part = this.animator.getPart(name);
+        return !!part && part.object.userData.isDoor === true;
+    }
+
+    handleDoor(event, open) {
+        if (!this.isDoorPart(event.part)) return;
+
+        if (open) {
+            this.openDoors.add(event.part);
+        } else {
+            this.openDoors.delete(event.part);
+        }
+        this.refresh(false);
+    }
+
+    // Manual override from the light panel, or 'auto' to follow the doors again
+    setMode(mode) {
+        if (!['auto', 'on', 'off'].includes(mode)) {
+            throw new Error(`Unknown interior light mode "${mode}"`);
+        }
+        this.mode = mode;
+        this.refresh(true);
+    }
+
+    // Brightness when fully on
+    setIntensity(intensity) {
+        this.intensity = intensity;
+        this.apply();
+    }
+
+    isOn() {
+        return this.on;
+    }
+
+    // Work out whether the light should be on; manual changes skip the door delays
+    refresh(immediate) {
+        const wanted = this.mode === 'auto' ? this.openDoors.size > 0 : this.mode === 'on';
+
+        if (immediate) {
+            this.pending = null;
+            // The mode may have changed even if the light did not
+            if (!this.switchTo(wanted)) {
+                this.emitChange();
+            }
+            return;
+        }
+
+        if (wanted === this.on) {
+            // A door reopened before the light went out (or the reverse)
+            this.pending = null;
+            return;
+        }
+
+        const delay = wanted ? this.onDelay : this.offDelay;
+        if (delay > 0) {
+            this.pending = { on: wanted, at: performance.now() + delay };
+        } else {
+            this.pending = null;
+            this.switchTo(wanted);
+        }
+    }
+
+    // Returns true if the light was switched
+    switchTo(on) {
+        if (this.on === on) return false;
+        this.on = on;
+        this.emitChange();
+        return true;
+    }
+
+    emitChange() {
+        this.dispatchEvent({ type: 'change', on: this.on, mode: this.mode });
+    }
+
+    // Run delays and fades; call once per frame
+    update(time = performance.now()) {
+        const delta = this.lastTime === null ? 0 : time - this.lastTime;
+        this.lastTime = time;
+
+        if (this.pending && time >= this.pending.at) {
+            const on = this.pending.on;
+            this.pending = null;
+            this.switchTo(on);
+        }
+
+        const target = this.on ? 1 : 0;
+        if (this.level === target) return;
+
+        const fade = this.on ? this.fadeIn : this.fadeOut;
+        const step = fade > 0 ? delta / fade : 1;
+        this.level = this.on
+            ? Math.min(1, this.level + step)
+            : Math.max(0, this.level - step);
+        this.apply();
+    }
+
+    apply() {
+        this.light.intensity = this.intensity * this.level;
+        this.light.visible = this.level > 0;
+
+        if (this.bulb) {
+            this.bulb.material.color.copy(this.bulbOffColor).lerp(this.bulbOnColor, this.level);
+        }
+    }
+
+    dispose() {
+        this.detachDoors();
+    }
+}
+
+// Make it globally available
+window.InteriorLight = InteriorLight;
@@ -0,0 +1,256 @@
+// Item Slots
+// Named places in containers that items snap into: egg cups in a carton, bottle spots in
+// a door bin, jar spots on a shelf. An item dropped near a free slot that accepts it goes
+// into the slot with the slot's orientation (DropSettler animates the snap). An item in a
+// slot is attached to its container, so it moves with the carton, shelf or door, and
+// leaves the slot when it is picked up again. Occupancy is kept by the FoodObjectManager
+// (getSlot, getSlots, getFreeSlots, getItemSlot).
+//
+// Config (scene manifest "slots"):
+//   [
+//     { "id": "carton_cups", "label": "Egg Cups", "container": "open_egg_carton",
+//       "accepts": ["egg"], "radius": 0.8, "rotation": { "x": 0, "y": 0, "z": 0 },
+//       "positions": [ { "x": -1.3, "y": 0.3, "z": -0.8 }, { "x": 0, "y": 0.3, "z": 0.8, "taken": true } ] }
+//   ]
+// container is the id of a food item, fixture or door bin. Positions are offsets in world
+// units from the container's origin along the container's own axes, rotation (degrees) is
+// the orientation of a slotted item relative to the container. Each position is a slot
+// named <id>_<n>, counting from 1. "taken" marks a place the container's model fills
+// itself (the eggs of a carton scan). Items fit the slots whose accepts list their
+// "slotKind" (default: their itemType); a manifest item with "slot" starts in that slot.
+
+class ItemSlots {
+    constructor(scene, foodObjectManager, options = {}) {
+        this.scene = scene;
+        this.foodObjectManager = foodObjectManager;
+
+        this.radius = options.radius || 1;  // Horizontal snap distance, world units
+        this.reach = options.reach || 2.5;  // Height difference still counted as near
+
+        this.groups = new Map(); // Group id -> slot ids
+        this.dragControls = null;
+
+        this.onDragStart = (event) => this.release(event.object);
+
+        console.log('🥚 Item slots initialized');
+    }
+
+    /**
+     * Create the slots of a config on their containers
+     * Containers must be at the place the offsets were written for
+     * @param {Array} config - Slot groups (see the top of this file)
+     * @param {Function} findContainer - Container id -> THREE.Object3D or null
+     * @returns {Array<string>} Ids of the created slots
+     */
+    create(config, findContainer) {
+        const created = [];
+
+        (config || []).forEach(group => {
+            const node = findContainer(group.container);
+            if (!node) {
+                console.warn(`🥚 Slots ${group.id}: container "${group.container}" not found`);
+                return;
+            }
+
+            node.updateWorldMatrix(true, false);
+            const scale = new THREE.Vector3();
+            node.matrixWorld.decompose(new THREE.Vector3(), new THREE.Quaternion(), scale);
+
+            const rotation = group.rotation || {};
+            const quaternion = new THREE.Quaternion().setFromEuler(new THREE.Euler(
+                THREE.MathUtils.degToRad(rotation.x || 0),
+                THREE.MathUtils.degToRad(rotation.y || 0),
+                THREE.MathUtils.degToRad(rotation.z || 0)
+            ));
+
+            const ids = group.positions.map((position, index) => {
+                const id = `${group.id}_${index + 1}`;
+                this.foodObjectManager.registerSlot({
+                    id: id,
+                    group: group.id,
+                    label: `${group.label || group.id} ${index + 1}`,
+                    container: group.container,
+                    accepts: group.accepts.slice(),
+                    radius: group.radius || this.radius,
+                    node: node,
+                    position: new THREE.Vector3(position.x, position.y, position.z).divide(scale), // In the node's space
+                    quaternion: quaternion.clone(),
+                    taken: !!position.taken
+                });
+                return id;
+            });
+
+            this.groups.set(group.id, ids);
+            created.push(...ids);
+        });
+
+        console.log(`🥚 ${created.length} slots ready`);
+        return created;
+    }
+
+    /**
+     * World position and orientation of an item in a slot
+     * @param {string} id - Slot id
+     * @returns {{position: THREE.Vector3, quaternion: THREE.Quaternion}}
+     */
+    getWorldTransform(id) {
+        const slot = this.requireSlot(id);
+        slot.node.updateWorldMatrix(true, false);
+        return {
+            position: slot.node.localToWorld(slot.position.clone()),
+            quaternion: slot.node.getWorldQuaternion(new THREE.Quaternion()).multiply(slot.quaternion)
+        };
+    }
+
+    requireSlot(id) {
+        const slot = this.foodObjectManager.getSlot(id);
+        if (!slot) {
+            throw new Error(`Unknown slot: ${id}`);
+        }
+        return slot;
+    }
+
+    /**
+     * The slot takes the item: it accepts its kind and does not belong to the item itself
+     * @param {Object} slot - Slot of the FoodObjectManager
+     * @param {THREE.Object3D} object - Food object
+     */
+    fits(slot, object) {
+        const entry = this.foodObjectManager.getFoodObject(object.userData.foodObjectName);
+        if (!entry || !slot.accepts.includes(entry.slotKind || entry.itemType)) return false;
+
+        // A carton does not go into its own cups
+        for (let current = slot.node; current; current = current.parent) {
+            if (current === object) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Nearest free slot that takes the item, within its radius of the item's origin
+     * @param {THREE.Object3D} object - Food object
+     * @returns {Object|null} Slot of the FoodObjectManager
+     */
+    findSlot(object) {
+        const origin = object.getWorldPosition(new THREE.Vector3());
+        let best = null;
+        let bestDistance = Infinity;
+
+        this.foodObjectManager.getFreeSlots().forEach(slot => {
+            if (!this.fits(slot, object)) return;
+
+            const position = this.getWorldTransform(slot.id).position;
+            const distance = Math.hypot(position.x - origin.x, position.z - origin.z);
+            if (distance <= slot.radius && Math.abs(position.y - origin.y) <= this.reach && distance < bestDistance) {
+                best = slot;
+                bestDistance = distance;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * A container has a free slot the item fits, e.g. a carton with an empty cup for an egg
+     * @param {THREE.Object3D} container - Food object, fixture or bin node
+     * @param {THREE.Object3D} object - Food object
+     */
+    hasFreeSlot(container, object) {
+        return this.foodObjectManager.getFreeSlots().some(slot => slot.node === container && this.fits(slot, object));
+    }
+
+    /**
+     * Put an item in a slot: it is attached to the container with the slot's transform
+     * @param {THREE.Object3D} object - Food object
+     * @param {string} id - Slot id
+     * @returns {boolean} False if the slot is taken or does not take the item
+     */
+    place(object, id) {
+        const slot = this.requireSlot(id);
+        const name = object.userData.foodObjectName;
+        if (slot.occupant === name) return true;
+        if (slot.taken || slot.occupant || !this.fits(slot, object)) return false;
+
+        this.release(object);
+        slot.node.attach(object);
+        object.position.copy(slot.position);
+        object.quaternion.copy(slot.quaternion);
+        this.foodObjectManager.setSlotOccupant(id, name);
+
+        console.log(`🥚 ${object.userData.name || name} placed in ${slot.label}`);
+        return true;
+    }
+
+    /**
+     * Take an item out of its slot, back into the scene with its world transform
+     * @param {THREE.Object3D} object - Food object
+     */
+    release(object) {
+        const name = object.userData.foodObjectName;
+        const slot = this.foodObjectManager.getItemSlot(name);
+        if (!slot) return;
+
+        this.scene.attach(object);
+        this.foodObjectManager.setSlotOccupant(slot.id, null);
+    }
+
+    /**
+     * Put manifest items into the slots they declare
+     * @param {Array} entries - Manifest item entries
+     * @param {Function} findObject - Manifest id -> THREE.Object3D or null
+     * @returns {number} Number of items placed
+     */
+    placeDeclared(entries, findObject) {
+        let count = 0;
+        entries.forEach(entry => {
+            const object = entry.slot ? findObject(entry.id) : null;
+            if (!object) return;
+            if (!this.foodObjectManager.getSlot(entry.slot)) {
+                console.warn(`🥚 ${entry.id}: slot ${entry.slot} was not created`);
+                return;
+            }
+
+            if (this.place(object, entry.slot)) {
+                // Resetting puts the item back where the slot held it
+                const transform = this.getWorldTransform(entry.slot);
+                this.foodObjectManager.updateMetadata(object.userData.foodObjectName, {
+                    originalPosition: transform.position,
+                    originalRotation: new THREE.Euler().setFromQuaternion(transform.quaternion)
+                });
+                count++;
+            } else {
+                console.warn(`🥚 ${entry.id} does not fit slot ${entry.slot}`);
+            }
+        });
+        return count;
+    }
+
+    // Items picked up with the drag controls leave their slot; DropSettler snaps dropped ones in
+    attachDragControls(dragControls) {
+        this.detachDragControls();
+        this.dragControls = dragControls;
+        dragControls.addEventListener('dragstart', this.onDragStart);
+    }
+
+    detachDragControls() {
+        if (!this.dragControls) return;
+        this.dragControls.removeEventListener('dragstart', this.onDragStart);
+        this.dragControls = null;
+    }
+
+    dispose() {
+        this.detachDragControls();
+
+        this.groups.forEach(ids => ids.forEach(id => {
+            const occupant = this.foodObjectManager.getSlotOccupant(id);
+            if (occupant) {
+                this.release(occupant.object);
+            }
+            this.foodObjectManager.removeSlot(id);
+        }));
+        this.groups.clear();
+    }
+}
+
+// Make it globally available
+window.ItemSlots = ItemSlots;
@@ -0,0 +1,107 @@
+// Model Load Errors
+// Typed failures of the model loader. kind is one of 'not-found', 'parse',
+// 'timeout', 'network' or 'cancelled'; retryable tells the load policy whether
+// another attempt can succeed.
+
+const LOAD_ERROR_REASONS = {
+    'not-found': 'file not found',
+    'parse': 'could not be parsed',
+    'timeout': 'timed out',
+    'network': 'download failed',
+    'cancelled': 'cancelled'
+};
+
+class ModelLoadError extends Error {
+    constructor(message, options = {}) {
+        super(message);
+        this.name = 'ModelLoadError';
+        this.kind = options.kind || 'network';
+        this.path = options.path || null;
+        this.status = options.status || 0;
+        this.retryable = options.retryable !== undefined ? options.retryable : true;
+        this.cause = options.cause || null;
+        this.attempts = 1;
+    }
+
+    // Turn whatever GLTFLoader rejected with into a typed error.
+    // FileLoader reports HTTP failures with the XMLHttpRequest progress event,
+    // anything thrown while decoding the file is a parse error.
+    static from(error, path) {
+        if (error instanceof ModelLoadError || (error && error.isCancelled)) {
+            return error;
+        }
+
+        const request = error && error.target;
+        if (request && typeof request.status === 'number') {
+            if (request.status === 404 || request.status === 410) {
+                return new ModelNotFoundError(path, request.status);
+            }
+            return new ModelNetworkError(path, request.status, error);
+        }
+
+        return new ModelParseError(path, error);
+    }
+
+    // Short human readable reason for an error kind
+    static describe(kind) {
+        return LOAD_ERROR_REASONS[kind] || kind;
+    }
+}
+
+class ModelNotFoundError extends ModelLoadError {
+    constructor(path, status = 404) {
+        super(`Model file ${path} was not found (HTTP ${status})`, {
+            kind: 'not-found', path, status, retryable: false
+        });
+        this.name = 'ModelNotFoundError';
+    }
+}
+
+class ModelParseError extends ModelLoadError {
+    constructor(path, cause) {
+        const reason = cause && cause.message ? cause.message : String(cause);
+        super(`Model file ${path} could not be parsed: ${reason}`, {
+            kind: 'parse', path, cause, retryable: false
+        });
+        this.name = 'ModelParseError';
+    }
+}
+
+class ModelTimeoutError extends ModelLoadError {
+    constructor(path, timeout) {
+        super(`Model file ${path} sent no data for ${timeout}ms`, {
+            kind: 'timeout', path, retryable: true
+        });
+        this.name = 'ModelTimeoutError';
+        this.timeout = timeout;
+    }
+}
+
+class ModelNetworkError extends ModelLoadError {
+    constructor(path, status, cause) {
+        super(status
+            ? `Model file ${path} could not be downloaded (HTTP ${status})`
+            : `Model file ${path} could not be downloaded`, {
+            kind: 'network', path, status, cause, retryable: true
+        });
+        this.name = 'ModelNetworkError';
+    }
+}
+
+class LoadCancelledError extends Error {
+    constructor(key) {
+        super(`Loading ${key} was cancelled`);
+        this.name = 'LoadCancelledError';
+        this.kind = 'cancelled';
+        this.isCancelled = true;
+        this.key = key;
+    }
+}
+
+// Make them globally available
+window.ModelLoadError = ModelLoadError;
+window.ModelNotFoundError = ModelNotFoundError;
+window.ModelParseError = ModelParseError;
+window.ModelTimeoutError = ModelTimeoutError;
+window.ModelNetworkError = ModelNetworkError;
+window.LoadCancelledError = LoadCancelledError;
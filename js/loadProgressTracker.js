@@ -0,0 +1,208 @@
+// Load Progress Tracker
+// Combines the progress of every queued model file into one overall value.
+// Files with a known size count by bytes, files without one count as a unit,
+// so a few large scans do not make the bar stall on many small models.
+//
+// Emits { type: 'progress', percent, loadedBytes, totalBytes, current, asset, assets }
+
+class LoadProgressTracker extends THREE.EventDispatcher {
+    constructor() {
+        super();
+        this.assets = new Map(); // path -> { path, label, names, status, loaded, total, error }
+        this.current = null;
+        this.lastPercent = 0;
+    }
+
+    // Register files that are about to load so the total is known up front
+    // configs: [{ name, path, label }]
+    queue(configs, options = {}) {
+        if (this.isComplete()) {
+            this.reset();
+        }
+
+        configs.forEach(config => this.ensureAsset(config));
+        this.emit(null);
+
+        if (options.probeSizes !== false) {
+            this.probeSizes();
+        }
+    }
+
+    // Ask the server for file sizes so byte progress is known before downloads start
+    probeSizes() {
+        this.assets.forEach(asset => {
+            if (asset.total > 0 || asset.status !== 'queued') return;
+
+            fetch(asset.path, { method: 'HEAD' })
+                .then(response => {
+                    const length = parseInt(response.headers.get('content-length'), 10);
+                    if (response.ok && length > 0 && asset.total === 0) {
+                        asset.total = length;
+                        this.emit(asset);
+                    }
+                })
+                .catch(() => {
+                    // Size stays unknown, the file counts as one unit
+                });
+        });
+    }
+
+    ensureAsset(config) {
+        let asset = this.assets.get(config.path);
+        if (!asset) {
+            asset = {
+                path: config.path,
+                label: config.label || config.name || config.path,
+                names: [],
+                status: 'queued',
+                loaded: 0,
+                total: 0,
+                error: null
+            };
+            this.assets.set(config.path, asset);
+        }
+
+        if (config.name && !asset.names.includes(config.name)) {
+            asset.names.push(config.name);
+
+            // One file used by several models is listed under its file name
+            if (asset.names.length === 2) {
+                asset.label = asset.path.split('/').pop();
+            }
+        }
+        return asset;
+    }
+
+    // A model was requested; starts a new batch if the previous one is finished
+    request(config) {
+        if (this.isComplete() && !this.assets.has(config.path)) {
+            this.reset();
+        }
+
+        const asset = this.ensureAsset(config);
+        if (asset.status === 'cancelled') {
+            asset.status = 'queued';
+        }
+        this.emit(asset);
+    }
+
+    // A model file started loading; cached files are marked done right away
+    start(config, fromCache = false) {
+        if (this.isComplete() && !this.assets.has(config.path)) {
+            this.reset();
+        }
+
+        const asset = this.ensureAsset(config);
+        if (asset.status === 'loaded') {
+            return;
+        }
+
+        asset.status = fromCache ? 'loaded' : 'loading';
+        this.current = asset.label;
+        this.emit(asset);
+    }
+
+    // Download progress from the GLTFLoader
+    update(path, loaded, total) {
+        const asset = this.assets.get(path);
+        if (!asset) return;
+
+        asset.loaded = loaded;
+        if (total > 0) {
+            asset.total = total;
+        }
+        this.current = asset.label;
+        this.emit(asset);
+    }
+
+    finish(path) {
+        const asset = this.assets.get(path);
+        if (!asset) return;
+
+        asset.status = 'loaded';
+        if (asset.total > 0) {
+            asset.loaded = asset.total;
+        }
+        this.emit(asset);
+    }
+
+    fail(path, error) {
+        const asset = this.assets.get(path);
+        if (!asset) return;
+
+        asset.status = 'failed';
+        asset.error = error ? error.message || String(error) : null;
+        this.emit(asset);
+    }
+
+    // Every requester gave up before the file started loading
+    cancel(path) {
+        const asset = this.assets.get(path);
+        if (!asset || asset.status !== 'queued') return;
+
+        asset.status = 'cancelled';
+        this.emit(asset);
+    }
+
+    isDone(asset) {
+        return asset.status === 'loaded' || asset.status === 'failed' || asset.status === 'cancelled';
+    }
+
+    isComplete() {
+        return this.assets.size > 0 && Array.from(this.assets.values()).every(asset => this.isDone(asset));
+    }
+
+    // Overall fraction: sized files weighted by bytes, unsized files by count
+    getOverall() {
+        const assets = Array.from(this.assets.values());
+        if (assets.length === 0) {
+            return { fraction: 0, loadedBytes: 0, totalBytes: 0 };
+        }
+
+        const sized = assets.filter(asset => asset.total > 0);
+        const unsized = assets.filter(asset => !(asset.total > 0));
+
+        const totalBytes = sized.reduce((sum, asset) => sum + asset.total, 0);
+        const loadedBytes = sized.reduce((sum, asset) => {
+            return sum + (this.isDone(asset) ? asset.total : Math.min(asset.loaded, asset.total));
+        }, 0);
+
+        const byteFraction = totalBytes > 0 ? loadedBytes / totalBytes : 0;
+        const unsizedDone = unsized.filter(asset => this.isDone(asset)).length;
+        const fraction = (sized.length * byteFraction + unsizedDone) / assets.length;
+
+        return { fraction, loadedBytes, totalBytes };
+    }
+
+    getAssets() {
+        return Array.from(this.assets.values()).map(asset => ({ ...asset, names: [...asset.names] }));
+    }
+
+    emit(asset) {
+        const overall = this.getOverall();
+
+        // A file size arriving late can lower the computed value; the bar should not go back
+        const percent = this.isComplete() ? 100 : Math.max(this.lastPercent, overall.fraction * 100);
+        this.lastPercent = percent;
+
+        this.dispatchEvent({
+            type: 'progress',
+            percent: percent,
+            loadedBytes: overall.loadedBytes,
+            totalBytes: overall.totalBytes,
+            current: this.current,
+            asset: asset ? { ...asset } : null,
+            assets: this.getAssets(),
+            complete: this.isComplete()
+        });
+    }
+
+    reset() {
+        this.assets.clear();
+        this.current = null;
+        this.lastPercent = 0;
+    }
+}
+
+// Make it globally available
+window.LoadProgressTracker = LoadProgressTracker;
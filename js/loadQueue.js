@@ -0,0 +1,163 @@
+// Load Queue
+// Runs model file loads with a concurrency limit, lowest priority value first.
+// Requests for the same key share one task; a queued task is dropped once every
+// requester has cancelled, a running one finishes and only its result is ignored.
+
+const LoadPriority = {
+    STRUCTURAL: 0, // Fridge and kitchen, everything else is placed in them
+    VISIBLE: 1,    // Items inside the camera view
+    HIDDEN: 2      // Items outside the view
+};
+
+class LoadQueue {
+    constructor(options = {}) {
+        this.concurrency = options.concurrency || 4;
+        this.onCancel = options.onCancel || null; // Called with the key of a dropped task
+
+        this.tasks = new Map(); // key -> task (queued or running)
+        this.pending = [];      // Queued tasks
+        this.running = 0;
+        this.order = 0;         // Keeps equal priorities in request order
+        this.pumpScheduled = false;
+    }
+
+    // Request the result of run() for key; returns a handle with promise and cancel()
+    add(key, run, priority = LoadPriority.VISIBLE, signal = null) {
+        let task = this.tasks.get(key);
+
+        if (!task) {
+            task = {
+                key: key,
+                run: run,
+                priority: priority,
+                order: this.order++,
+                status: 'queued',
+                requesters: 0
+            };
+            task.promise = new Promise((resolve, reject) => {
+                task.resolve = resolve;
+                task.reject = reject;
+            });
+            this.tasks.set(key, task);
+            this.pending.push(task);
+        } else if (task.status === 'queued' && priority < task.priority) {
+            // A more urgent requester moves the shared task forward
+            task.priority = priority;
+        }
+
+        task.requesters++;
+        const handle = this.createHandle(task, signal);
+        this.schedulePump();
+        return handle;
+    }
+
+    // Each requester gets its own promise so it can be cancelled on its own
+    createHandle(task, signal) {
+        let settled = false;
+        let rejectHandle;
+
+        const promise = new Promise((resolve, reject) => {
+            rejectHandle = reject;
+            task.promise.then(
+                value => { if (!settled) { settled = true; resolve(value); } },
+                error => { if (!settled) { settled = true; reject(error); } }
+            );
+        });
+
+        const cancel = () => {
+            if (settled) return;
+            settled = true;
+            this.release(task);
+            rejectHandle(new window.LoadCancelledError(task.key));
+        };
+
+        if (signal) {
+            if (signal.aborted) {
+                cancel();
+            } else {
+                signal.addEventListener('abort', cancel, { once: true });
+            }
+        }
+
+        return { key: task.key, promise, cancel };
+    }
+
+    release(task) {
+        task.requesters--;
+        if (task.requesters > 0 || task.status !== 'queued') return;
+
+        this.pending.splice(this.pending.indexOf(task), 1);
+        this.tasks.delete(task.key);
+        task.status = 'cancelled';
+        task.reject(new window.LoadCancelledError(task.key));
+        task.promise.catch(() => {}); // No requester is left to handle it
+
+        if (this.onCancel) {
+            this.onCancel(task.key);
+        }
+    }
+
+    has(key) {
+        return this.tasks.has(key);
+    }
+
+    // Start tasks after the current job, so requests made together are ordered by priority first
+    schedulePump() {
+        if (this.pumpScheduled) return;
+        this.pumpScheduled = true;
+
+        Promise.resolve().then(() => {
+            this.pumpScheduled = false;
+            this.pump();
+        });
+    }
+
+    // Start queued tasks until the concurrency limit is reached
+    pump() {
+        while (this.running < this.concurrency && this.pending.length > 0) {
+            this.pending.sort((a, b) => a.priority - b.priority || a.order - b.order);
+            const task = this.pending.shift();
+            this.start(task);
+        }
+    }
+
+    start(task) {
+        task.status = 'running';
+        this.running++;
+
+        Promise.resolve()
+            .then(() => task.run())
+            .then(task.resolve, task.reject)
+            .finally(() => {
+                task.status = 'done';
+                this.tasks.delete(task.key);
+                this.running--;
+                this.pump();
+            });
+    }
+
+    setConcurrency(concurrency) {
+        this.concurrency = Math.max(1, concurrency);
+        this.pump();
+    }
+
+    // Drop every queued task; running tasks are left to finish
+    cancelAll() {
+        this.pending.slice().forEach(task => {
+            task.requesters = 1;
+            this.release(task);
+        });
+    }
+
+    getStats() {
+        return {
+            queued: this.pending.length,
+            running: this.running,
+            concurrency: this.concurrency
+        };
+    }
+}
+
+// Make them globally available
+window.LoadPriority = LoadPriority;
+window.LoadQueue = LoadQueue;
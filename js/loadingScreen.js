@@ -6,8 +6,17 @@ class LoadingScreen {
         this.loadingElement = null;
         this.progressBar = null;
         this.statusText = null;
+        this.percentText = null;
+        this.currentAssetText = null;
+        this.assetList = null;
+        this.assetRows = new Map(); // Asset path -> row element
+        this.reportElement = null;
         this.isVisible = false;
         
+        // Loader progress tracker this screen listens to
+        this.tracker = null;
+        this.onTrackerProgress = (event) => this.showLoadProgress(event);
+        
         this.createLoadingScreen();
     }
 
@@ -74,6 +83,36 @@ class LoadingScreen {
             opacity: 0.8;
         `;
 
+        // Overall percentage
+        this.percentText = document.createElement('div');
+        this.percentText.textContent = '0%';
+        this.percentText.style.cssText = `
+            font-size: 1.2rem;
+            font-weight: bold;
+        `;
+
+        // Asset currently downloading
+        this.currentAssetText = document.createElement('div');
+        this.currentAssetText.style.cssText = `
+            font-size: 0.9rem;
+            margin-top: 0.5rem;
+            opacity: 0.7;
+            min-height: 1.2em;
+        `;
+
+        // Per-asset status list
+        this.assetList = document.createElement('div');
+        this.assetList.style.cssText = `
+            width: 400px;
+            max-height: 180px;
+            overflow-y: auto;
+            margin-top: 1rem;
+            font-size: 0.8rem;
+            background: rgba(0,0,0,0.15);
+            border-radius: 8px;
+            display: none;
+        `;
+
         // Loading animation
         const spinner = document.createElement('div');
         spinner.innerHTML = '⭕';
@@ -97,7 +136,10 @@ class LoadingScreen {
         progressContainer.appendChild(this.progressBar);
         this.loadingElement.appendChild(title);
         this.loadingElement.appendChild(progressContainer);
+        this.loadingElement.appendChild(this.percentText);
         this.loadingElement.appendChild(this.statusText);
+        this.loadingElement.appendChild(this.currentAssetText);
+        this.loadingElement.appendChild(this.assetList);
         this.loadingElement.appendChild(spinner);
 
         document.body.appendChild(this.loadingElement);
@@ -126,8 +168,12 @@ class LoadingScreen {
     }
 
     updateProgress(percent, statusText = '') {
+        const clamped = Math.min(100, Math.max(0, percent));
         if (this.progressBar) {
-            this.progressBar.style.width = `${Math.min(100, Math.max(0, percent))}%`;
+            this.progressBar.style.width = `${clamped}%`;
+        }
+        if (this.percentText) {
+            this.percentText.textContent = `${Math.floor(clamped)}%`;
         }
         
         if (this.statusText && statusText) {
@@ -141,6 +187,130 @@ class LoadingScreen {
         }
     }
 
+    // Follow the progress events of an OptimizedModelLoader's LoadProgressTracker
+    attachTracker(tracker) {
+        this.detachTracker();
+        this.tracker = tracker;
+        this.tracker.addEventListener('progress', this.onTrackerProgress);
+    }
+
+    detachTracker() {
+        if (this.tracker) {
+            this.tracker.removeEventListener('progress', this.onTrackerProgress);
+            this.tracker = null;
+        }
+    }
+
+    // Show overall progress, the asset being loaded and the status of every asset
+    showLoadProgress(event) {
+        const doneCount = event.assets.filter(asset => asset.status !== 'queued' && asset.status !== 'loading').length;
+        this.updateProgress(event.percent, `Loading models... (${doneCount}/${event.assets.length})`);
+
+        if (this.currentAssetText) {
+            let text = event.complete || !event.current ? '' : `📥 ${event.current}`;
+            if (text && event.totalBytes > 0) {
+                text += ` — ${formatBytes(event.loadedBytes)} / ${formatBytes(event.totalBytes)}`;
+            }
+            this.currentAssetText.textContent = text;
+        }
+
+        this.updateAssetList(event.assets);
+    }
+
+    updateAssetList(assets) {
+        if (!this.assetList) return;
+
+        this.assetList.style.display = assets.length > 0 ? 'block' : 'none';
+
+        // Drop rows of assets from an earlier batch
+        const paths = new Set(assets.map(asset => asset.path));
+        this.assetRows.forEach((row, path) => {
+            if (!paths.has(path)) {
+                row.remove();
+                this.assetRows.delete(path);
+            }
+        });
+
+        assets.forEach(asset => {
+            let row = this.assetRows.get(asset.path);
+            if (!row) {
+                row = document.createElement('div');
+                row.style.cssText = `
+                    display: flex;
+                    justify-content: space-between;
+                    padding: 3px 10px;
+                `;
+                row.appendChild(document.createElement('span'));
+                row.appendChild(document.createElement('span'));
+                this.assetList.appendChild(row);
+                this.assetRows.set(asset.path, row);
+            }
+
+            const count = asset.names.length > 1 ? ` ×${asset.names.length}` : '';
+            row.firstChild.textContent = `${ASSET_STATUS_ICONS[asset.status] || ''} ${asset.label}${count}`;
+            row.lastChild.textContent = describeAssetStatus(asset);
+            row.title = asset.error || asset.path;
+            row.style.opacity = asset.status === 'queued' ? '0.6' : '1';
+        });
+    }
+
+    // List the models that could not be loaded and why; the screen stays until the user continues
+    showLoadReport(report, errors = []) {
+        if (!this.loadingElement) return;
+
+        if (this.reportElement) {
+            this.reportElement.remove();
+        }
+
+        this.reportElement = document.createElement('div');
+        this.reportElement.style.cssText = `
+            width: 400px;
+            margin-top: 1rem;
+            padding: 10px;
+            font-size: 0.85rem;
+            background: rgba(0,0,0,0.3);
+            border-radius: 8px;
+        `;
+
+        const title = document.createElement('div');
+        title.textContent = `⚠️ ${report.failed} of ${report.total} models could not be loaded`;
+        title.style.cssText = 'font-weight: bold; margin-bottom: 6px;';
+        this.reportElement.appendChild(title);
+
+        report.failures.forEach(failure => {
+            const row = document.createElement('div');
+            const attempts = failure.attempts > 1 ? `, ${failure.attempts} attempts` : '';
+            const fallback = failure.placeholder ? 'placeholder shown' : 'not shown';
+            row.textContent = `❌ ${failure.label}: ${window.ModelLoadError.describe(failure.kind)}${attempts} (${fallback})`;
+            row.title = failure.message || failure.path;
+            row.style.cssText = 'padding: 2px 0;';
+            this.reportElement.appendChild(row);
+        });
+
+        errors.forEach(error => {
+            const row = document.createElement('div');
+            row.textContent = `❌ ${error.message || error}`;
+            row.style.cssText = 'padding: 2px 0;';
+            this.reportElement.appendChild(row);
+        });
+
+        const button = document.createElement('button');
+        button.textContent = 'Continue';
+        button.style.cssText = `
+            margin-top: 10px;
+            padding: 6px 18px;
+            border: none;
+            border-radius: 15px;
+            background: #4CAF50;
+            color: white;
+            cursor: pointer;
+        `;
+        button.addEventListener('click', () => this.hide());
+        this.reportElement.appendChild(button);
+
+        this.loadingElement.appendChild(this.reportElement);
+    }
+
     // Animated progress update
     animateProgress(targetPercent, statusText = '', duration = 300) {
         return new Promise(resolve => {
@@ -169,15 +339,48 @@ class LoadingScreen {
     }
 
     dispose() {
+        this.detachTracker();
         if (this.loadingElement) {
             document.body.removeChild(this.loadingElement);
             this.loadingElement = null;
             this.progressBar = null;
             this.statusText = null;
+            this.percentText = null;
+            this.currentAssetText = null;
+            this.assetList = null;
+            this.assetRows.clear();
+            this.reportElement = null;
             this.isVisible = false;
         }
     }
 }
 
+const ASSET_STATUS_ICONS = {
+    queued: '⏳',
+    loading: '📥',
+    loaded: '✅',
+    failed: '❌',
+    cancelled: '🚫'
+};
+
+function describeAssetStatus(asset) {
+    if (asset.status === 'loading') {
+        return asset.total > 0
+            ? `${Math.floor((asset.loaded / asset.total) * 100)}%`
+            : formatBytes(asset.loaded);
+    }
+    if (asset.status === 'failed' || asset.status === 'cancelled') {
+        return asset.status;
+    }
+    return asset.total > 0 ? formatBytes(asset.total) : asset.status;
+}
+
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) {
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+    return `${Math.round(bytes / 1024)} KB`;
+}
+
 // Make it globally available
 window.LoadingScreen = LoadingScreen;
@@ -2,6 +2,17 @@
 let scene, camera, renderer, controls;
 let clock = new THREE.Clock();
 let backPanelLight; // Back panel point light reference
+let backPanelBulb; // Visible bulb at the back panel light
+let interiorLight; // Switches the back panel light with the doors
+let fridgeTemperature; // Simulated interior temperature and door-left-open alarm
+let doorInteraction; // Click and drag the doors in the 3D view
+let fridgeFixtures; // Shelves and drawers that slide, move between rails and carry items
+let doorBins; // Door compartments whose items swing with the doors
+let itemSlots; // Egg cups, bottle and jar spots that dropped items snap into
+let dragCollision; // Keeps dragged items out of walls, shelves and other items
+let dropSettler; // Lowers dropped items onto the surface below them
+let fridgePhysics; // Optional rigid-body physics for the fridge contents
+let sceneHistory; // Undo and redo of item moves, additions and removals
 let modelLoader;// Model loader instance - WILL BE REPLACED WITH OPTIMIZED VERSION
 let optimizedLoader; // NEW: Optimized model loader with caching
 let loadingScreen; // NEW: Loading screen manager
@@ -9,15 +20,94 @@ let memoryManager; // NEW: Memory management system
 let cameraControls; // WASD camera controls
 let objectDragControls; // Object dragging system
 let foodObjectManager; // Food object manager
-let coronaExtraObject; // Corona Extra modulelet coronaBottleObject; // Corona Bottle module
-let eggCartonObject; // Egg Carton module
-let openEggCartonObject; // Open Egg Carton module
-let cheeseObject; // Cheese module
-let pickledCucumbersObject; // Pickled Cucumbers module
-let eggObject; // Egg module
-let eggObjects = []; // Array to hold multiple egg instances
-let bananaCrateObject; // Banana Crate module
-let aaBatteriesObject; // AA Batteries module
+let sceneManifest; // Fridge contents described by models/sceneManifest.json
+let partAnimator; // Opens and closes doors and other articulated parts
+let modelLoadController = new AbortController(); // Cancels model loads that are still queued
+
+// Location of the fridge contents manifest
+const SCENE_MANIFEST_URL = 'models/sceneManifest.json';
+
+// Content hashes of model files that may be kept in IndexedDB between visits
+// (set PERSISTENT_MODEL_CACHE to false to always download)
+const PERSISTENT_MODEL_CACHE = true;
+const MODEL_VERSIONS_URL = 'models/modelVersions.json';
+
+// Rigid-body physics for the fridge contents (set to false to keep items where they are put)
+const PHYSICS_ENABLED = true;
+
+// Material rules shared by the kitchen and fridge models (see js/materialRules.js)
+const APPLIANCE_MATERIAL_RULES = [
+    {
+        name: 'Converting pink materials to white',
+        match: { color: 'pink' },
+        set: { color: { r: 1.0, g: 1.0, b: 1.0 }, emissive: { r: 0.2, g: 0.2, b: 0.2 } }
+    },
+    {
+        name: 'Adding brightness to dark materials',
+        match: { color: 'dark' },
+        set: { emissive: { r: 0.2, g: 0.2, b: 0.2 } }
+    },
+    {
+        name: 'Default emissive for unlit materials',
+        match: { emissive: 'black' },
+        set: { emissive: { r: 0.1, g: 0.1, b: 0.1 } }
+    }
+];
+
+// Fridge model the interior view is built around
+const FRIDGE_MODEL_CONFIG = {
+    name: 'fridge',
+    label: 'Fridge',
+    priority: 'structural',
+    path: 'models/fridge.glb',
+    scale: { x: 14, y: 12.4, z: 13 },
+    position: { x: 46, y: 15, z: 0.5 },
+    rotation: { x: 0, y: -Math.PI/2, z: 0 },
+    enableShadows: true,
+    processMaterials: true,
+    // Door nodes of this model (see js/partDiscovery.js)
+    parts: {
+        upperDoor: {
+            extras: 'upperDoor',
+            names: ['FridgeUpperDoor', 'UpperDoor'],
+            patterns: ['upper.*door', 'door.*upper', 'top.*door'],
+            required: true
+        },
+        lowerDoor: {
+            extras: 'lowerDoor',
+            names: ['FridgeLowerDoor', 'LowerDoor'],
+            patterns: ['lower.*door', 'door.*lower', 'bottom.*door'],
+            required: true
+        }
+    },
+    materialConfig: {
+        rules: APPLIANCE_MATERIAL_RULES,
+        shininess: 80,
+        roughness: 0.2,
+        metalness: 0.8,
+        aoMapIntensity: 0.8
+    }
+};
+
+// Kitchen placed next to the fridge
+const KITCHEN_MODEL_CONFIG = {
+    name: 'kitchen_and_fridge',
+    label: 'Kitchen',
+    priority: 'structural',
+    path: 'models/kitchen_and_fridge.glb',
+    scale: { x: 10, y: 10, z: 10 },
+    position: { x: 15, y: 0, z: 0 }, // Position it next to the fridge
+    rotation: { x: 0, y: Math.PI, z: 0 },
+    enableShadows: true,
+    processMaterials: true,
+    materialConfig: {
+        rules: APPLIANCE_MATERIAL_RULES,
+        shininess: 80,
+        roughness: 0.5,
+        metalness: 0.6,
+        aoMapIntensity: 0.8
+    }
+};
 
 // Initialize the scene
 // Variable to control visualization of light helpers
@@ -59,7 +149,11 @@ function init() {    // Create scene
     controls.dampingFactor = 0.05;
     controls.enabled = false; // Disable OrbitControls for FPS camera    // Initialize OPTIMIZED model loader with caching
     optimizedLoader = new window.OptimizedModelLoader(scene);
+    optimizedLoader.configureDecoders({ renderer: renderer }); // KTX2 needs the renderer's texture support
     modelLoader = optimizedLoader; // Keep compatibility
+    if (PERSISTENT_MODEL_CACHE) {
+        optimizedLoader.enablePersistentCache({ versionManifestUrl: MODEL_VERSIONS_URL });
+    }
     
     // Initialize memory manager
     memoryManager = new window.MemoryManager();
@@ -70,36 +164,48 @@ function init() {    // Create scene
     // Initialize loading screen
     loadingScreen = new window.LoadingScreen();
     loadingScreen.show();
-    loadingScreen.updateProgress(5, 'Initializing systems...');
+    loadingScreen.attachTracker(optimizedLoader.progress); // Overall progress comes from the loader
+    loadingScreen.setStatus('Initializing systems...');
 
     // Initialize food object manager
     foodObjectManager = new window.FoodObjectManager(scene, optimizedLoader);      
 
-    loadingScreen.updateProgress(10, 'Creating object managers...');
-
-    // Initialize Corona Extra object
-    coronaExtraObject = new window.CoronaExtraObject(foodObjectManager, optimizedLoader);
-    
-    // Initialize Corona Bottle object
-    coronaBottleObject = new window.CoronaBottleObject(foodObjectManager, optimizedLoader);    
+    loadingScreen.setStatus('Creating object managers...');
 
-    // Initialize Egg Carton object
-    eggCartonObject = new window.EggCartonObject(foodObjectManager, optimizedLoader);
-      // Initialize Open Egg Carton object
-    openEggCartonObject = new window.OpenEggCartonObject(foodObjectManager, optimizedLoader);          // Initialize Cheese object
-    cheeseObject = new window.CheeseObject(foodObjectManager, optimizedLoader);    // Initialize Pickled Cucumbers object
-    pickledCucumbersObject = new window.PickledCucumbersObject(foodObjectManager, optimizedLoader);    // Initialize Banana Crate object
-    bananaCrateObject = new window.BananaCrateObject(foodObjectManager, optimizedLoader);
+    // Fridge contents are created from the scene manifest once models start loading
+    sceneManifest = new window.SceneManifest(foodObjectManager, optimizedLoader);
+    
+    // Doors, flaps and drawers are registered once the fridge model is loaded
+    partAnimator = new window.HingedPartAnimator();
+    
+    // Interior warms up while the doors are open and recovers once they are closed
+    fridgeTemperature = new window.FridgeTemperature({
+        setpoint: 4,            // °C
+        ambient: 22,            // °C
+        alarmThreshold: 8,      // °C
+        autoCloseAfter: 10000,  // ms after the alarm, 0 = never
+        sound: true
+    });
+    fridgeTemperature.attachDoors(partAnimator);
+    
+    // Shelves and drawers from the scene manifest are created once the fridge is loaded
+    fridgeFixtures = new window.FridgeFixtures(scene, partAnimator, foodObjectManager);
+    doorBins = new window.DoorBins(scene, partAnimator, foodObjectManager);
+    itemSlots = new window.ItemSlots(scene, foodObjectManager);
+    dragCollision = new window.DragCollision(scene, foodObjectManager);
+    fridgeFixtures.setCollision(dragCollision);
+    dropSettler = new window.DropSettler(scene, dragCollision, {
+        maxDrop: 40,          // World units searched below a dropped item
+        returnDuration: 500   // ms to carry an item back when there is no surface
+    });
     
-    // Initialize AA Batteries object
-    aaBatteriesObject = new window.AABatteriesObject(foodObjectManager, optimizedLoader);
-
-    loadingScreen.updateProgress(15, 'Creating egg instances...');
-
-    // Initialize Egg objects - create 5 instances efficiently
-    for (let i = 1; i <= 5; i++) {
-        const eggObject = new window.EggObject(foodObjectManager, optimizedLoader, i);
-        eggObjects.push(eggObject);
+    // Bodies are created once the food items are loaded
+    if (PHYSICS_ENABLED) {
+        fridgePhysics = new window.FridgePhysics(scene, foodObjectManager, dragCollision, {
+            timestep: 1 / 120,  // s per fixed step
+            gravity: 98,        // World units (about 10 cm) per s²
+            friction: 0.5
+        });
     }
     
     // Initialize WASD camera controls
@@ -111,6 +217,12 @@ function init() {    // Create scene
         dampingFactor: 0.8        // Smooth movement damping
     });
     
+    // Click a door to toggle it, drag it to swing it (doors are set once the fridge is loaded)
+    doorInteraction = new window.DoorInteraction(scene, camera, renderer, partAnimator, cameraControls, {
+        friction: 0.05,   // Swing speed left after one second
+        softZone: 0.1     // Slow down over the last 10% before a limit
+    });
+    
     // Diğer modüllerin yüklenmesi için zaman tanı
     setupDependencies();
     
@@ -123,6 +235,9 @@ function init() {    // Create scene
     // Setup UI controls for lights
     setupLightControls();
     
+    // Interior temperature readout
+    setupTemperatureDisplay();
+    
     // Add event listeners
     window.addEventListener('resize', onWindowResize);
     
@@ -167,7 +282,7 @@ function setupLightControls() {
     const lightCheckbox = document.createElement('input');
     lightCheckbox.type = 'checkbox';
     lightCheckbox.id = 'lightToggle';
-    lightCheckbox.checked = true; // Light starts on
+    lightCheckbox.checked = interiorLight.isOn(); // Follows the doors until switched by hand
     lightCheckbox.style.marginRight = '10px';
     lightCheckbox.style.cursor = 'pointer';
     lightCheckbox.style.width = '20px';
@@ -185,8 +300,6 @@ function setupLightControls() {
     // Status indicator
     const statusIndicator = document.createElement('div');
     statusIndicator.id = 'lightStatus';
-    statusIndicator.textContent = 'AÇIK';
-    statusIndicator.style.backgroundColor = '#4CAF50';
     statusIndicator.style.color = 'white';
     statusIndicator.style.padding = '3px 8px';
     statusIndicator.style.borderRadius = '4px';
@@ -194,21 +307,48 @@ function setupLightControls() {
     statusIndicator.style.fontWeight = 'bold';
     lightContainer.appendChild(statusIndicator);
 
-    // Add event listener for toggle
+    // Automatic mode - light follows the doors
+    const autoContainer = document.createElement('div');
+    autoContainer.style.marginBottom = '15px';
+    autoContainer.style.display = 'flex';
+    autoContainer.style.alignItems = 'center';
+    lightControlsContainer.appendChild(autoContainer);
+    
+    const autoCheckbox = document.createElement('input');
+    autoCheckbox.type = 'checkbox';
+    autoCheckbox.id = 'lightAuto';
+    autoCheckbox.checked = interiorLight.mode === 'auto';
+    autoCheckbox.style.marginRight = '10px';
+    autoCheckbox.style.cursor = 'pointer';
+    autoCheckbox.style.width = '20px';
+    autoCheckbox.style.height = '20px';
+    autoContainer.appendChild(autoCheckbox);
+    
+    const autoLabel = document.createElement('label');
+    autoLabel.htmlFor = 'lightAuto';
+    autoLabel.textContent = 'Kapı açılınca otomatik yan';
+    autoLabel.style.cursor = 'pointer';
+    autoContainer.appendChild(autoLabel);
+    
+    // Keep the panel in step with the light, whether the doors or the user switched it
+    function updateLightStatus() {
+        const on = interiorLight.isOn();
+        lightCheckbox.checked = on;
+        autoCheckbox.checked = interiorLight.mode === 'auto';
+        statusIndicator.textContent = on ? 'AÇIK' : 'KAPALI';
+        statusIndicator.style.backgroundColor = on ? '#4CAF50' : '#F44336';
+        statusIndicator.title = interiorLight.mode === 'auto' ? 'Kapılara bağlı' : 'Elle ayarlandı';
+    }
+    interiorLight.addEventListener('change', updateLightStatus);
+    updateLightStatus();
+    
+    // Switching by hand overrides the doors until automatic mode is turned back on
     lightCheckbox.addEventListener('change', function() {
-        if (backPanelLight) {
-            backPanelLight.visible = this.checked;
-            
-            // Update status indicator
-            const statusEl = document.getElementById('lightStatus');
-            if (this.checked) {
-                statusEl.textContent = 'AÇIK';
-                statusEl.style.backgroundColor = '#4CAF50';
-            } else {
-                statusEl.textContent = 'KAPALI';
-                statusEl.style.backgroundColor = '#F44336';
-            }
-        }
+        interiorLight.setMode(this.checked ? 'on' : 'off');
+    });
+    
+    autoCheckbox.addEventListener('change', function() {
+        interiorLight.setMode(this.checked ? 'auto' : (interiorLight.isOn() ? 'on' : 'off'));
     });
     
     // Create brightness control
@@ -288,11 +428,9 @@ function setupLightControls() {
     // Brightness control
     brightnessSlider.addEventListener('input', function() {
         const value = parseFloat(this.value);
-        if (backPanelLight) {
-            // Base intensity for the light
-            backPanelLight.intensity = value;
-            brightnessValueSpan.textContent = value.toFixed(1);
-        }
+        // Brightness of the light when it is fully on
+        interiorLight.setIntensity(value);
+        brightnessValueSpan.textContent = value.toFixed(1);
     });
     
     // Y position control
@@ -304,15 +442,7 @@ function setupLightControls() {
             yPositionValueSpan.textContent = value.toFixed(1);
             
             // Update visual light bulb position
-            const lightBulb = scene.children.find(child => 
-                child.type === 'Mesh' && 
-                child.material && 
-                child.material.color && 
-                child.material.color.getHexString() === 'ffffcc');
-            
-            if (lightBulb) {
-                lightBulb.position.y = value;
-            }
+            backPanelBulb.position.y = value;
         }
     });
     
@@ -321,233 +451,808 @@ function setupLightControls() {
         if (backPanelLight) {
             // Reset light to default values
             backPanelLight.position.y = 15;
-            backPanelLight.intensity = 2.5;
-            backPanelLight.visible = true;
-            
-            // Reset visual light bulb position
-            const lightBulb = scene.children.find(child => 
-                child.type === 'Mesh' && 
-                child.material && 
-                child.material.color && 
-                child.material.color.getHexString() === 'ffffcc');
+            backPanelBulb.position.y = 15;
             
-            if (lightBulb) {
-                lightBulb.position.y = 15;
-            }
+            // Back to full brightness, following the doors
+            interiorLight.setIntensity(2.5);
+            interiorLight.setMode('auto');
             
-            // Reset UI controls
+            // Reset UI controls (the toggles follow the light's change event)
             brightnessSlider.value = 2.5;
             brightnessValueSpan.textContent = '2.5';
             yPositionSlider.value = 15;
             yPositionValueSpan.textContent = '15';
-            lightCheckbox.checked = true;
-            
-            // Update status indicator
-            const statusEl = document.getElementById('lightStatus');
-            statusEl.textContent = 'AÇIK';
-            statusEl.style.backgroundColor = '#4CAF50';
         }
-    });    console.log('Light controls setup completed with back panel light toggle');
+    });
+    console.log('Light controls setup completed with back panel light toggle');
 }
 
-// Load all models
-async function loadModels() {
-    try {
-        // Load fridge model
-        await loadFridgeModel();
-        
-        // Load kitchen and fridge model
-        await loadKitchenAndFridgeModel();
-        
-        // Load food objects
-        await loadFoodObjects();
-        
-        console.log('All models loaded successfully!');
-    } catch (error) {
-        console.error('Error loading models:', error);
-    }
+// Small readout of the interior temperature with the door-left-open alarm
+function setupTemperatureDisplay() {
+    const container = document.createElement('div');
+    container.style.position = 'absolute';
+    container.style.bottom = '20px';
+    container.style.right = '10px';
+    container.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+    container.style.padding = '10px 15px';
+    container.style.borderRadius = '8px';
+    container.style.color = 'white';
+    container.style.fontFamily = 'Arial, sans-serif';
+    container.style.zIndex = '1000';
+    container.style.minWidth = '170px';
+    document.body.appendChild(container);
+    
+    const title = document.createElement('div');
+    title.textContent = 'İç Sıcaklık';
+    title.style.fontSize = '12px';
+    title.style.opacity = '0.8';
+    container.appendChild(title);
+    
+    const temperatureValue = document.createElement('div');
+    temperatureValue.id = 'fridgeTemperature';
+    temperatureValue.style.fontSize = '24px';
+    temperatureValue.style.fontWeight = 'bold';
+    container.appendChild(temperatureValue);
+    
+    const alarmText = document.createElement('div');
+    alarmText.id = 'fridgeAlarm';
+    alarmText.textContent = '⚠️ Kapı açık kaldı!';
+    alarmText.style.display = 'none';
+    alarmText.style.backgroundColor = '#F44336';
+    alarmText.style.padding = '3px 8px';
+    alarmText.style.borderRadius = '4px';
+    alarmText.style.fontSize = '12px';
+    alarmText.style.fontWeight = 'bold';
+    alarmText.style.margin = '5px 0';
+    container.appendChild(alarmText);
+    
+    // Optional alarm sound
+    const soundContainer = document.createElement('div');
+    soundContainer.style.display = 'flex';
+    soundContainer.style.alignItems = 'center';
+    soundContainer.style.fontSize = '12px';
+    soundContainer.style.marginTop = '5px';
+    container.appendChild(soundContainer);
+    
+    const soundCheckbox = document.createElement('input');
+    soundCheckbox.type = 'checkbox';
+    soundCheckbox.id = 'alarmSound';
+    soundCheckbox.checked = fridgeTemperature.sound;
+    soundCheckbox.style.marginRight = '6px';
+    soundCheckbox.style.cursor = 'pointer';
+    soundContainer.appendChild(soundCheckbox);
+    
+    const soundLabel = document.createElement('label');
+    soundLabel.htmlFor = 'alarmSound';
+    soundLabel.textContent = 'Alarm sesi';
+    soundLabel.style.cursor = 'pointer';
+    soundContainer.appendChild(soundLabel);
+    
+    soundCheckbox.addEventListener('change', function() {
+        fridgeTemperature.setSoundEnabled(this.checked);
+    });
+    
+    fridgeTemperature.addEventListener('change', function(event) {
+        temperatureValue.textContent = `${event.temperature.toFixed(1)}°C`;
+        // Blue while cold, orange once warming up
+        temperatureValue.style.color = event.temperature > fridgeTemperature.setpoint + 1 ? '#FFB74D' : '#81D4FA';
+    });
+    
+    fridgeTemperature.addEventListener('alarm', function() {
+        alarmText.textContent = '⚠️ Kapı açık kaldı!';
+        alarmText.style.display = 'block';
+        container.style.boxShadow = '0 0 12px #F44336';
+    });
+    
+    fridgeTemperature.addEventListener('alarmcleared', function() {
+        alarmText.style.display = 'none';
+        container.style.boxShadow = 'none';
+    });
+    
+    fridgeTemperature.addEventListener('autoclose', function() {
+        alarmText.textContent = '⚠️ Kapı otomatik kapatıldı';
+    });
+    
+    temperatureValue.textContent = `${fridgeTemperature.temperature.toFixed(1)}°C`;
+    temperatureValue.style.color = '#81D4FA';
 }
 
-// Load all food objects
-async function loadFoodObjects() {
-    try {
-        console.log('🍽️ Starting optimized progressive loading...');
-        
-        // Phase 1: Core objects (20-40%)
-        loadingScreen.updateProgress(20, 'Loading Corona objects...');
-        await coronaExtraObject.load();
-        await new Promise(resolve => setTimeout(resolve, 50)); // Prevent freezing
-        
-        loadingScreen.updateProgress(30, 'Loading Corona bottle...');
-        await coronaBottleObject.load();
-        await new Promise(resolve => setTimeout(resolve, 50));
-          // Phase 2: Carton objects and other food items (40-60%)
-        loadingScreen.updateProgress(40, 'Loading egg carton...');
-        await eggCartonObject.load();
-        await new Promise(resolve => setTimeout(resolve, 50));
+// Buttons for the shelves and drawers, above the door buttons
+function setupFixtureControls() {
+    const container = document.createElement('div');
+    container.style.position = 'absolute';
+    container.style.bottom = '120px';
+    container.style.left = '20px';
+    container.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+    container.style.padding = '10px';
+    container.style.borderRadius = '8px';
+    container.style.color = 'white';
+    container.style.fontFamily = 'Arial, sans-serif';
+    container.style.fontSize = '12px';
+    container.style.zIndex = '1000';
+    document.body.appendChild(container);
+    
+    const title = document.createElement('div');
+    title.textContent = 'Raflar ve Çekmeceler';
+    title.style.fontWeight = 'bold';
+    title.style.marginBottom = '6px';
+    container.appendChild(title);
+    
+    const refreshers = [];
+    const refreshAll = () => refreshers.forEach(refresh => refresh());
+    
+    // Run a fixture action and update every row once it is done
+    const run = (action) => {
+        Promise.resolve()
+            .then(action)
+            .catch(error => console.warn(`🗄️ ${error.message}`))
+            .then(refreshAll);
+        refreshAll();
+    };
+    
+    const createButton = (text, onClick) => {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.style.marginLeft = '4px';
+        button.style.padding = '2px 8px';
+        button.style.cursor = 'pointer';
+        button.addEventListener('click', onClick);
+        return button;
+    };
+    
+    fridgeFixtures.getIds().forEach(id => {
+        const fixture = fridgeFixtures.getFixture(id);
         
-        loadingScreen.updateProgress(47, 'Loading open egg carton...');
-        await openEggCartonObject.load();
-        await new Promise(resolve => setTimeout(resolve, 50));        loadingScreen.updateProgress(55, 'Loading cheese...');
-        await cheeseObject.load();
-        await new Promise(resolve => setTimeout(resolve, 50));        loadingScreen.updateProgress(58, 'Loading pickled cucumbers...');
-        await pickledCucumbersObject.load();
-        await new Promise(resolve => setTimeout(resolve, 50));
-          loadingScreen.updateProgress(58, 'Loading banana crate...');
-        await bananaCrateObject.load();
-        await new Promise(resolve => setTimeout(resolve, 50));
+        const row = document.createElement('div');
+        row.style.display = 'flex';
+        row.style.alignItems = 'center';
+        row.style.marginTop = '4px';
+        container.appendChild(row);
         
-        loadingScreen.updateProgress(59, 'Loading AA batteries...');
-        await aaBatteriesObject.load();
-        await new Promise(resolve => setTimeout(resolve, 50));
-          // Phase 3: Eggs progressively (60-90%)
-        loadingScreen.updateProgress(60, 'Loading eggs progressively...');
-        console.log('🥚 Loading 5 egg objects with progressive loading...');
-        console.log('🥚 Available eggObjects:', eggObjects.length);
+        const label = document.createElement('span');
+        label.textContent = fixture.label;
+        label.style.flexGrow = '1';
+        label.style.marginRight = '8px';
+        row.appendChild(label);
         
-        const totalEggs = eggObjects.length;
-        for (let i = 0; i < totalEggs; i++) {
-            const progress = 60 + ((i + 1) / totalEggs) * 30; // 60% to 90%
-            loadingScreen.updateProgress(progress, `Loading egg ${i + 1}/${totalEggs}...`);
-            
-            console.log(`🥚 Starting to load egg ${i + 1}...`);
-            console.log(`🥚 Egg ${i + 1} object:`, eggObjects[i]);
-            console.log(`🥚 Egg ${i + 1} config:`, eggObjects[i].config);
-            
-            try {
-                await eggObjects[i].load();
-                console.log(`✅ Egg ${i + 1} loaded successfully!`);
-            } catch (error) {
-                console.error(`❌ Failed to load egg ${i + 1}:`, error);
-            }
-            
-            // Yield control every egg to prevent freezing
-            await new Promise(resolve => setTimeout(resolve, 100));
+        if (fixture.kind === 'drawer') {
+            row.appendChild(createButton('Aç/Kapat', () => fridgeFixtures.toggle(id)));
+            return;
         }
-          // Final phase (90-100%)
-        loadingScreen.updateProgress(95, 'Finalizing scene...');
-        
-        // Initialize object drag controls after all objects are loaded
-        initializeDragControls();
-        
-        // Show cache statistics
-        const cacheStats = optimizedLoader.getCacheStats();
-        console.log('📊 Cache Statistics:', cacheStats);
-        
-        loadingScreen.updateProgress(100, 'Loading complete!');
-        
-        // Hide loading screen after a brief moment
-        setTimeout(() => {
-            loadingScreen.hide();
-        }, 1000);
         
-        console.log('✅ All food objects loaded successfully with optimization!');
-        console.log(`📦 Cache hit rate: ${cacheStats.hitRate}`);
-        console.log(`⚡ Average load time: ${cacheStats.averageLoadTime}ms`);
+        const up = createButton('▲', () => run(() => fridgeFixtures.moveShelf(id, fridgeFixtures.findFreeRail(id, 1))));
+        const down = createButton('▼', () => run(() => fridgeFixtures.moveShelf(id, fridgeFixtures.findFreeRail(id, -1))));
+        const remove = createButton('Çıkar', () => run(() => (fixture.removed ? fridgeFixtures.insert(id) : fridgeFixtures.liftOut(id))));
+        row.appendChild(up);
+        row.appendChild(down);
+        row.appendChild(remove);
         
-    } catch (error) {
-        console.error('❌ Error loading food objects:', error);
-        loadingScreen.updateProgress(100, 'Error occurred!');
-        setTimeout(() => {
-            loadingScreen.hide();
-        }, 2000);    }
+        refreshers.push(() => {
+            const moving = fridgeFixtures.isMoving(id);
+            up.disabled = moving || fixture.removed || fridgeFixtures.findFreeRail(id, 1) === null;
+            down.disabled = moving || fixture.removed || fridgeFixtures.findFreeRail(id, -1) === null;
+            remove.disabled = moving;
+            remove.textContent = fixture.removed ? 'Tak' : 'Çıkar';
+        });
+    });
+    
+    refreshAll();
 }
 
-// Initialize object drag controls after all objects are loaded
-function initializeDragControls() {
-    console.log('🎯 Initializing drag controls...');
+// Load all models
+async function loadModels() {
+    // Queue every model first so the loading screen shows overall progress
+    await queueModelAssets();
+    
+    // Everything goes through the loader's priority queue:
+    // fridge and kitchen first, then items in view, then the rest
+    const results = await Promise.allSettled([
+        loadFridgeModel(),
+        loadKitchenAndFridgeModel(),
+        loadFoodObjects()
+    ]);
+    
+    const errors = results.filter(result => result.status === 'rejected').map(result => result.reason);
+    finishLoading(errors);
+}
+
+// Read the scene manifest and announce every model file to the loader
+async function queueModelAssets() {
+    loadingScreen.setStatus('Reading scene manifest...');
     
-    // Create drag controls instance
-    objectDragControls = new window.ObjectDragControls(scene, camera, renderer, cameraControls);
+    try {
+        await sceneManifest.load(SCENE_MANIFEST_URL);
+    } catch (error) {
+        // Reported again by loadFoodObjects; the fridge and kitchen still load
+        console.error('❌ Error reading scene manifest:', error);
+    }
     
-    // Collect all loaded food objects
-    const dragObjects = [];
+    const manifestAssets = sceneManifest.getEntries().map(entry => ({
+        name: entry.id,
+        label: entry.label,
+        path: entry.model
+    }));
     
-    // Add main food objects
-    const coronaExtra = coronaExtraObject.getCoronaExtra();
-    if (coronaExtra) {
-        coronaExtra.userData.name = 'Corona Extra';
-        dragObjects.push(coronaExtra);
-    }
+    optimizedLoader.queueAssets([FRIDGE_MODEL_CONFIG, KITCHEN_MODEL_CONFIG, ...manifestAssets]);
+}
+
+// Load all food objects
+async function loadFoodObjects() {
+    console.log('🍽️ Starting optimized progressive loading...');
     
-    const coronaBottle = coronaBottleObject.getCoronaBottle();
-    if (coronaBottle) {
-        coronaBottle.userData.name = 'Corona Bottle';
-        dragObjects.push(coronaBottle);
+    if (!sceneManifest.manifest) {
+        throw new Error(`Scene manifest ${SCENE_MANIFEST_URL} is not loaded`);
     }
     
-    const eggCarton = eggCartonObject.getEggCarton();
-    if (eggCarton) {
-        eggCarton.userData.name = 'Egg Carton';
-        dragObjects.push(eggCarton);
-    }
+    // Items load concurrently; those in the camera view are queued first
+    await sceneManifest.loadAll({
+        camera: camera,
+        signal: modelLoadController.signal
+    });
     
-    const openEggCarton = openEggCartonObject.getOpenEggCarton();
-    if (openEggCarton) {
-        openEggCarton.userData.name = 'Open Egg Carton';
-        dragObjects.push(openEggCarton);
+    console.log('✅ All food objects loaded successfully with optimization!');
+}
+
+// Set up interaction once every model has settled and hide the loading screen
+function finishLoading(errors) {
+    loadingScreen.setStatus('Finalizing scene...');
+    
+    // Initialize object drag controls after all objects are loaded
+    initializeDragControls();
+    
+    // Eggs, bottles and jars go into the slots the manifest puts them in
+    setupSlots();
+    
+    // Items lying in a door bin are attached to the door
+    const binned = doorBins.collect();
+    if (binned > 0) {
+        console.log(`🧺 ${binned} items in the door bins`);
     }
     
-    const cheese = cheeseObject.getModel();
-    if (cheese) {
-        cheese.userData.name = 'Cheese';
-        dragObjects.push(cheese);
+    // Items in the fridge fall, stack and slide from now on
+    if (fridgePhysics) {
+        setupPhysics();
     }
     
-    const pickledCucumbers = pickledCucumbersObject.getPickledCucumbers();
-    if (pickledCucumbers) {
-        pickledCucumbers.userData.name = 'Pickled Cucumbers';
-        dragObjects.push(pickledCucumbers);
+    // Show cache statistics
+    const cacheStats = optimizedLoader.getCacheStats();
+    console.log('📊 Cache Statistics:', cacheStats);
+    console.log(`📦 Cache hit rate: ${cacheStats.hitRate}`);
+    console.log(`💽 Persistent cache hits: ${cacheStats.persistentHits}`);
+    console.log(`⚡ Average load time: ${cacheStats.averageLoadTime}ms`);
+    
+    loadingScreen.detachTracker();
+    
+    // Models that fell back to placeholders are listed until the user continues
+    const report = optimizedLoader.getLoadReport();
+    if (report.failed > 0) {
+        console.warn('⚠️ Load report:');
+        console.table(report.failures.map(({ label, path, kind, attempts }) => ({ label, path, kind, attempts })));
     }
     
-    const bananaCrate = bananaCrateObject.getBananaCrate();
-    if (bananaCrate) {
-        bananaCrate.userData.name = 'Banana Crate';
-        dragObjects.push(bananaCrate);
+    if (errors.length > 0) {
+        console.error('Error loading models:', errors);
+        loadingScreen.setStatus('Error occurred!');
+    } else {
+        loadingScreen.updateProgress(100, report.failed > 0 ? 'Loaded with placeholders' : 'Loading complete!');
     }
     
-    const aaBatteries = aaBatteriesObject.getAABatteries();
-    if (aaBatteries) {
-        aaBatteries.userData.name = 'AA Batteries';
-        dragObjects.push(aaBatteries);
+    if (report.failed > 0 || errors.length > 0) {
+        loadingScreen.showLoadReport(report, errors);
+        return;
     }
     
-    // Add individual eggs
-    eggObjects.forEach((eggObj, index) => {
-        const egg = eggObj.getEgg();
-        if (egg) {
-            egg.userData.name = `Egg ${index + 1}`;
-            dragObjects.push(egg);
-        }
-    });
+    console.log('All models loaded successfully!');
+    
+    // Hide loading screen after a brief moment
+    setTimeout(() => {
+        loadingScreen.hide();
+    }, 1000);
+}
+
+// Initialize object drag controls after all objects are loaded
+function initializeDragControls() {
+    console.log('🎯 Initializing drag controls...');
+    
+    // Create drag controls instance
+    objectDragControls = new window.ObjectDragControls(scene, camera, renderer, cameraControls);
+    
+    // Moves, additions and removals can be undone; attached first, so a drag starts from the
+    // door bin or slot the item is taken out of
+    sceneHistory = new window.SceneHistory(foodObjectManager);
+    sceneHistory.attachDragControls(objectDragControls, dropSettler);
+    
+    // Picking an item up takes it out of its door bin, dropping it in a bin puts it in
+    doorBins.attachDragControls(objectDragControls);
+    
+    // Dragged items stop at the fridge walls, shelves and other items
+    dragCollision.setCompartments(sceneManifest.getCompartments());
+    objectDragControls.setCollision(dragCollision);
+    
+    // Dropped items fall onto the surface below them, or go back where they were picked up
+    dropSettler.attachDragControls(objectDragControls);
+    setupDropMessage();
+    
+    // Translate, rotate and lift modes with axis locks, snapping and a readout
+    setupTransformToolbar();
+    
+    // Items can also be picked up with the mouse, or the crosshair under pointer lock
+    objectDragControls.setFoodObjectManager(foodObjectManager);
+    setupPickingUi();
+    
+    // Items removed, or brought back by undo, leave or rejoin every system that tracks them
+    foodObjectManager.addEventListener('removed', (event) => forgetFoodObject(event.entry.object));
+    foodObjectManager.addEventListener('added', (event) => trackFoodObject(event.entry));
+    
+    // Shift-click, box and by-type selection; deleted items leave the scene
+    setupSelectionControls();
+    objectDragControls.addEventListener('delete', (event) => removeDeletedItems(event.objects));
+    
+    // Undo and redo buttons
+    setupHistoryControls();
+    
+    // Drag names and number keys come from the scene manifest
+    const dragObjects = sceneManifest.getDragObjects();
     
     // Initialize drag controls with all objects
     if (dragObjects.length > 0) {
         objectDragControls.initializeDragObjects(dragObjects);
+        updateDragKeyLegend();
         console.log(`🎯 Drag controls initialized with ${dragObjects.length} objects`);
     } else {
         console.warn('🎯 No objects found for drag controls');
     }
 }
 
+// Create the manifest slots and snap dropped items into them
+function setupSlots() {
+    itemSlots.create(sceneManifest.getSlots(), findSlotContainer);
+    const placed = itemSlots.placeDeclared(sceneManifest.getEntries(), (id) => sceneManifest.getItemObject(id));
+    if (placed > 0) {
+        console.log(`🥚 ${placed} items in their slots`);
+    }
+    
+    itemSlots.attachDragControls(objectDragControls);
+    dropSettler.setSlots(itemSlots);
+    
+    // An egg can be dragged into a carton that has a free cup for it
+    dragCollision.setPassable((object, other) => itemSlots.hasFreeSlot(other, object));
+}
+
+// Slots are in food items, shelves and drawers or door bins
+function findSlotContainer(id) {
+    const fixture = fridgeFixtures.getFixture(id);
+    if (fixture) {
+        return fixture.node;
+    }
+    const bin = doorBins.getBin(id);
+    if (bin) {
+        return bin.group;
+    }
+    return sceneManifest.getItemObject(id);
+}
+
+// Simulate the items in the fridge, hold dragged ones and add the pause control
+function setupPhysics() {
+    fridgePhysics.setCompartments(sceneManifest.getCompartments());
+    fridgePhysics.addColliders(doorBins.getNodes());
+    fridgePhysics.addBodies(foodObjectManager.getAllFoodObjects());
+    
+    // Dragged items follow the mouse until they have settled after the drop
+    objectDragControls.addEventListener('dragstart', (event) => fridgePhysics.hold(event.object));
+    dropSettler.addEventListener('settled', (event) => fridgePhysics.release(event.object));
+    
+    const container = document.createElement('div');
+    container.style.position = 'absolute';
+    container.style.bottom = '20px';
+    container.style.left = '50%';
+    container.style.transform = 'translateX(-50%)';
+    container.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+    container.style.padding = '8px 12px';
+    container.style.borderRadius = '8px';
+    container.style.color = 'white';
+    container.style.fontFamily = 'Arial, sans-serif';
+    container.style.fontSize = '12px';
+    container.style.zIndex = '1000';
+    document.body.appendChild(container);
+    
+    const status = document.createElement('span');
+    container.appendChild(status);
+    
+    const button = document.createElement('button');
+    button.style.marginLeft = '8px';
+    button.style.padding = '2px 8px';
+    button.style.cursor = 'pointer';
+    button.addEventListener('click', () => fridgePhysics.togglePaused());
+    container.appendChild(button);
+    
+    // Shelves and drawers carry the items themselves only while the physics is paused
+    const updatePhysicsStatus = () => {
+        const paused = fridgePhysics.isPaused();
+        status.textContent = paused ? 'Fizik: Duraklatıldı' : 'Fizik: Açık';
+        button.textContent = paused ? 'Sürdür (P)' : 'Duraklat (P)';
+        fridgeFixtures.carryRiders = paused;
+    };
+    fridgePhysics.addEventListener('pause', updatePhysicsStatus);
+    updatePhysicsStatus();
+    
+    document.addEventListener('keydown', (event) => {
+        // Ctrl+P and the like belong to the browser
+        if (event.ctrlKey || event.metaKey || event.altKey) return;
+        if (event.key.toLowerCase() === 'p' && event.target.tagName !== 'INPUT') {
+            fridgePhysics.togglePaused();
+        }
+    });
+}
+
+// Mode, axis and snap buttons of the drag controls, with the position and rotation of the dragged item
+function setupTransformToolbar() {
+    if (document.getElementById('transformToolbar')) return;
+    
+    const container = document.createElement('div');
+    container.id = 'transformToolbar';
+    container.style.position = 'absolute';
+    container.style.bottom = '60px';
+    container.style.left = '50%';
+    container.style.transform = 'translateX(-50%)';
+    container.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+    container.style.padding = '8px 12px';
+    container.style.borderRadius = '8px';
+    container.style.color = 'white';
+    container.style.fontFamily = 'Arial, sans-serif';
+    container.style.fontSize = '12px';
+    container.style.textAlign = 'center';
+    container.style.zIndex = '1000';
+    document.body.appendChild(container);
+    
+    const buttonRow = document.createElement('div');
+    container.appendChild(buttonRow);
+    
+    const addButton = (label, onClick) => {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.style.margin = '0 2px';
+        button.style.padding = '2px 8px';
+        button.style.cursor = 'pointer';
+        button.addEventListener('click', () => {
+            onClick();
+            // Keys go to the scene again, not to the focused button
+            button.blur();
+        });
+        buttonRow.appendChild(button);
+        return button;
+    };
+    
+    const modeButtons = {
+        translate: addButton('Taşı (T)', () => objectDragControls.setMode('translate')),
+        rotate: addButton('Döndür (R)', () => objectDragControls.setMode('rotate')),
+        lift: addButton('Kaldır (K)', () => objectDragControls.setMode('lift'))
+    };
+    const axisButtons = {};
+    ['x', 'y', 'z'].forEach(axis => {
+        const label = axis.toUpperCase();
+        axisButtons[axis] = addButton(label, () => {
+            objectDragControls.setAxis(objectDragControls.axis === axis ? null : axis);
+        });
+    });
+    const snapButton = addButton('Yapış (G)', () => objectDragControls.setSnapping(!objectDragControls.snapping));
+    
+    const readout = document.createElement('div');
+    readout.style.marginTop = '6px';
+    readout.style.fontFamily = 'monospace';
+    container.appendChild(readout);
+    
+    const setActive = (button, active) => {
+        button.style.backgroundColor = active ? '#4CAF50' : '';
+        button.style.color = active ? 'white' : '';
+    };
+    const updateButtons = () => {
+        Object.keys(modeButtons).forEach(mode => setActive(modeButtons[mode], objectDragControls.mode === mode));
+        Object.keys(axisButtons).forEach(axis => setActive(axisButtons[axis], objectDragControls.axis === axis));
+        setActive(snapButton, objectDragControls.snapping);
+    };
+    
+    // The last item picked up stays in the readout after it is dropped and has settled
+    let shownObject = null;
+    const updateReadout = () => {
+        if (!shownObject) {
+            readout.textContent = 'Konum: —   Dönüş: —';
+            return;
+        }
+        const position = shownObject.getWorldPosition(new THREE.Vector3());
+        const rotation = new THREE.Euler().setFromQuaternion(shownObject.getWorldQuaternion(new THREE.Quaternion()));
+        const degrees = (angle) => THREE.MathUtils.radToDeg(angle).toFixed(0);
+        readout.textContent = `${shownObject.userData.name || 'Nesne'} — ` +
+            `Konum: ${position.x.toFixed(2)}, ${position.y.toFixed(2)}, ${position.z.toFixed(2)}   ` +
+            `Dönüş: ${degrees(rotation.x)}°, ${degrees(rotation.y)}°, ${degrees(rotation.z)}°`;
+    };
+    
+    objectDragControls.addEventListener('modechange', updateButtons);
+    objectDragControls.addEventListener('dragstart', (event) => {
+        shownObject = event.object;
+        updateReadout();
+    });
+    // A group drag shows the center of the group
+    objectDragControls.addEventListener('change', (event) => {
+        shownObject = event.object;
+        updateReadout();
+    });
+    dropSettler.addEventListener('settled', (event) => {
+        if (event.object === shownObject) {
+            updateReadout();
+        }
+    });
+    
+    updateButtons();
+    updateReadout();
+}
+
+// Selection row of the transform toolbar and the box drawn while selecting with the mouse
+function setupSelectionControls() {
+    const toolbar = document.getElementById('transformToolbar');
+    if (!toolbar || document.getElementById('selectionBox')) return;
+    
+    const row = document.createElement('div');
+    row.style.marginTop = '6px';
+    toolbar.insertBefore(row, toolbar.lastChild);
+    
+    const count = document.createElement('span');
+    count.style.marginRight = '8px';
+    row.appendChild(count);
+    
+    // Types of the items that can be dragged
+    const typeSelect = document.createElement('select');
+    typeSelect.style.margin = '0 2px';
+    const updateTypes = () => {
+        const types = new Set(foodObjectManager.getAllFoodObjects()
+            .filter(entry => objectDragControls.allObjects.includes(entry.object))
+            .map(entry => entry.type));
+        typeSelect.innerHTML = '';
+        typeSelect.appendChild(new Option('Türe göre seç…', ''));
+        Array.from(types).sort().forEach(type => typeSelect.appendChild(new Option(type, type)));
+    };
+    typeSelect.addEventListener('change', () => {
+        if (typeSelect.value) {
+            objectDragControls.selectByType(typeSelect.value);
+        }
+        typeSelect.value = '';
+        typeSelect.blur();
+    });
+    row.appendChild(typeSelect);
+    
+    const addButton = (label, onClick) => {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.style.margin = '0 2px';
+        button.style.padding = '2px 8px';
+        button.style.cursor = 'pointer';
+        button.addEventListener('click', () => {
+            onClick();
+            button.blur();
+        });
+        row.appendChild(button);
+        return button;
+    };
+    const deleteButton = addButton('Sil (Del)', () => objectDragControls.deleteSelection());
+    const clearButton = addButton('Bırak (Esc)', () => objectDragControls.clearSelection());
+    
+    const updateCount = (objects) => {
+        count.textContent = `Seçili: ${objects.length}`;
+        deleteButton.disabled = objects.length === 0;
+        clearButton.disabled = objects.length === 0;
+    };
+    objectDragControls.addEventListener('selectionchange', (event) => updateCount(event.objects));
+    foodObjectManager.addEventListener('added', updateTypes);
+    foodObjectManager.addEventListener('removed', updateTypes);
+    updateTypes();
+    updateCount([]);
+    
+    const box = document.createElement('div');
+    box.id = 'selectionBox';
+    box.style.position = 'absolute';
+    box.style.border = '1px dashed #4CAF50';
+    box.style.backgroundColor = 'rgba(76, 175, 80, 0.15)';
+    box.style.pointerEvents = 'none';
+    box.style.zIndex = '1000';
+    box.style.display = 'none';
+    document.body.appendChild(box);
+    
+    objectDragControls.addEventListener('selectionbox', (event) => {
+        if (!event.box) {
+            box.style.display = 'none';
+            return;
+        }
+        box.style.left = `${event.box.left}px`;
+        box.style.top = `${event.box.top}px`;
+        box.style.width = `${event.box.width}px`;
+        box.style.height = `${event.box.height}px`;
+        box.style.display = 'block';
+    });
+}
+
+// Remove items deleted with the drag controls, as one step the history can undo
+// (their resources are kept until the history no longer reaches them)
+function removeDeletedItems(objects) {
+    sceneHistory.batch(`${objects.length} nesne silme`, () => {
+        objects.forEach(object => foodObjectManager.removeFoodObject(object.userData.foodObjectName, { keepAssets: true }));
+    });
+}
+
+// A removed item stops settling, falling and being draggable
+function forgetFoodObject(object) {
+    dropSettler.stop(object);
+    if (fridgePhysics) {
+        fridgePhysics.removeBodies([object]);
+    }
+    objectDragControls.removeDragObject(object);
+    updateDragKeyLegend();
+}
+
+// An item added, or brought back by undo, is simulated and can be dragged again
+function trackFoodObject(entry) {
+    if (fridgePhysics) {
+        fridgePhysics.addBodies([entry]);
+    }
+    if (sceneManifest.getDragObjects().includes(entry.object)) {
+        objectDragControls.addDragObject(entry.object);
+    }
+    updateDragKeyLegend();
+}
+
+// Undo and redo buttons in the transform toolbar, named after the step they revert or repeat
+function setupHistoryControls() {
+    const toolbar = document.getElementById('transformToolbar');
+    if (!toolbar || document.getElementById('undoButton')) return;
+    
+    const buttonRow = toolbar.firstChild;
+    const addButton = (id, label, onClick) => {
+        const button = document.createElement('button');
+        button.id = id;
+        button.textContent = label;
+        button.style.margin = '0 2px';
+        button.style.padding = '2px 8px';
+        button.style.cursor = 'pointer';
+        button.addEventListener('click', () => {
+            onClick();
+            button.blur();
+        });
+        buttonRow.appendChild(button);
+        return button;
+    };
+    const undoButton = addButton('undoButton', 'Geri Al (Ctrl+Z)', () => sceneHistory.undo());
+    const redoButton = addButton('redoButton', 'Yinele (Ctrl+Shift+Z)', () => sceneHistory.redo());
+    undoButton.style.marginLeft = '10px';
+    
+    const updateButtons = (event) => {
+        undoButton.disabled = !event.canUndo;
+        redoButton.disabled = !event.canRedo;
+        undoButton.title = event.undoLabel ? `Geri al: ${event.undoLabel}` : '';
+        redoButton.title = event.redoLabel ? `Yinele: ${event.redoLabel}` : '';
+    };
+    sceneHistory.addEventListener('change', updateButtons);
+    updateButtons(sceneHistory.getState());
+}
+
+// Crosshair shown under pointer lock, and the name of the item under the cursor or crosshair
+function setupPickingUi() {
+    if (document.getElementById('crosshair')) return;
+    
+    const crosshair = document.createElement('div');
+    crosshair.id = 'crosshair';
+    crosshair.textContent = '+';
+    crosshair.style.position = 'absolute';
+    crosshair.style.top = '50%';
+    crosshair.style.left = '50%';
+    crosshair.style.transform = 'translate(-50%, -50%)';
+    crosshair.style.color = 'white';
+    crosshair.style.fontFamily = 'Arial, sans-serif';
+    crosshair.style.fontSize = '24px';
+    crosshair.style.textShadow = '0 0 3px black';
+    crosshair.style.pointerEvents = 'none';
+    crosshair.style.zIndex = '1000';
+    crosshair.style.display = 'none';
+    document.body.appendChild(crosshair);
+    
+    const label = document.createElement('div');
+    label.id = 'hoverLabel';
+    label.style.position = 'absolute';
+    label.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+    label.style.color = 'white';
+    label.style.padding = '3px 8px';
+    label.style.borderRadius = '4px';
+    label.style.fontFamily = 'Arial, sans-serif';
+    label.style.fontSize = '12px';
+    label.style.pointerEvents = 'none';
+    label.style.whiteSpace = 'nowrap';
+    label.style.zIndex = '1000';
+    label.style.display = 'none';
+    document.body.appendChild(label);
+    
+    // Next to the cursor, or under the crosshair while the pointer is locked
+    let cursorX = 0;
+    let cursorY = 0;
+    const placeLabel = () => {
+        const locked = document.pointerLockElement === document.body;
+        label.style.left = `${(locked ? window.innerWidth / 2 : cursorX) + 14}px`;
+        label.style.top = `${(locked ? window.innerHeight / 2 : cursorY) + 14}px`;
+    };
+    
+    document.addEventListener('mousemove', (event) => {
+        cursorX = event.clientX;
+        cursorY = event.clientY;
+        if (label.style.display !== 'none') {
+            placeLabel();
+        }
+    });
+    document.addEventListener('pointerlockchange', () => {
+        crosshair.style.display = document.pointerLockElement === document.body ? 'block' : 'none';
+        placeLabel();
+    });
+    
+    objectDragControls.addEventListener('hover', (event) => {
+        if (!event.object) {
+            label.style.display = 'none';
+            return;
+        }
+        label.textContent = `${event.object.userData.name || 'Nesne'} — tıkla ve sürükle`;
+        label.style.display = 'block';
+        placeLabel();
+    });
+}
+
+// Message shown when an item is dropped where nothing can hold it
+function setupDropMessage() {
+    if (document.getElementById('dropMessage')) return;
+    
+    const message = document.createElement('div');
+    message.id = 'dropMessage';
+    message.textContent = '⚠️ Burada eşyayı taşıyacak bir yüzey yok, eski yerine kondu';
+    message.style.position = 'absolute';
+    message.style.top = '20px';
+    message.style.left = '50%';
+    message.style.transform = 'translateX(-50%)';
+    message.style.backgroundColor = '#F44336';
+    message.style.color = 'white';
+    message.style.padding = '8px 15px';
+    message.style.borderRadius = '8px';
+    message.style.fontFamily = 'Arial, sans-serif';
+    message.style.fontSize = '14px';
+    message.style.fontWeight = 'bold';
+    message.style.zIndex = '1000';
+    message.style.display = 'none';
+    document.body.appendChild(message);
+    
+    let hideTimer = null;
+    dropSettler.addEventListener('nosurface', () => {
+        message.style.display = 'block';
+        clearTimeout(hideTimer);
+        hideTimer = setTimeout(() => {
+            message.style.display = 'none';
+        }, 2500);
+    });
+    
+    // Items are dropped at the height they were carried at: whether one landed in a door bin
+    // is known once it has settled (fallen in, carried back or snapped into a slot)
+    dropSettler.addEventListener('settled', (event) => doorBins.placeIfInside(event.object));
+}
+
+// List the manifest drag keys in the info panel
+function updateDragKeyLegend() {
+    const legend = document.getElementById('dragKeyLegend');
+    if (!legend) return;
+    
+    const status = objectDragControls.getObjectMappingStatus();
+    legend.innerHTML = Object.keys(status)
+        .filter(key => status[key].mapped)
+        .sort()
+        .map(key => `<strong>${key}:</strong> ${status[key].name}`)
+        .join(', ');
+}
+
 // Position camera to get a good view of all food objects
-function positionCameraForFoodObjects() {    const coronaExtra = coronaExtraObject.getCoronaExtra();
-    const coronaBottle = coronaBottleObject.getCoronaBottle();
-    const eggCarton = eggCartonObject.getEggCarton();
-    const openEggCarton = openEggCartonObject.getOpenEggCarton();
-    const cheese = cheeseObject.getModel();
-    const pickledCucumbers = pickledCucumbersObject.getPickledCucumbers();
-    const bananaCrate = bananaCrateObject.getBananaCrate();
-    const aaBatteries = aaBatteriesObject.getAABatteries();
-    const egg = eggObject.getEgg();    // Collect all loaded objects
-    const objects = [];    if (coronaExtra) objects.push(coronaExtra);
-    if (coronaBottle) objects.push(coronaBottle);
-    if (eggCarton) objects.push(eggCarton);
-    if (openEggCarton) objects.push(openEggCarton);
-    if (cheese) objects.push(cheese);    if (pickledCucumbers) objects.push(pickledCucumbers);
-    if (bananaCrate) objects.push(bananaCrate);
-    if (aaBatteries) objects.push(aaBatteries);
-    if (egg) objects.push(egg);
+function positionCameraForFoodObjects() {
+    // Collect all loaded objects
+    const objects = sceneManifest.getLoadedObjects();
     
     if (objects.length > 0) {
         // Calculate center point of all objects
@@ -572,13 +1277,11 @@ function positionCameraForFoodObjects() {    const coronaExtra = coronaExtraObje
         
         // Look at center point of all objects
         camera.lookAt(centerX, centerY, centerZ);
-          console.log(`Camera positioned to view ${objects.length} food objects from INSIDE fridge`);        console.log('Objects loaded:');
-        if (coronaExtra) console.log('  - Corona Extra at:', coronaExtra.position);        if (coronaBottle) console.log('  - Corona Bottle at:', coronaBottle.position);
-        if (eggCarton) console.log('  - Egg Carton at:', eggCarton.position);
-        if (openEggCarton) console.log('  - Open Egg Carton at:', openEggCarton.position);        if (cheese) console.log('  - Cheese at:', cheese.position);        if (pickledCucumbers) console.log('  - Pickled Cucumbers at:', pickledCucumbers.position);
-        if (bananaCrate) console.log('  - Banana Crate at:', bananaCrate.position);
-        if (aaBatteries) console.log('  - AA Batteries at:', aaBatteries.position);
-        if (egg) console.log('  - Egg at:', egg.position);
+        console.log(`Camera positioned to view ${objects.length} food objects from INSIDE fridge`);
+        console.log('Objects loaded:');
+        objects.forEach(obj => {
+            console.log(`  - ${obj.userData.name} at:`, obj.position);
+        });
         console.log('Camera center point:', { x: centerX, y: centerY, z: centerZ });
         console.log('Camera position (INSIDE fridge):', { x: centerX + 12, y: centerY + 2, z: centerZ + 8 });
     } else {
@@ -591,156 +1294,60 @@ function positionCameraForFoodObjects() {    const coronaExtra = coronaExtraObje
 
 // Load kitchen and fridge model
 async function loadKitchenAndFridgeModel() {
-    const kitchenConfig = {
-        name: 'kitchen_and_fridge',
-        path: 'models/kitchen_and_fridge.glb',
-        scale: { x: 10, y: 10, z: 10 },
-        position: { x: 15, y: 0, z: 0 }, // Position it next to the fridge
-        rotation: { x: 0, y: Math.PI, z: 0 },
-        enableShadows: true,
-        processMaterials: true,
-        materialConfig: {
-            changeColors: true,
-            colorRules: [
-                {
-                    condition: { type: 'pink' },
-                    newColor: { r: 1.0, g: 1.0, b: 1.0 },
-                    emissive: { r: 0.2, g: 0.2, b: 0.2 },
-                    description: 'Converting pink materials to white'
-                },
-                {
-                    condition: { type: 'dark' },
-                    newColor: null, // Keep original color
-                    emissive: { r: 0.2, g: 0.2, b: 0.2 },
-                    description: 'Adding brightness to dark materials'
-                }
-            ],
-            shininess: 80,
-            roughness: 0.5,
-            metalness: 0.6,
-            aoMapIntensity: 0.8
-        }
-    };
-    
     try {
-        const kitchenModel = await modelLoader.loadModel(kitchenConfig);
+        const kitchenModel = await modelLoader.loadModel(KITCHEN_MODEL_CONFIG);
         console.log('Kitchen and fridge model loaded and positioned successfully!');
         return kitchenModel;
     } catch (error) {
+        if (error.isCancelled) throw error;
         console.error('Failed to load kitchen and fridge model:', error);
-        throw error;
+        return modelLoader.createPlaceholder(KITCHEN_MODEL_CONFIG, error);
     }
 }
 
 // Load fridge model (converted to async)
 async function loadFridgeModel() {
-    const fridgeConfig = {
-        name: 'fridge',
-        path: 'models/fridge.glb',
-        scale: { x: 14, y: 12.4, z: 13 },
-        position: { x: 46, y: 15, z: 0.5 },
-        rotation: { x: 0, y: -Math.PI/2, z: 0 },
-        enableShadows: true,
-        processMaterials: true,
-        materialConfig: {
-            changeColors: true,
-            colorRules: [
-                {
-                    condition: { type: 'pink' },
-                    newColor: { r: 1.0, g: 1.0, b: 1.0 },
-                    emissive: { r: 0.2, g: 0.2, b: 0.2 },
-                    description: 'Converting pink materials to white'
-                },
-                {
-                    condition: { type: 'dark' },
-                    newColor: null,
-                    emissive: { r: 0.2, g: 0.2, b: 0.2 },
-                    description: 'Adding brightness to dark materials'
-                }
-            ],
-            shininess: 80,
-            roughness: 0.2,
-            metalness: 0.8,
-            aoMapIntensity: 0.8
-        }
-    };
-    
+    let fridgeModel;
     try {
-        const fridgeModel = await modelLoader.loadModel(fridgeConfig);
-        
-        // Find door objects for animations
-        findDoorObjects(fridgeModel);
-        
-        // Initialize door animations after model is loaded
-        if (window.DoorAnimations) {
-            window.DoorAnimations.init(scene);
-            window.DoorAnimations.setupControls();
-        } else {
-            console.error('Door animation module not loaded!');
-        }
-        
-        console.log('Fridge model loaded and configured successfully!');
-        return fridgeModel;
+        fridgeModel = await modelLoader.loadModel(FRIDGE_MODEL_CONFIG);
     } catch (error) {
+        if (error.isCancelled) throw error;
         console.error('Failed to load fridge model:', error);
-        createFallbackCube(); // Create a fallback if model fails to load
-        throw error;
+        // Labeled placeholder in place of the fridge, its doors cannot be animated
+        return modelLoader.createPlaceholder(FRIDGE_MODEL_CONFIG, error);
     }
-}
-
-// Find door objects in the fridge model
-function findDoorObjects(fridgeModel) {
-    console.log('Debugging: Searching for door objects in the model...');
-    console.log('All objects in model:');
-    fridgeModel.traverse((object) => {
-        console.log('Object name:', object.name);
-    });
     
-    // Try to find the door objects using multiple approaches
-    fridgeModel.traverse((object) => {
-        console.log('Checking object:', object.name);
+    // Find the doors with the model's part mapping and set up their animations
+    if (window.DoorAnimations) {
+        const doors = window.DoorAnimations.init(fridgeModel, partAnimator, FRIDGE_MODEL_CONFIG.parts);
+        window.DoorAnimations.setupControls();
         
-        // Try multiple name variations for upper door
-        if (object.name === 'FridgeUpperDoor' || 
-            object.name === 'UpperDoor' || 
-            object.name.toLowerCase().includes('upper') && object.name.toLowerCase().includes('door') ||
-            object.name.toLowerCase().includes('top') && object.name.toLowerCase().includes('door')) {
-            
-            console.log('Found match for upper door:', object);
-            window.upperDoor = object;
-            // Store original rotation for reference
-            window.upperDoor.userData.originalRotation = window.upperDoor.rotation.clone();
-            // Set pivot point for rotation (if not set correctly by default)
-            // This marks the door for our renderer to know it's a door
-            window.upperDoor.userData.isDoor = true;
+        // Doors can also be clicked and dragged in the 3D view
+        doorInteraction.setDoors(doors);
+        
+        // Bins on the inside of the doors, filled once the food items are loaded
+        const bins = sceneManifest.getDoorBins();
+        if (bins) {
+            doorBins.create(bins);
         }
         
-        // Try multiple name variations for lower door
-        else if (object.name === 'FridgeLowerDoor' || 
-                object.name === 'LowerDoor' || 
-                object.name.toLowerCase().includes('lower') && object.name.toLowerCase().includes('door') ||
-                object.name.toLowerCase().includes('bottom') && object.name.toLowerCase().includes('door')) {
-                
-            console.log('Found match for lower door:', object);
-            window.lowerDoor = object;
-            // Store original rotation for reference
-            window.lowerDoor.userData.originalRotation = window.lowerDoor.rotation.clone();
-            // Set pivot point for rotation (if not set correctly by default)
-            window.lowerDoor.userData.isDoor = true;
+        // Shelves and drawers work the same way
+        const fixtures = sceneManifest.getFixtures();
+        if (fixtures) {
+            fridgeFixtures.create(fixtures, fridgeModel);
+            doorInteraction.addParts(fridgeFixtures.getNodes());
+            dragCollision.addObstacles(fridgeFixtures.getNodes());
+            if (fridgePhysics) {
+                fridgePhysics.addColliders(fridgeFixtures.getNodes());
+            }
+            setupFixtureControls();
         }
-    });
-}
-
-// Create a fallback cube if model loading fails
-function createFallbackCube() {
-    console.log('Creating fallback cube since model failed to load');
-    const geometry = new THREE.BoxGeometry(2, 3, 2);
-    const material = new THREE.MeshStandardMaterial({ color: 0xdddddd });
-    const cube = new THREE.Mesh(geometry, material);
-    cube.position.set(0, 1.5, 0);
-    cube.castShadow = true;
-    cube.receiveShadow = true;
-    scene.add(cube);
+    } else {
+        console.error('Door animation module not loaded!');
+    }
+    
+    console.log('Fridge model loaded and configured successfully!');
+    return fridgeModel;
 }
 
 // Setup lights in the scene
@@ -762,9 +1369,21 @@ function setupLights() {
         color: 0xffffcc, 
         emissive: 0xffffcc,
         emissiveIntensity: 1
-    });    const lightBulb = new THREE.Mesh(lightBulbGeometry, lightBulbMaterial);
-    lightBulb.position.copy(backPanelLight.position);
-    scene.add(lightBulb);
+    });
+    backPanelBulb = new THREE.Mesh(lightBulbGeometry, lightBulbMaterial);
+    backPanelBulb.position.copy(backPanelLight.position);
+    scene.add(backPanelBulb);
+    
+    // Like a real fridge light: on while a door is open, unless overridden in the light panel
+    interiorLight = new window.InteriorLight(backPanelLight, {
+        bulb: backPanelBulb,
+        intensity: 2.5,
+        fadeIn: 250,    // ms
+        fadeOut: 600,   // ms
+        onDelay: 0,     // ms after a door starts opening
+        offDelay: 300   // ms after the last door has closed
+    });
+    interiorLight.attachDoors(partAnimator);
     
     // 1. LEFT - Light from left side
     const leftLight = new THREE.DirectionalLight(0xffffff, 0.5);
@@ -847,11 +1466,41 @@ function animate() {
     // Update object drag controls
     if (objectDragControls) {
         objectDragControls.update();
-    }    // Make the back panel light bulb glow with slight animation
-    if (backPanelLight && backPanelLight.visible) {
-        // Make the light pulsate slightly for a more realistic effect
-        const pulseFactor = 0.1 * Math.sin(clock.getElapsedTime() * 2) + 1;
-        backPanelLight.intensity = 2.5 * pulseFactor;
+    }
+    
+    // Advance door and drawer animations
+    if (partAnimator) {
+        partAnimator.update();
+    }
+    
+    // Doors swinging on after being dragged
+    if (doorInteraction) {
+        doorInteraction.update();
+    }
+    
+    // Move shelves between rails and carry items on moving shelves and drawers
+    if (fridgeFixtures) {
+        fridgeFixtures.update();
+    }
+    
+    // Dropped items falling onto a surface or going back
+    if (dropSettler) {
+        dropSettler.update();
+    }
+    
+    // Fixed physics steps for the fridge contents
+    if (fridgePhysics) {
+        fridgePhysics.update();
+    }
+    
+    // Fade the interior light in and out with the doors
+    if (interiorLight) {
+        interiorLight.update();
+    }
+    
+    // Warm up or cool down the interior
+    if (fridgeTemperature) {
+        fridgeTemperature.update();
     }
     
     renderer.render(scene, camera);
@@ -873,16 +1522,50 @@ window.addEventListener('beforeunload', () => {
         cameraControls.destroy();
     }
     
+    // Forget the undo history, releasing the items it kept
+    if (sceneHistory) {
+        sceneHistory.dispose();
+    }
+    
     // Clean up object drag controls
     if (objectDragControls) {
         objectDragControls.dispose();
     }
     
+    // Stop following the doors
+    if (doorInteraction) {
+        doorInteraction.dispose();
+    }
+    if (interiorLight) {
+        interiorLight.dispose();
+    }
+    if (fridgeTemperature) {
+        fridgeTemperature.dispose();
+    }
+    if (fridgeFixtures) {
+        fridgeFixtures.dispose();
+    }
+    if (itemSlots) {
+        itemSlots.dispose();
+    }
+    if (doorBins) {
+        doorBins.dispose();
+    }
+    if (dropSettler) {
+        dropSettler.dispose();
+    }
+    if (fridgePhysics) {
+        fridgePhysics.dispose();
+    }
+    
     // Clean up loading screen
     if (loadingScreen) {
         loadingScreen.dispose();
     }
     
+    // Stop model loads that have not started yet
+    modelLoadController.abort();
+    
     // Clean up optimized loader
     if (optimizedLoader) {
         optimizedLoader.dispose();
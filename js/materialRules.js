@@ -0,0 +1,234 @@
+// Material Rule Engine
+// One place that decides how loaded materials get recolored or retuned.
+// Used by every model loader through materialConfig.rules.
+//
+// A rule looks like:
+// {
+//     name: 'Pink to white',
+//     match: {
+//         color: 'pink' | { r: [min, max], g: [min, max], b: [min, max] },
+//         emissive: { r: [0, 0], g: [0, 0], b: [0, 0] },
+//         materialName: 'door|handle',       // case-insensitive regex, or an array of them
+//         meshName: ['shelf', /^glass_\d+/],
+//         materialType: 'MeshStandardMaterial' // or an array of types
+//     },
+//     set: { color: { r: 1, g: 1, b: 1 }, emissive: 0x333333, transmission: 0.5, envMapIntensity: 0.8 }
+// }
+//
+// Every match key is optional and all given keys must match. Range bounds may be
+// null for "no limit". Rules run in order, each one sees the result of the previous ones.
+
+class MaterialRuleEngine {
+    constructor() {
+        // Named color ranges usable as match.color / match.emissive
+        this.colorPresets = {
+            pink: { r: [0.7, null], g: [null, 0.7], b: [null, 0.7] },
+            dark: { r: [null, 0.2], g: [null, 0.2], b: [null, 0.2] },
+            black: { r: [0, 0], g: [0, 0], b: [0, 0] }
+        };
+    }
+
+    // Build the rule list for a materialConfig, translating the legacy
+    // changeColors/colorRules options into rules
+    getRules(materialConfig = {}) {
+        const rules = [];
+
+        if (materialConfig.changeColors && Array.isArray(materialConfig.colorRules)) {
+            rules.push(...this.fromColorRules(materialConfig.colorRules));
+        }
+
+        if (Array.isArray(materialConfig.rules)) {
+            rules.push(...materialConfig.rules);
+        }
+
+        return rules;
+    }
+
+    // Convert legacy color rules ({ condition, newColor, emissive, description })
+    fromColorRules(colorRules) {
+        const rules = colorRules.map((colorRule, index) => {
+            const condition = colorRule.condition || {};
+            const match = {};
+
+            if (condition.type === 'custom') {
+                match.custom = (context) => context.material.color && condition.check(context.material.color);
+            } else {
+                match.color = condition.type;
+            }
+
+            const set = {};
+            if (colorRule.newColor) set.color = colorRule.newColor;
+            if (colorRule.emissive) set.emissive = colorRule.emissive;
+
+            return {
+                name: colorRule.description || `Color rule ${index + 1}`,
+                match: match,
+                set: set
+            };
+        });
+
+        // Legacy behavior: give every material without a glow a faint one
+        rules.push({
+            name: 'Default emissive for unlit materials',
+            match: { emissive: 'black' },
+            set: { emissive: { r: 0.1, g: 0.1, b: 0.1 } }
+        });
+
+        return rules;
+    }
+
+    // Apply rules to a list of { mesh, material } pairs and return a report
+    // of which rules hit which meshes
+    applyToMaterials(entries, rules, modelName = 'model') {
+        const report = {
+            model: modelName,
+            materialsChecked: entries.length,
+            rules: rules.map((rule, index) => ({
+                name: rule.name || rule.description || `Rule ${index + 1}`,
+                hits: []
+            }))
+        };
+
+        if (rules.length === 0) {
+            return report;
+        }
+
+        entries.forEach(({ mesh, material }) => {
+            rules.forEach((rule, index) => {
+                if (!this.matches(rule.match || {}, mesh, material)) return;
+
+                const skipped = this.applySet(material, rule.set || {});
+                report.rules[index].hits.push({
+                    mesh: mesh.name || '(unnamed mesh)',
+                    material: material.name || '(unnamed material)',
+                    skipped: skipped
+                });
+            });
+        });
+
+        return report;
+    }
+
+    // Apply rules to every mesh material under a root object
+    apply(root, rules, modelName) {
+        return this.applyToMaterials(this.collectMaterials(root), rules, modelName);
+    }
+
+    // Collect { mesh, material } pairs, expanding multi-material meshes
+    collectMaterials(root) {
+        const entries = [];
+
+        root.traverse((object) => {
+            if (!object.isMesh || !object.material) return;
+
+            const materials = Array.isArray(object.material) ? object.material : [object.material];
+            materials.forEach(material => entries.push({ mesh: object, material: material }));
+        });
+
+        return entries;
+    }
+
+    // Check all match keys of a rule against a mesh/material pair
+    matches(match, mesh, material) {
+        if (match.color !== undefined && !this.matchesColor(material.color, match.color)) {
+            return false;
+        }
+        if (match.emissive !== undefined && !this.matchesColor(material.emissive, match.emissive)) {
+            return false;
+        }
+        if (match.materialName !== undefined && !this.matchesName(material.name, match.materialName)) {
+            return false;
+        }
+        if (match.meshName !== undefined && !this.matchesName(mesh.name, match.meshName)) {
+            return false;
+        }
+        if (match.materialType !== undefined) {
+            const types = Array.isArray(match.materialType) ? match.materialType : [match.materialType];
+            if (!types.includes(material.type)) return false;
+        }
+        if (typeof match.custom === 'function' && !match.custom({ mesh: mesh, material: material })) {
+            return false;
+        }
+        return true;
+    }
+
+    // Check a color against a preset name or { r, g, b } ranges
+    matchesColor(color, range) {
+        if (!color) return false;
+
+        const resolved = typeof range === 'string' ? this.colorPresets[range] : range;
+        if (!resolved) {
+            console.warn(`⚠️ Unknown color preset in material rule: ${range}`);
+            return false;
+        }
+
+        return ['r', 'g', 'b'].every(channel => {
+            const bounds = resolved[channel];
+            if (!bounds) return true;
+
+            const [min, max] = bounds;
+            return (min === null || min === undefined || color[channel] >= min) &&
+                   (max === null || max === undefined || color[channel] <= max);
+        });
+    }
+
+    // Name patterns are case-insensitive regular expressions (strings or RegExp)
+    matchesName(name, patterns) {
+        const list = Array.isArray(patterns) ? patterns : [patterns];
+        const value = name || '';
+
+        return list.some(pattern => {
+            const regex = pattern instanceof RegExp ? pattern : new RegExp(pattern, 'i');
+            return regex.test(value);
+        });
+    }
+
+    // Assign rule properties; returns the keys the material does not have
+    applySet(material, set) {
+        const skipped = [];
+
+        Object.keys(set).forEach(key => {
+            const value = set[key];
+            const current = material[key];
+
+            if (current === undefined) {
+                skipped.push(key);
+            } else if (current && current.isColor) {
+                if (value && typeof value === 'object') {
+                    current.setRGB(value.r, value.g, value.b);
+                } else {
+                    current.set(value);
+                }
+            } else {
+                material[key] = value;
+            }
+        });
+
+        material.needsUpdate = true;
+        return skipped;
+    }
+
+    // Print a short summary of a report
+    logReport(report) {
+        const hitRules = report.rules.filter(rule => rule.hits.length > 0);
+        console.log(`🎨 Material rules for ${report.model}: ${hitRules.length}/${report.rules.length} rules matched across ${report.materialsChecked} materials`);
+
+        report.rules.forEach(rule => {
+            if (rule.hits.length === 0) {
+                console.log(`   ◻️ ${rule.name}: no matches`);
+                return;
+            }
+
+            const meshes = [...new Set(rule.hits.map(hit => hit.mesh))];
+            console.log(`   ✅ ${rule.name}: ${rule.hits.length} materials on ${meshes.join(', ')}`);
+
+            const skipped = [...new Set(rule.hits.flatMap(hit => hit.skipped))];
+            if (skipped.length > 0) {
+                console.log(`   ⚠️ ${rule.name}: properties not on these materials: ${skipped.join(', ')}`);
+            }
+        });
+    }
+}
+
+// Make it globally available
+window.MaterialRuleEngine = MaterialRuleEngine;
@@ -9,6 +9,10 @@ class ModelLoader {
         // Cache sistemi - aynı modeli tekrar yüklemekten kaçın
         this.modelCache = new Map();
         this.loadingPromises = new Map(); // Aynı anda aynı model yüklenmesini engelle
+
+        // Shared material rules (colorRules, materialConfig.rules)
+        this.materialRules = new window.MaterialRuleEngine();
+        this.materialReports = new Map();
         
         console.log('🚀 ModelLoader initialized with caching system');
     }
@@ -89,7 +93,7 @@ class ModelLoader {
         
         // Apply material processing if specified
         if (modelConfig.processMaterials) {
-            this.processMaterials(model, modelConfig.materialConfig);
+            this.processMaterials(model, modelConfig.materialConfig, modelConfig.name);
         }
         
         // Enable shadows if specified
@@ -107,7 +111,7 @@ class ModelLoader {
     }
 
     // Process materials for a model
-    processMaterials(model, materialConfig = {}) {
+    processMaterials(model, materialConfig = {}, modelName = 'model') {
         model.traverse((object) => {
             if (object.isMesh) {
                 // Enable shadows
@@ -122,6 +126,14 @@ class ModelLoader {
                 }
             }
         });
+
+        // Apply color and property rules after the base enhancements
+        const rules = this.materialRules.getRules(materialConfig);
+        if (rules.length > 0) {
+            const report = this.materialRules.apply(model, rules, modelName);
+            this.materialReports.set(modelName, report);
+            this.materialRules.logReport(report);
+        }
     }
 
     // Enhance individual material
@@ -132,11 +144,6 @@ class ModelLoader {
         material.needsUpdate = true;
         material.side = THREE.DoubleSide;
         
-        // Apply color changes if specified
-        if (config.changeColors && material.color) {
-            this.applyColorChanges(material, config.colorRules);
-        }
-        
         // Improve material properties
         if (material.shininess !== undefined) {
             material.shininess = config.shininess || 80;
@@ -155,46 +162,9 @@ class ModelLoader {
         }
     }
 
-    // Apply color changes based on rules
-    applyColorChanges(material, colorRules = []) {
-        if (!material.color) return;
-        
-        const color = material.color;
-        console.log('Material color:', color.r, color.g, color.b);
-        
-        // Apply each color rule
-        colorRules.forEach(rule => {
-            if (this.matchesColorCondition(color, rule.condition)) {
-                console.log(`Applying color rule: ${rule.description}`);
-                
-                if (rule.newColor) {
-                    material.color.setRGB(rule.newColor.r, rule.newColor.g, rule.newColor.b);
-                }
-                
-                if (rule.emissive) {
-                    material.emissive.set(rule.emissive.r, rule.emissive.g, rule.emissive.b);
-                }
-            }
-        });
-        
-        // Default emissive for materials that didn't match any rule
-        if (!material.emissive || (material.emissive.r === 0 && material.emissive.g === 0 && material.emissive.b === 0)) {
-            material.emissive.set(0.1, 0.1, 0.1);
-        }
-    }
-
-    // Check if color matches a condition
-    matchesColorCondition(color, condition) {
-        switch (condition.type) {
-            case 'pink':
-                return color.r > 0.7 && color.g < 0.7 && color.b < 0.7;
-            case 'dark':
-                return color.r < 0.2 && color.g < 0.2 && color.b < 0.2;
-            case 'custom':
-                return condition.check(color);
-            default:
-                return false;
-        }
+    // Get the material rule report of a loaded model
+    getMaterialReport(name) {
+        return this.materialReports.get(name) || null;
     }
 
     // Enable shadows for all meshes in model
@@ -265,7 +235,7 @@ class ModelLoader {
         
         // Apply material processing if specified (but cached)
         if (modelConfig.processMaterials) {
-            this.processMaterials(model, modelConfig.materialConfig);
+            this.processMaterials(model, modelConfig.materialConfig, modelConfig.name);
         }
         
         // Enable shadows if specified
@@ -0,0 +1,115 @@
+// Model Placeholder
+// Stand-in for a model that failed to load: a translucent box (or the item
+// type's fallback shape) fitted to the size given in the manifest, with a
+// floating label naming the model and why it is missing.
+
+const PLACEHOLDER_COLORS = {
+    'not-found': 0xff9800,
+    'parse': 0xe91e63,
+    'timeout': 0x03a9f4,
+    'network': 0x9e9e9e
+};
+
+class ModelPlaceholder {
+    // options: { name, label, size: {x, y, z}, error, body }
+    // The placeholder stands on its origin: the box spans y = 0 .. size.y
+    static create(options) {
+        const size = options.size;
+        const kind = options.error && options.error.kind ? options.error.kind : 'network';
+        const color = PLACEHOLDER_COLORS[kind] || PLACEHOLDER_COLORS.network;
+
+        const group = new THREE.Group();
+        group.name = `${options.name}_placeholder`;
+        group.userData.isPlaceholder = true;
+        group.userData.loadError = {
+            kind: kind,
+            message: options.error ? options.error.message : null
+        };
+
+        if (options.body) {
+            ModelPlaceholder.fitToSize(options.body, size);
+            group.add(options.body);
+        } else {
+            const box = new THREE.Mesh(
+                new THREE.BoxGeometry(size.x, size.y, size.z),
+                new THREE.MeshStandardMaterial({ color: color, transparent: true, opacity: 0.45 })
+            );
+            box.position.y = size.y / 2;
+            group.add(box);
+        }
+
+        // Outline of the space the model would take
+        const outline = new THREE.LineSegments(
+            new THREE.EdgesGeometry(new THREE.BoxGeometry(size.x, size.y, size.z)),
+            new THREE.LineBasicMaterial({ color: color })
+        );
+        outline.position.y = size.y / 2;
+        outline.raycast = () => {};
+        group.add(outline);
+
+        group.add(ModelPlaceholder.createLabel(options.label, window.ModelLoadError.describe(kind), size));
+
+        group.traverse((object) => {
+            if (object.isMesh) {
+                object.castShadow = true;
+                object.receiveShadow = true;
+            }
+        });
+
+        return group;
+    }
+
+    // Scale a fallback shape uniformly into the size box and stand it on the origin
+    static fitToSize(body, size) {
+        body.updateMatrixWorld(true);
+        const bounds = new THREE.Box3().setFromObject(body);
+        const current = bounds.getSize(new THREE.Vector3());
+
+        const ratios = ['x', 'y', 'z']
+            .filter(axis => current[axis] > 0)
+            .map(axis => size[axis] / current[axis]);
+        if (ratios.length === 0) return;
+
+        body.scale.multiplyScalar(Math.min(...ratios));
+        body.updateMatrixWorld(true);
+
+        bounds.setFromObject(body);
+        const center = bounds.getCenter(new THREE.Vector3());
+        body.position.x -= center.x;
+        body.position.z -= center.z;
+        body.position.y -= bounds.min.y;
+    }
+
+    // Two-line text sprite floating above the box
+    static createLabel(title, reason, size) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 512;
+        canvas.height = 128;
+
+        const context = canvas.getContext('2d');
+        context.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.textAlign = 'center';
+        context.fillStyle = '#ffffff';
+        context.font = 'bold 44px Arial';
+        context.fillText(title, canvas.width / 2, 54);
+        context.fillStyle = '#ffcc80';
+        context.font = '32px Arial';
+        context.fillText(`⚠️ ${reason}`, canvas.width / 2, 104);
+
+        const texture = new THREE.CanvasTexture(canvas);
+        const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, transparent: true }));
+
+        const height = THREE.MathUtils.clamp(Math.max(size.x, size.y, size.z) * 0.25, 0.25, 3);
+        sprite.scale.set(height * 4, height, 1);
+        sprite.position.y = size.y + height * 0.75;
+        sprite.name = 'placeholder label';
+
+        // The label is not part of the object for picking and dragging
+        sprite.raycast = () => {};
+        return sprite;
+    }
+}
+
+// Make it globally available
+window.ModelPlaceholder = ModelPlaceholder;
@@ -1,10 +1,30 @@
+const TRANSFORM_MODE_KEYS = { t: 'translate', r: 'rotate', k: 'lift' };
+
 /**
  * Keyboard Object Drag Controls Module
- * Handles object selection and dragging using number keys (1-9)
+ * Handles object selection and dragging using number keys (1-9) or the mouse
  * Each number key selects a specific object for dragging
+ * With a FoodObjectManager set, the item under the cursor (the crosshair while the pointer
+ * is locked) is highlighted; pressing on it picks it up and releasing drops it
+ * Multi-selection: shift-click toggles an item, a box drawn on empty space (shift adds) and
+ * selectByType mark several items; pressing on a marked item drags them all around their
+ * common center, in every transform mode. Delete removes the marked items, Escape unmarks them
+ * Transform modes: 'translate' drags in the horizontal plane, 'lift' moves up and down,
+ * 'rotate' turns the object with horizontal mouse movement (T, K, R keys)
+ * X, Y, Z lock translate to one axis and pick the rotation axis (world y by default); G
+ * toggles snapping of positions to a snapDistance grid and of turns to snapAngle steps
+ * Events: 'dragstart' and 'dragend' with { object } when an object is picked up and dropped,
+ * 'change' with { object } when the dragged object moved or turned,
+ * 'modechange' with { mode, axis, snapping } when the transform settings change,
+ * 'hover' with { object } when the item under the cursor changes (object is null for none),
+ * 'selectionchange' with { objects } when the marked items change,
+ * 'selectionbox' with { box } while a selection box is drawn ({ left, top, width, height } in
+ * client pixels, null when it is done), 'delete' with { objects } for the owner to remove them
+ * A group drag sends 'dragstart' and 'dragend' for every marked item
  */
-class ObjectDragControls {
+class ObjectDragControls extends THREE.EventDispatcher {
     constructor(scene, camera, renderer, cameraControls) {
+        super();
         this.scene = scene;
         this.camera = camera;
         this.renderer = renderer;
@@ -22,18 +42,8 @@ class ObjectDragControls {
         this.raycaster = new THREE.Raycaster();
         this.intersectionPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
         
-        // Object mapping (number key -> object)
-        this.objectMapping = {
-            '1': { name: 'Corona Extra', object: null },
-            '2': { name: 'Corona Bottle', object: null },
-            '3': { name: 'Egg Carton', object: null },
-            '4': { name: 'Open Egg Carton', object: null },
-            '5': { name: 'Cheese', object: null },
-            '6': { name: 'Pickled Cucumbers', object: null },
-            '7': { name: 'Banana Crate', object: null },
-            '8': { name: 'AA Batteries', object: null },
-            '9': { name: 'Egg', object: null }
-        };
+        // Object mapping (number key -> object), filled from each object's userData.dragKey
+        this.objectMapping = {};
         
         // Visual feedback
         this.selectedObjectOriginalColor = null;
@@ -42,16 +52,50 @@ class ObjectDragControls {
         // Drag offset
         this.dragOffset = new THREE.Vector3();
         
+        // Optional DragCollision that keeps dragged objects out of walls, shelves and other objects
+        this.collision = null;
+        
+        // Mouse picking: interactable objects come from the FoodObjectManager
+        this.foodObjectManager = null;
+        this.pointer = new THREE.Vector2();
+        this.pointerMoved = false;
+        this.hoveredObject = null;
+        this.mouseDrag = false;      // The selected object was picked up with the mouse
+        this.suppressClick = false;
+        
+        // Multi-selection: marked items are gathered under the pivot while they are dragged
+        this.selection = [];
+        this.groupPivot = new THREE.Group();
+        this.groupPivot.name = 'selectionPivot';
+        this.marquee = null;         // { startX, startY, endX, endY, additive, active } while a box is drawn
+        this.marqueeThreshold = 5;   // Pixels before a press on empty space draws a box
+        
+        // Transform settings
+        this.mode = 'translate';
+        this.axis = null;          // null, 'x', 'y' or 'z'
+        this.snapping = false;
+        this.snapDistance = 0.5;   // World units
+        this.snapAngle = 15;       // Degrees
+        this.rotateSpeed = 0.01;   // Radians per pixel of mouse movement
+        
+        // Current gesture: turns count from the orientation the mode or axis was chosen at
+        this.lastPointerX = null;
+        this.rotationAngle = 0;
+        this.rotationStart = new THREE.Quaternion();
+        this.liftPlane = new THREE.Plane();
+        
         // Bind methods
         this.onKeyDown = this.onKeyDown.bind(this);
         this.onMouseMove = this.onMouseMove.bind(this);
+        this.onMouseDown = this.onMouseDown.bind(this);
+        this.onMouseUp = this.onMouseUp.bind(this);
+        this.onClick = this.onClick.bind(this);
         this.updateSelectedObjectPosition = this.updateSelectedObjectPosition.bind(this);
         
         this.isEnabled = true;
         
         console.log('🎯 Keyboard Object Drag Controls initialized');
         console.log('🎯 Press number keys 1-9 to select and drag objects');
-        this.printObjectMapping();
     }
     
     /**
@@ -69,29 +113,22 @@ class ObjectDragControls {
      * @param {Array} foodObjects - Array of THREE.Object3D objects that can be dragged
      */
     initializeDragObjects(foodObjects) {
-        this.allObjects = [];        // Store all objects and map them to number keys
-        foodObjects.forEach((obj, index) => {
+        this.allObjects = [];
+        this.objectMapping = {};
+        
+        // Store all objects and map them to the number keys they declare
+        foodObjects.forEach((obj) => {
             if (obj && obj.userData) {
                 this.allObjects.push(obj);
                 
-                // Map objects to number keys based on their exact names
-                const objectName = obj.userData.name;
-                if (objectName) {
-                    Object.keys(this.objectMapping).forEach(key => {
-                        const mapping = this.objectMapping[key];
-                        
-                        // Exact string matching to avoid confusion between similar names
-                        if (mapping.name === objectName) {
-                            mapping.object = obj;
-                            console.log(`🎯 Mapped ${key}: ${objectName} -> ${mapping.name}`);
-                        } else if (mapping.name === 'Egg' && objectName.startsWith('Egg ')) {
-                            // Special case for eggs (Egg 1, Egg 2, etc.)
-                            if (!mapping.object) {  // Only map the first egg found
-                                mapping.object = obj;
-                                console.log(`🎯 Mapped ${key}: ${objectName} -> ${mapping.name}`);
-                            }
-                        }
-                    });
+                const key = obj.userData.dragKey;
+                if (key) {
+                    if (this.objectMapping[key]) {
+                        console.warn(`🎯 Key ${key} already mapped to ${this.objectMapping[key].name}, ignoring ${obj.userData.name}`);
+                        return;
+                    }
+                    this.objectMapping[key] = { name: obj.userData.name || `Object ${key}`, object: obj };
+                    console.log(`🎯 Mapped ${key}: ${this.objectMapping[key].name}`);
                 }
             }
         });
@@ -100,7 +137,7 @@ class ObjectDragControls {
         this.addEventListeners();
         
         console.log(`🎯 Keyboard drag controls initialized with ${this.allObjects.length} objects`);
-        this.printMappedObjects();
+        this.printObjectMapping();
     }
     
     /**
@@ -117,13 +154,18 @@ class ObjectDragControls {
     
     /**
      * Add event listeners
+     * Mouse events go to the document: under pointer lock they are sent to the locked element
      */
     addEventListeners() {
         // Keyboard events
         document.addEventListener('keydown', this.onKeyDown);
         
         // Mouse events
-        this.renderer.domElement.addEventListener('mousemove', this.onMouseMove);
+        document.addEventListener('mousemove', this.onMouseMove);
+        document.addEventListener('mousedown', this.onMouseDown);
+        document.addEventListener('mouseup', this.onMouseUp);
+        // Capture phase, so the click ending a mouse drag does not reach the camera's pointer lock
+        document.addEventListener('click', this.onClick, true);
     }
     
     /**
@@ -131,7 +173,333 @@ class ObjectDragControls {
      */
     removeEventListeners() {
         document.removeEventListener('keydown', this.onKeyDown);
-        this.renderer.domElement.removeEventListener('mousemove', this.onMouseMove);
+        document.removeEventListener('mousemove', this.onMouseMove);
+        document.removeEventListener('mousedown', this.onMouseDown);
+        document.removeEventListener('mouseup', this.onMouseUp);
+        document.removeEventListener('click', this.onClick, true);
+    }
+    
+    isPointerLocked() {
+        return document.pointerLockElement === document.body;
+    }
+    
+    /**
+     * Pick items with the mouse among the interactable objects of the manager
+     * @param {FoodObjectManager|null} foodObjectManager
+     */
+    setFoodObjectManager(foodObjectManager) {
+        this.foodObjectManager = foodObjectManager;
+        if (!foodObjectManager) {
+            this.setHoveredObject(null);
+        }
+    }
+    
+    /**
+     * Drag object under the cursor (or the crosshair while pointer locked), or null
+     */
+    pickObject() {
+        if (!this.foodObjectManager) return null;
+        
+        if (this.isPointerLocked()) {
+            this.pointer.set(0, 0);
+        }
+        this.raycaster.setFromCamera(this.pointer, this.camera);
+        
+        const hit = this.raycaster.intersectObjects(this.foodObjectManager.getInteractableObjects(), true)
+            .find(candidate => this.isVisible(candidate.object));
+        const object = hit ? this.findDragObject(hit.object) : null;
+        if (!object || this.isBlockedBefore(hit.distance)) return null;
+        
+        return object;
+    }
+    
+    /**
+     * Anything that is not an item (a closed door, a shelf, a drawer front) is nearer along the ray
+     * @param {number} distance - Distance of the item along the raycaster's ray
+     */
+    isBlockedBefore(distance) {
+        const nearest = this.raycaster.intersectObjects(this.scene.children, true)
+            .find(candidate => this.isVisible(candidate.object));
+        return !!nearest && nearest.distance < distance - 0.001 &&
+            !nearest.object.isInstancedMesh && !this.findDragObject(nearest.object);
+    }
+    
+    // Drag object a picked mesh belongs to
+    findDragObject(object) {
+        for (let current = object; current; current = current.parent) {
+            if (this.allObjects.includes(current)) return current;
+        }
+        return null;
+    }
+    
+    isVisible(object) {
+        for (let current = object; current; current = current.parent) {
+            if (!current.visible) return false;
+        }
+        return true;
+    }
+    
+    /**
+     * Highlight the object under the cursor
+     * @param {THREE.Object3D|null} object
+     */
+    setHoveredObject(object) {
+        if (this.hoveredObject === object) return;
+        
+        // Marked items keep their highlight
+        if (this.hoveredObject && this.hoveredObject !== this.selectedObject && !this.selection.includes(this.hoveredObject)) {
+            this.removeObjectHighlight(this.hoveredObject);
+        }
+        this.hoveredObject = object;
+        if (object && object !== this.selectedObject && !this.selection.includes(object)) {
+            this.addObjectHighlight(object);
+        }
+        
+        if (!this.isDragging) {
+            document.body.style.cursor = object ? 'grab' : 'default';
+        }
+        this.dispatchEvent({ type: 'hover', object: object });
+    }
+    
+    updatePointer(event) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        this.pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+        this.pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+    }
+    
+    /**
+     * Press on an item: pick it up, it is dropped when the button is released
+     */
+    onMouseDown(event) {
+        if (!this.isEnabled || event.button !== 0 || this.isDragging || !this.foodObjectManager) return;
+        
+        // Without pointer lock only presses on the canvas count, not on the UI panels
+        if (!this.isPointerLocked() && event.target !== this.renderer.domElement) return;
+        
+        // Another control (door interaction) is using the mouse
+        if (this.cameraControls && !this.cameraControls.isEnabled) return;
+        
+        if (!this.isPointerLocked()) {
+            this.updatePointer(event);
+        }
+        const object = this.pickObject();
+        if (!object) {
+            // Empty space: a selection box once the mouse moves (the cursor is hidden under pointer lock)
+            if (!this.isPointerLocked()) {
+                this.marquee = {
+                    startX: event.clientX,
+                    startY: event.clientY,
+                    endX: event.clientX,
+                    endY: event.clientY,
+                    additive: event.shiftKey,
+                    active: false
+                };
+            }
+            return;
+        }
+        event.preventDefault();
+        
+        if (event.shiftKey) {
+            this.toggleSelected(object);
+            this.suppressClick = true;
+            return;
+        }
+        
+        // A marked item brings the other marked items along
+        if (this.selection.length > 1 && this.selection.includes(object)) {
+            this.selectObject(this.groupPivot, null);
+            console.log(`🎯 Picked up ${this.selection.length} objects with the mouse`);
+        } else {
+            this.clearSelection();
+            this.selectObject(object, null);
+            console.log(`🎯 Picked up ${object.userData.name || 'object'} with the mouse`);
+        }
+        this.mouseDrag = true;
+        this.mouse.copy(this.pointer);
+        this.lastPointerX = event.clientX;
+    }
+    
+    onMouseUp(event) {
+        if (event.button !== 0) return;
+        
+        if (this.marquee) {
+            this.finishMarquee();
+            return;
+        }
+        if (!this.mouseDrag) return;
+        
+        this.deselectObject();
+        this.suppressClick = true;
+    }
+    
+    onClick(event) {
+        if (!this.suppressClick) return;
+        
+        // The press picked up, marked or boxed items: do not start mouse look
+        this.suppressClick = false;
+        event.stopPropagation();
+    }
+    
+    /**
+     * Follow the mouse with the selection box
+     */
+    updateMarquee(event) {
+        const marquee = this.marquee;
+        marquee.endX = event.clientX;
+        marquee.endY = event.clientY;
+        
+        if (!marquee.active) {
+            const moved = Math.abs(marquee.endX - marquee.startX) + Math.abs(marquee.endY - marquee.startY);
+            if (moved < this.marqueeThreshold) return;
+            marquee.active = true;
+        }
+        this.dispatchEvent({ type: 'selectionbox', box: this.getMarqueeBox() });
+    }
+    
+    getMarqueeBox() {
+        const marquee = this.marquee;
+        return {
+            left: Math.min(marquee.startX, marquee.endX),
+            top: Math.min(marquee.startY, marquee.endY),
+            width: Math.abs(marquee.endX - marquee.startX),
+            height: Math.abs(marquee.endY - marquee.startY)
+        };
+    }
+    
+    /**
+     * Release after a press on empty space: mark the boxed items, or unmark all on a plain click
+     */
+    finishMarquee() {
+        const marquee = this.marquee;
+        const box = this.getMarqueeBox();
+        this.marquee = null;
+        
+        if (!marquee.active) {
+            if (!marquee.additive) {
+                this.clearSelection();
+            }
+            return;
+        }
+        
+        const objects = this.findObjectsInBox(box);
+        this.setSelection(marquee.additive ? this.selection.concat(objects) : objects);
+        this.dispatchEvent({ type: 'selectionbox', box: null });
+        this.suppressClick = true;
+    }
+    
+    /**
+     * Drag objects whose center is seen inside a box of the screen
+     * @param {Object} box - { left, top, width, height } in client pixels
+     * @returns {Array<THREE.Object3D>}
+     */
+    findObjectsInBox(box) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        const eye = this.camera.getWorldPosition(new THREE.Vector3());
+        
+        return this.allObjects.filter(object => {
+            if (!object.parent || !this.isVisible(object)) return false;
+            
+            const bounds = new THREE.Box3().setFromObject(object);
+            const center = bounds.isEmpty() ? object.getWorldPosition(new THREE.Vector3()) : bounds.getCenter(new THREE.Vector3());
+            
+            const projected = center.clone().project(this.camera);
+            if (projected.z < -1 || projected.z > 1) return false;
+            const x = rect.left + (projected.x + 1) / 2 * rect.width;
+            const y = rect.top + (1 - projected.y) / 2 * rect.height;
+            if (x < box.left || x > box.left + box.width || y < box.top || y > box.top + box.height) return false;
+            
+            const distance = eye.distanceTo(center);
+            this.raycaster.set(eye, center.clone().sub(eye).normalize());
+            return !this.isBlockedBefore(distance);
+        });
+    }
+    
+    /**
+     * Mark items to move, turn and delete together
+     * @param {Array<THREE.Object3D>} objects - Drag objects; others and duplicates are left out
+     */
+    setSelection(objects) {
+        if (this.isDragging && this.selectedObject === this.groupPivot) return;
+        
+        // The hover highlight must not be taken for a selection highlight
+        this.setHoveredObject(null);
+        this.pointerMoved = true;
+        
+        const next = objects.filter((object, index) => this.allObjects.includes(object) && objects.indexOf(object) === index);
+        this.selection.filter(object => !next.includes(object) && object !== this.selectedObject)
+            .forEach(object => this.removeObjectHighlight(object));
+        next.filter(object => !this.selection.includes(object) && object !== this.selectedObject)
+            .forEach(object => this.addObjectHighlight(object));
+        this.selection = next;
+        
+        this.dispatchEvent({ type: 'selectionchange', objects: next.slice() });
+    }
+    
+    getSelection() {
+        return this.selection.slice();
+    }
+    
+    toggleSelected(object) {
+        this.setSelection(this.selection.includes(object)
+            ? this.selection.filter(other => other !== object)
+            : this.selection.concat([object]));
+    }
+    
+    clearSelection() {
+        if (this.selection.length > 0) {
+            this.setSelection([]);
+        }
+    }
+    
+    /**
+     * Mark every drag object of a food type, e.g. all beverages
+     * @param {string} type - Type the items were registered with
+     * @param {boolean} [additive=false] - Keep the items marked already
+     * @returns {number} Number of items of the type
+     */
+    selectByType(type, additive = false) {
+        if (!this.foodObjectManager) return 0;
+        
+        const objects = this.foodObjectManager.getFoodObjectsByType(type)
+            .map(entry => entry.object)
+            .filter(object => object.parent && this.allObjects.includes(object));
+        this.setSelection(additive ? this.selection.concat(objects) : objects);
+        console.log(`🎯 Selected ${objects.length} objects of type ${type}`);
+        return objects.length;
+    }
+    
+    /**
+     * Take the marked items out of the drag controls and ask the owner to remove them
+     * @returns {Array<THREE.Object3D>} The deleted objects
+     */
+    deleteSelection() {
+        if (this.isDragging || this.selection.length === 0) return [];
+        
+        const objects = this.selection.slice();
+        this.setSelection([]);
+        objects.forEach(object => this.removeDragObject(object));
+        
+        this.dispatchEvent({ type: 'delete', objects: objects });
+        console.log(`🗑️ Deleted ${objects.length} objects`);
+        return objects;
+    }
+    
+    // Put the marked items under the pivot at their common center, keeping their world transforms
+    gatherSelection() {
+        const center = new THREE.Vector3();
+        this.selection.forEach(object => center.add(object.getWorldPosition(new THREE.Vector3())));
+        center.divideScalar(this.selection.length);
+        
+        this.groupPivot.position.copy(center);
+        this.groupPivot.quaternion.identity();
+        this.scene.add(this.groupPivot);
+        this.groupPivot.updateMatrixWorld(true);
+        this.selection.forEach(object => this.groupPivot.attach(object));
+    }
+    
+    scatterSelection() {
+        this.selection.forEach(object => this.scene.attach(object));
+        this.scene.remove(this.groupPivot);
     }
     
     /**
@@ -140,12 +508,89 @@ class ObjectDragControls {
     onKeyDown(event) {
         if (!this.isEnabled) return;
         
+        if (event.target && event.target.tagName === 'INPUT') return;
+        
         const key = event.key;
         
         // Check if it's a number key 1-9
         if (key >= '1' && key <= '9') {
             event.preventDefault();
             this.handleObjectSelection(key);
+            return;
+        }
+        
+        // Leave browser shortcuts such as Ctrl+R alone
+        if (event.ctrlKey || event.metaKey || event.altKey) return;
+        
+        const lower = key.toLowerCase();
+        if (TRANSFORM_MODE_KEYS[lower]) {
+            this.setMode(TRANSFORM_MODE_KEYS[lower]);
+        } else if (lower === 'x' || lower === 'y' || lower === 'z') {
+            // Pressing the locked axis again frees it
+            this.setAxis(this.axis === lower ? null : lower);
+        } else if (lower === 'g') {
+            this.setSnapping(!this.snapping);
+        } else if (key === 'Delete' || key === 'Backspace') {
+            event.preventDefault();
+            this.deleteSelection();
+        } else if (key === 'Escape' && !this.isDragging) {
+            this.clearSelection();
+        }
+    }
+    
+    /**
+     * Choose how dragging changes the selected object
+     * @param {string} mode - 'translate', 'rotate' or 'lift'
+     */
+    setMode(mode) {
+        if (!Object.values(TRANSFORM_MODE_KEYS).includes(mode)) {
+            throw new Error(`Unknown transform mode: ${mode}`);
+        }
+        if (this.mode === mode) return;
+        
+        this.mode = mode;
+        this.beginGesture();
+        console.log(`🎯 Transform mode: ${mode}`);
+        this.dispatchModeChange();
+    }
+    
+    /**
+     * Lock translation to one world axis and choose the rotation axis
+     * @param {string|null} axis - 'x', 'y', 'z' or null for free movement
+     */
+    setAxis(axis) {
+        if (axis !== null && !['x', 'y', 'z'].includes(axis)) {
+            throw new Error(`Unknown axis: ${axis}`);
+        }
+        if (this.axis === axis) return;
+        
+        this.axis = axis;
+        this.beginGesture();
+        console.log(`🎯 Axis: ${axis ? axis.toUpperCase() : 'free'}`);
+        this.dispatchModeChange();
+    }
+    
+    /**
+     * Snap positions to the snapDistance grid and turns to snapAngle steps
+     * @param {boolean} enabled
+     */
+    setSnapping(enabled) {
+        this.snapping = !!enabled;
+        console.log(`🎯 Snapping ${this.snapping ? 'on' : 'off'}`);
+        this.dispatchModeChange();
+    }
+    
+    dispatchModeChange() {
+        this.dispatchEvent({ type: 'modechange', mode: this.mode, axis: this.axis, snapping: this.snapping });
+    }
+    
+    /**
+     * Start turning from the selected object's current orientation
+     */
+    beginGesture() {
+        this.rotationAngle = 0;
+        if (this.selectedObject) {
+            this.rotationStart.copy(this.selectedObject.quaternion);
         }
     }
     
@@ -155,8 +600,8 @@ class ObjectDragControls {
     handleObjectSelection(key) {
         const mapping = this.objectMapping[key];
         
-        if (!mapping.object) {
-            console.warn(`❌ Object for key ${key} (${mapping.name}) not found`);
+        if (!mapping || !mapping.object) {
+            console.warn(`❌ No object mapped to key ${key}`);
             return;
         }
         
@@ -171,6 +616,7 @@ class ObjectDragControls {
         if (this.selectedObject) {
             this.deselectObject();
         }
+        this.clearSelection();
         
         // Select new object
         this.selectObject(mapping.object, key);
@@ -181,6 +627,19 @@ class ObjectDragControls {
      * Select an object for dragging
      */
     selectObject(object, key) {
+        // The hover highlight gives way to the selection highlight
+        this.setHoveredObject(null);
+        
+        // Listeners may re-parent the object (door bins), so this comes before reading its position
+        // A group is picked up item by item, then gathered under its pivot
+        const grouped = object === this.groupPivot;
+        const items = grouped ? this.selection.slice() : [object];
+        items.forEach(item => this.dispatchEvent({ type: 'dragstart', object: item }));
+        if (grouped) {
+            this.gatherSelection();
+            object.userData.name = `${items.length} nesne`;
+        }
+        
         this.selectedObject = object;
         this.selectedObjectIndex = key;
         this.isDragging = true;
@@ -188,8 +647,10 @@ class ObjectDragControls {
         // Store original position as drag offset
         this.dragOffset.copy(object.position);
         
-        // Add visual highlight
-        this.addObjectHighlight(object);
+        // Add visual highlight (marked items have theirs)
+        if (!grouped && !this.selection.includes(object)) {
+            this.addObjectHighlight(object);
+        }
         
         // Disable camera controls while dragging
         if (this.cameraControls) {
@@ -201,15 +662,27 @@ class ObjectDragControls {
         
         // Update intersection plane based on object's current Y position
         this.intersectionPlane.constant = -object.position.y;
+        
+        this.lastPointerX = null;
+        this.beginGesture();
+        
+        if (this.collision) {
+            this.collision.begin(object);
+        }
     }
     
     /**
      * Deselect current object
      */
     deselectObject() {
+        const object = this.selectedObject;
+        const grouped = object === this.groupPivot;
+        
         if (this.selectedObject) {
-            // Remove visual highlight
-            this.removeObjectHighlight();
+            // Remove visual highlight (marked items keep theirs)
+            if (!grouped && !this.selection.includes(object)) {
+                this.removeObjectHighlight();
+            }
             
             // Log final position
             const pos = this.selectedObject.position;
@@ -218,6 +691,17 @@ class ObjectDragControls {
             this.selectedObject = null;
             this.selectedObjectIndex = -1;
             this.isDragging = false;
+            this.mouseDrag = false;
+            this.pointerMoved = true; // Hover again where the item was dropped
+            
+            if (this.collision) {
+                this.collision.end();
+            }
+            
+            // Each item lands on its own
+            if (grouped) {
+                this.scatterSelection();
+            }
         }
         
         // Re-enable camera controls
@@ -227,12 +711,24 @@ class ObjectDragControls {
         
         // Reset cursor
         document.body.style.cursor = 'default';
+        
+        if (object) {
+            const items = grouped ? this.selection.slice() : [object];
+            items.forEach(item => this.dispatchEvent({ type: 'dragend', object: item }));
+        }
     }
     
     /**
      * Add visual highlight to selected object
      */
     addObjectHighlight(object) {
+        // Instanced objects share their material, so only tint this instance
+        if (object.isInstanceProxy) {
+            object.userData.originalInstanceColor = object.getColor();
+            object.setColor(object.userData.originalInstanceColor.clone().multiplyScalar(1.3));
+            return;
+        }
+        
         // Store original material colors
         object.traverse((child) => {
             if (child.isMesh && child.material) {
@@ -257,9 +753,17 @@ class ObjectDragControls {
     /**
      * Remove visual highlight from object
      */
-    removeObjectHighlight() {
-        if (this.selectedObject) {
-            this.selectedObject.traverse((child) => {
+    removeObjectHighlight(object = this.selectedObject) {
+        if (object && object.isInstanceProxy) {
+            if (object.userData.originalInstanceColor) {
+                object.setColor(object.userData.originalInstanceColor);
+                delete object.userData.originalInstanceColor;
+            }
+            return;
+        }
+        
+        if (object) {
+            object.traverse((child) => {
                 if (child.isMesh && child.material) {
                     // Restore original color
                     if (child.userData.originalColor) {
@@ -281,15 +785,49 @@ class ObjectDragControls {
      * Handle mouse movement for dragging
      */
     onMouseMove(event) {
-        if (!this.isEnabled || !this.isDragging || !this.selectedObject) return;
+        if (!this.isEnabled) return;
+        
+        if (this.marquee) {
+            this.updateMarquee(event);
+            return;
+        }
+        
+        if (!this.isDragging || !this.selectedObject) {
+            // Hover is picked once per frame in update
+            if (this.isPointerLocked()) {
+                this.pointerMoved = true;
+            } else if (event.target === this.renderer.domElement) {
+                this.updatePointer(event);
+                this.pointerMoved = true;
+            } else if (this.hoveredObject) {
+                // Over a UI panel
+                this.setHoveredObject(null);
+            }
+            return;
+        }
         
         // Update mouse coordinates
         const rect = this.renderer.domElement.getBoundingClientRect();
-        this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
-        this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+        let deltaX;
+        if (this.isPointerLocked()) {
+            // The cursor is hidden and the camera stands still: move a virtual pointer from the crosshair
+            deltaX = event.movementX || 0;
+            this.mouse.x = THREE.MathUtils.clamp(this.mouse.x + deltaX * 2 / rect.width, -1, 1);
+            this.mouse.y = THREE.MathUtils.clamp(this.mouse.y - (event.movementY || 0) * 2 / rect.height, -1, 1);
+        } else {
+            this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+            this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+            deltaX = this.lastPointerX === null ? 0 : event.clientX - this.lastPointerX;
+            this.lastPointerX = event.clientX;
+        }
+        
+        if (this.mode === 'rotate') {
+            this.rotateSelectedObject(deltaX);
+        } else {
+            this.updateSelectedObjectPosition();
+        }
         
-        // Update object position
-        this.updateSelectedObjectPosition();
+        this.dispatchEvent({ type: 'change', object: this.selectedObject });
     }
     
     /**
@@ -301,24 +839,104 @@ class ObjectDragControls {
         // Cast ray from camera through mouse position
         this.raycaster.setFromCamera(this.mouse, this.camera);
         
-        // Find intersection with the plane at object's Y level
-        const intersectionPoint = new THREE.Vector3();
-        this.raycaster.ray.intersectPlane(this.intersectionPlane, intersectionPoint);
+        // Translate locked to Y is the same as lifting
+        if (this.mode === 'lift' || this.axis === 'y') {
+            this.liftSelectedObject();
+            return;
+        }
+        
+        // Find intersection with the plane at object's Y level, which lifting may have changed
+        // Null when the ray is parallel to or points away from the plane
+        this.intersectionPlane.constant = -this.selectedObject.position.y;
+        const intersectionPoint = this.raycaster.ray.intersectPlane(this.intersectionPlane, new THREE.Vector3());
         
         if (intersectionPoint) {
+            const position = this.selectedObject.position;
+            const x = this.axis === 'z' ? position.x : this.snap(intersectionPoint.x);
+            const z = this.axis === 'x' ? position.z : this.snap(intersectionPoint.z);
+            
             // Update object position (keep Y coordinate fixed)
-            this.selectedObject.position.x = intersectionPoint.x;
-            this.selectedObject.position.z = intersectionPoint.z;
-            // Y position stays the same as when selected
+            if (this.collision) {
+                // Stops on contact and slides along whatever is in the way
+                this.collision.move(this.selectedObject, x, z);
+            } else {
+                position.x = x;
+                position.z = z;
+            }
+        }
+    }
+    
+    /**
+     * Move the selected object to the height of the mouse on a vertical plane facing the camera
+     */
+    liftSelectedObject() {
+        const position = this.selectedObject.position;
+        
+        const normal = this.camera.getWorldDirection(new THREE.Vector3());
+        normal.y = 0;
+        if (normal.lengthSq() < 1e-6) {
+            // Looking straight down: no vertical plane faces the camera
+            return;
+        }
+        this.liftPlane.setFromNormalAndCoplanarPoint(normal.normalize(), position);
+        
+        const intersectionPoint = this.raycaster.ray.intersectPlane(this.liftPlane, new THREE.Vector3());
+        if (!intersectionPoint) return;
+        
+        const y = this.snap(intersectionPoint.y);
+        if (this.collision) {
+            this.collision.lift(this.selectedObject, y);
+        } else {
+            position.y = y;
         }
     }
     
+    /**
+     * Turn the selected object about the chosen world axis
+     * @param {number} deltaX - Horizontal mouse movement in pixels
+     */
+    rotateSelectedObject(deltaX) {
+        if (!this.selectedObject) return;
+        
+        this.rotationAngle += deltaX * this.rotateSpeed;
+        
+        let angle = this.rotationAngle;
+        if (this.snapping) {
+            const step = THREE.MathUtils.degToRad(this.snapAngle);
+            angle = Math.round(angle / step) * step;
+        }
+        
+        const axis = new THREE.Vector3();
+        axis[this.axis || 'y'] = 1;
+        this.selectedObject.quaternion.setFromAxisAngle(axis, angle).multiply(this.rotationStart);
+    }
+    
+    // Nearest grid value while snapping is on
+    snap(value) {
+        if (!this.snapping) return value;
+        return Math.round(value / this.snapDistance) * this.snapDistance;
+    }
+    
+    /**
+     * Keep dragged objects from passing through walls, shelves and other objects
+     * @param {DragCollision|null} collision
+     */
+    setCollision(collision) {
+        this.collision = collision;
+    }
+    
     /**
      * Add a new object to the system
      */
     addDragObject(object) {
         if (object && !this.allObjects.includes(object)) {
             this.allObjects.push(object);
+
+            // An item coming back (undo) gets its key again if it is still free
+            const mapping = this.objectMapping[object.userData.dragKey];
+            if (mapping && !mapping.object) {
+                mapping.object = object;
+            }
             console.log(`🎯 Added ${object.userData.name || 'object'} to keyboard drag controls`);
         }
     }
@@ -330,9 +948,12 @@ class ObjectDragControls {
         const index = this.allObjects.indexOf(object);
         if (index !== -1) {
             // If this was the selected object, deselect it
-            if (this.selectedObject === object) {
+            if (this.selectedObject === object || (this.selectedObject === this.groupPivot && this.selection.includes(object))) {
                 this.deselectObject();
             }
+            if (this.selection.includes(object)) {
+                this.setSelection(this.selection.filter(other => other !== object));
+            }
             
             this.allObjects.splice(index, 1);
             
@@ -356,6 +977,11 @@ class ObjectDragControls {
         if (!enabled && this.selectedObject) {
             this.deselectObject();
         }
+        if (!enabled) {
+            this.setHoveredObject(null);
+            this.clearSelection();
+            this.marquee = null;
+        }
         
         console.log(`🎯 Keyboard drag controls ${enabled ? 'enabled' : 'disabled'}`);
     }
@@ -364,11 +990,11 @@ class ObjectDragControls {
      * Update method (called in animation loop)
      */
     update() {
-        // Update object position if dragging
-        if (this.isDragging && this.selectedObject) {
-            // This ensures smooth dragging in the animation loop
-            // The actual position update happens in onMouseMove
-        }
+        // Dragging happens in onMouseMove; here the item under the cursor is highlighted
+        if (!this.isEnabled || !this.foodObjectManager || this.isDragging || this.marquee || !this.pointerMoved) return;
+        
+        this.pointerMoved = false;
+        this.setHoveredObject(this.pickObject());
     }
     
     /**
@@ -392,7 +1018,7 @@ class ObjectDragControls {
      */
     assignObjectToKey(key, object) {
         if (key >= '1' && key <= '9' && object) {
-            this.objectMapping[key].object = object;
+            this.objectMapping[key] = { name: object.userData.name || `Object ${key}`, object: object };
             console.log(`🎯 Manually assigned ${object.userData.name || 'object'} to key ${key}`);
         }
     }
@@ -405,6 +1031,8 @@ class ObjectDragControls {
         if (this.selectedObject) {
             this.deselectObject();
         }
+        this.setHoveredObject(null);
+        this.clearSelection();
         
         // Remove event listeners
         this.removeEventListeners();
@@ -7,15 +7,56 @@ class OptimizedModelLoader {
         this.loader = new THREE.GLTFLoader();
         this.loadedModels = new Map();
         
+        // Decoders for compressed models, read from files shipped with the app (see js/libs/README.md)
+        this.decoders = {
+            dracoPath: 'js/libs/draco/',
+            basisPath: 'js/libs/basis/',
+            meshoptScript: 'js/libs/meshopt_decoder.js',
+            ktx2Script: 'js/libs/ktx2/KTX2Loader.js',
+            renderer: null
+        };
+        this.dracoLoader = null;
+        this.ktx2Loader = null;
+        this.gltfLoaders = new Map(); // Decoder combination -> Promise<GLTFLoader>
+        this.scriptPromises = new Map();
+        
         // Advanced caching system
         this.modelCache = new Map(); // Stores original GLTF data
-        this.loadingPromises = new Map(); // Prevents duplicate loading
-        this.instanceCache = new Map(); // Stores processed instances
+        
+        // Model files load through a priority queue; requests for the same file share one load
+        this.loadQueue = new window.LoadQueue({
+            concurrency: 4,
+            onCancel: (path) => this.progress.cancel(path)
+        });
+        this.instanceCache = new Map(); // Instanced pools for repeated models (instanceGroup or path -> InstancedModelPool)
+
+        // Shared material rules and the report of the last run per model
+        this.materialRules = new window.MaterialRuleEngine();
+        this.materialReports = new Map();
+        
+        // Reference counts for GPU resources shared between copies of a model
+        this.assets = new window.AssetRegistry();
+        
+        // Combined download progress of all queued model files ('progress' events)
+        this.progress = new window.LoadProgressTracker();
+        
+        // Failure handling: retries for timeouts and network errors, timeout = ms without download progress
+        this.loadPolicy = {
+            retries: 2,
+            retryDelay: 500,
+            timeout: 30000
+        };
+        this.fileAttempts = new Map(); // path -> attempts used for the last load
+        this.loadReport = new Map();   // model name -> { name, label, path, status, kind, message, attempts, placeholder }
+        
+        // Optional IndexedDB copy of downloaded files, see enablePersistentCache()
+        this.persistentCache = null;
         
         // Performance tracking
         this.loadingStats = {
             totalLoads: 0,
             cacheHits: 0,
+            persistentHits: 0,
             loadingTime: 0
         };
         
@@ -23,7 +64,8 @@ class OptimizedModelLoader {
     }
 
     // Main loading method with caching
-    async loadModel(modelConfig) {
+    // options.signal: AbortSignal that cancels this request
+    async loadModel(modelConfig, options = {}) {
         const startTime = performance.now();
         const cacheKey = modelConfig.path;
         
@@ -36,80 +78,508 @@ class OptimizedModelLoader {
             if (this.modelCache.has(cacheKey)) {
                 console.log(`📦 Cache HIT: ${modelConfig.name}`);
                 this.loadingStats.cacheHits++;
+                this.progress.start(modelConfig, true);
                 const cachedGltf = this.modelCache.get(cacheKey);
                 model = await this.createInstance(cachedGltf, modelConfig);
             }
-            // Check if already loading
-            else if (this.loadingPromises.has(cacheKey)) {
-                console.log(`⏳ Waiting for: ${modelConfig.name}`);
-                const gltf = await this.loadingPromises.get(cacheKey);
-                model = await this.createInstance(gltf, modelConfig);
-            }
-            // Load new model
+            // Load through the queue (joins a load of the same file that is already queued or running)
             else {
-                console.log(`🔄 Loading NEW: ${modelConfig.name}`);
-                const gltf = await this.loadModelFromDisk(modelConfig);
+                const gltf = await this.loadModelFromDisk(modelConfig, options);
                 model = await this.createInstance(gltf, modelConfig);
             }
             
+            // Cancelled while materials were being processed
+            if (options.signal && options.signal.aborted) {
+                this.releaseModel(model);
+                throw new window.LoadCancelledError(modelConfig.name);
+            }
+            
             const loadTime = performance.now() - startTime;
             this.loadingStats.loadingTime += loadTime;
+            this.recordLoadResult(modelConfig, null);
             
             console.log(`✅ ${modelConfig.name} loaded in ${loadTime.toFixed(2)}ms`);
             return model;
             
         } catch (error) {
-            console.error(`❌ Failed to load ${modelConfig.name}:`, error);
-            throw error;
+            if (error.isCancelled) {
+                console.log(`🚫 Cancelled: ${modelConfig.name}`);
+                throw error;
+            }
+            const loadError = window.ModelLoadError.from(error, cacheKey);
+            console.error(`❌ Failed to load ${modelConfig.name}:`, loadError);
+            this.progress.fail(cacheKey, loadError);
+            this.recordLoadResult(modelConfig, loadError);
+            throw loadError;
+        }
+    }
+
+    // Announce the models about to be loaded so progress covers all of them
+    // configs: [{ name, path, label }]
+    queueAssets(configs, options = {}) {
+        this.progress.queue(configs, options);
+    }
+
+    // Queue priority of a model config: a LoadPriority value or its name ('structural', 'visible', 'hidden')
+    getLoadPriority(modelConfig) {
+        const priority = modelConfig.priority;
+        if (typeof priority === 'number') {
+            return priority;
+        }
+        if (typeof priority === 'string' && window.LoadPriority[priority.toUpperCase()] !== undefined) {
+            return window.LoadPriority[priority.toUpperCase()];
         }
+        return window.LoadPriority.VISIBLE;
     }
 
-    // Load model from disk with progress tracking
-    async loadModelFromDisk(modelConfig) {
+    // Queue a model file load; resolves with the parsed glTF
+    loadModelFromDisk(modelConfig, options = {}) {
         const cacheKey = modelConfig.path;
         
-        const loadingPromise = new Promise((resolve, reject) => {
-            this.loader.load(
-                modelConfig.path,
-                (gltf) => {
-                    // Cache the original GLTF
-                    this.modelCache.set(cacheKey, gltf);
-                    console.log(`💾 Cached: ${modelConfig.path}`);
-                    resolve(gltf);
-                },
-                (progress) => {
-                    if (progress.total > 0) {
-                        const percent = ((progress.loaded / progress.total) * 100).toFixed(1);
-                        console.log(`📈 ${modelConfig.name}: ${percent}%`);
-                    }
-                },
-                (error) => {
-                    console.error(`❌ Loading error for ${modelConfig.path}:`, error);
-                    reject(error);
+        if (this.loadQueue.has(cacheKey)) {
+            console.log(`⏳ Waiting for: ${modelConfig.name}`);
+        }
+        this.progress.request(modelConfig);
+        
+        const handle = this.loadQueue.add(
+            cacheKey,
+            () => this.readModelFile(modelConfig),
+            this.getLoadPriority(modelConfig),
+            options.signal
+        );
+        return handle.promise;
+    }
+
+    // Download and parse a model file (run by the load queue).
+    // Timeouts and network errors are retried, missing and broken files are not
+    async readModelFile(modelConfig) {
+        const cacheKey = modelConfig.path;
+        
+        console.log(`🔄 Loading NEW: ${modelConfig.name}`);
+        this.progress.start(modelConfig);
+        
+        for (let attempt = 1; ; attempt++) {
+            this.fileAttempts.set(cacheKey, attempt);
+            
+            try {
+                return await this.readModelFileOnce(modelConfig);
+            } catch (error) {
+                const loadError = window.ModelLoadError.from(error, cacheKey);
+                loadError.attempts = attempt;
+                
+                if (!loadError.retryable || attempt > this.loadPolicy.retries) {
+                    throw loadError;
                 }
-            );
+                
+                console.warn(`🔁 Retrying ${modelConfig.path} (${attempt}/${this.loadPolicy.retries}): ${loadError.message}`);
+                this.progress.update(cacheKey, 0, 0);
+                await new Promise(resolve => setTimeout(resolve, this.loadPolicy.retryDelay * attempt));
+            }
+        }
+    }
+
+    // One download attempt with progress tracking and a stall timeout.
+    // Files in the persistent cache are parsed from the stored bytes instead
+    readModelFileOnce(modelConfig) {
+        const cacheKey = modelConfig.path;
+        const timeout = this.loadPolicy.timeout;
+        
+        return Promise.all([
+            this.getGltfLoader(modelConfig),
+            this.readPersistentBytes(cacheKey)
+        ]).then(([loader, storedBytes]) => new Promise((resolve, reject) => {
+            let settled = false;
+            let timer = null;
+            
+            // GLTFLoader cannot abort a request, so a late answer is simply ignored
+            const settle = (callback, value) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                callback(value);
+            };
+            const restartTimer = () => {
+                if (!timeout) return;
+                clearTimeout(timer);
+                timer = setTimeout(() => settle(reject, new window.ModelTimeoutError(modelConfig.path, timeout)), timeout);
+            };
+            
+            const onLoad = (gltf, bytes) => {
+                if (settled) return;
+                
+                // Cache the original GLTF
+                this.modelCache.set(cacheKey, gltf);
+                this.progress.finish(cacheKey);
+                console.log(`💾 Cached: ${modelConfig.path}`);
+                
+                if (bytes) {
+                    this.persistentCache.put(cacheKey, bytes).catch(error => {
+                        console.warn(`💽 Could not store ${cacheKey}:`, error);
+                    });
+                }
+                settle(resolve, gltf);
+            };
+            const onProgress = (progress) => {
+                if (settled) return;
+                restartTimer();
+                this.progress.update(cacheKey, progress.loaded, progress.lengthComputable ? progress.total : 0);
+            };
+            const onError = (error) => {
+                console.error(`❌ Loading error for ${modelConfig.path}:`, error);
+                settle(reject, error);
+            };
+            
+            const download = () => {
+                restartTimer();
+                
+                if (this.persistentCache && this.persistentCache.isVersioned(cacheKey)) {
+                    // Fetch the bytes ourselves so they can be stored after a successful parse
+                    const fileLoader = new THREE.FileLoader(loader.manager);
+                    fileLoader.setResponseType('arraybuffer');
+                    fileLoader.setRequestHeader(loader.requestHeader);
+                    fileLoader.setWithCredentials(loader.withCredentials);
+                    fileLoader.load(cacheKey, (bytes) => {
+                        if (settled) return;
+                        this.parseModelBytes(loader, bytes, cacheKey, gltf => onLoad(gltf, bytes), onError);
+                    }, onProgress, onError);
+                } else {
+                    loader.load(cacheKey, gltf => onLoad(gltf, null), onProgress, onError);
+                }
+            };
+            
+            if (!storedBytes) {
+                download();
+                return;
+            }
+            
+            console.log(`💽 Persistent cache HIT: ${modelConfig.path}`);
+            this.loadingStats.persistentHits++;
+            this.progress.update(cacheKey, storedBytes.byteLength, storedBytes.byteLength);
+            this.parseModelBytes(loader, storedBytes, cacheKey, gltf => onLoad(gltf, null), (error) => {
+                // Stored bytes that no longer parse are dropped and the file is downloaded again
+                console.warn(`💽 Stored copy of ${cacheKey} could not be parsed, downloading it again`, error);
+                this.loadingStats.persistentHits--;
+                this.persistentCache.delete(cacheKey).catch(() => {});
+                download();
+            });
+        }));
+    }
+
+    // Parse GLB bytes the way GLTFLoader.load would after downloading them
+    parseModelBytes(loader, bytes, path, onLoad, onError) {
+        const resourcePath = loader.resourcePath || THREE.LoaderUtils.extractUrlBase(path);
+        try {
+            loader.parse(bytes, resourcePath, onLoad, onError);
+        } catch (error) {
+            onError(error);
+        }
+    }
+
+    // Bytes of the current version of a file from the persistent cache, or null
+    readPersistentBytes(path) {
+        if (!this.persistentCache) {
+            return Promise.resolve(null);
+        }
+        return this.persistentCache.get(path).catch(error => {
+            console.warn(`💽 Persistent cache read failed for ${path}:`, error);
+            return null;
+        });
+    }
+
+    // Keep downloaded models in IndexedDB between page loads (see js/persistentModelCache.js)
+    // options: { versionManifestUrl, budget, dbName }
+    enablePersistentCache(options = {}) {
+        this.persistentCache = new window.PersistentModelCache(options);
+        return this.persistentCache.open();
+    }
+
+    // Change retries, retryDelay or timeout of the failure policy
+    setLoadPolicy(policy) {
+        Object.assign(this.loadPolicy, policy);
+    }
+
+    // Build a labeled placeholder for a model that failed to load and place it like the model.
+    // Sized by modelConfig.size (world units); without one the model is assumed to be unit sized
+    // body: optional fallback shape used instead of the plain box
+    createPlaceholder(modelConfig, error, body = null) {
+        const scale = modelConfig.scale || { x: 1, y: 1, z: 1 };
+        const size = modelConfig.size || { x: scale.x, y: scale.y, z: scale.z };
+        
+        const placeholder = window.ModelPlaceholder.create({
+            name: modelConfig.name,
+            label: modelConfig.label || modelConfig.name,
+            size: size,
+            error: error,
+            body: body
         });
         
-        this.loadingPromises.set(cacheKey, loadingPromise);
+        const position = modelConfig.position || { x: 0, y: 0, z: 0 };
+        const rotation = modelConfig.rotation || { x: 0, y: 0, z: 0 };
+        placeholder.position.set(position.x, position.y, position.z);
+        placeholder.rotation.set(rotation.x, rotation.y, rotation.z);
+        
+        this.scene.add(placeholder);
+        this.loadedModels.set(modelConfig.name, placeholder);
+        this.assets.retain(placeholder);
+        
+        const entry = this.loadReport.get(modelConfig.name);
+        if (entry) {
+            entry.placeholder = true;
+        } else {
+            this.recordLoadResult(modelConfig, error);
+            this.loadReport.get(modelConfig.name).placeholder = true;
+        }
+        
+        console.log(`🟧 Placeholder created for ${modelConfig.name}`);
+        return placeholder;
+    }
+
+    recordLoadResult(modelConfig, error) {
+        this.loadReport.set(modelConfig.name, {
+            name: modelConfig.name,
+            label: modelConfig.label || modelConfig.name,
+            path: modelConfig.path,
+            status: error ? 'failed' : 'loaded',
+            kind: error ? error.kind || 'network' : null,
+            message: error ? error.message : null,
+            attempts: error && error.attempts ? error.attempts : this.fileAttempts.get(modelConfig.path) || 1,
+            placeholder: false
+        });
+    }
+
+    // Which models loaded, which failed and why, and which are shown as placeholders
+    getLoadReport() {
+        const entries = Array.from(this.loadReport.values()).map(entry => ({ ...entry }));
+        const failures = entries.filter(entry => entry.status === 'failed');
+        
+        return {
+            total: entries.length,
+            loaded: entries.length - failures.length,
+            failed: failures.length,
+            placeholders: failures.filter(entry => entry.placeholder).length,
+            retried: entries.filter(entry => entry.attempts > 1).length,
+            failures: failures,
+            entries: entries
+        };
+    }
+
+    // Change how many model files may load at the same time
+    setConcurrency(concurrency) {
+        this.loadQueue.setConcurrency(concurrency);
+    }
+
+    // Cancel every model file that has not started loading yet
+    cancelQueuedLoads() {
+        this.loadQueue.cancelAll();
+    }
+
+    // Set decoder locations and the renderer used for KTX2 format detection
+    configureDecoders(options = {}) {
+        Object.assign(this.decoders, options);
+        
+        if (this.dracoLoader && options.dracoPath) {
+            this.dracoLoader.setDecoderPath(options.dracoPath);
+        }
+        if (this.ktx2Loader && options.basisPath) {
+            this.ktx2Loader.setTranscoderPath(options.basisPath);
+        }
+    }
+
+    // Decoders a model asks for: compression: ['draco', 'meshopt', 'ktx2'] or { draco: true, ... }
+    getModelDecoders(modelConfig) {
+        const compression = modelConfig.compression;
+        if (!compression) return [];
+        
+        const names = Array.isArray(compression)
+            ? compression
+            : Object.keys(compression).filter(name => compression[name]);
         
+        names.forEach(name => {
+            if (!['draco', 'meshopt', 'ktx2'].includes(name)) {
+                throw new Error(`${modelConfig.name}: unknown compression "${name}" (expected draco, meshopt or ktx2)`);
+            }
+        });
+        
+        return [...new Set(names)].sort();
+    }
+
+    // GLTFLoader with exactly the decoders a model needs; plain models keep the bare loader
+    getGltfLoader(modelConfig) {
+        let decoders;
         try {
-            const gltf = await loadingPromise;
-            this.loadingPromises.delete(cacheKey);
-            return gltf;
+            decoders = this.getModelDecoders(modelConfig);
         } catch (error) {
-            this.loadingPromises.delete(cacheKey);
-            throw error;
+            return Promise.reject(error);
+        }
+        
+        if (decoders.length === 0) {
+            return Promise.resolve(this.loader);
+        }
+        
+        const key = decoders.join('+');
+        if (!this.gltfLoaders.has(key)) {
+            const loaderPromise = this.createGltfLoader(decoders);
+            
+            // Allow a retry if a decoder failed to load
+            loaderPromise.catch(() => this.gltfLoaders.delete(key));
+            this.gltfLoaders.set(key, loaderPromise);
+        }
+        
+        return this.gltfLoaders.get(key);
+    }
+
+    async createGltfLoader(decoders) {
+        const loader = new THREE.GLTFLoader();
+        
+        if (decoders.includes('draco')) {
+            loader.setDRACOLoader(this.getDracoLoader());
         }
+        if (decoders.includes('meshopt')) {
+            loader.setMeshoptDecoder(await this.getMeshoptDecoder());
+        }
+        if (decoders.includes('ktx2')) {
+            loader.setKTX2Loader(await this.getKtx2Loader());
+        }
+        
+        console.log(`🗜️ GLTFLoader ready with decoders: ${decoders.join(', ')}`);
+        return loader;
+    }
+
+    getDracoLoader() {
+        if (!this.dracoLoader) {
+            if (!THREE.DRACOLoader) {
+                throw new Error('Draco model requested but THREE.DRACOLoader is not loaded');
+            }
+            
+            this.dracoLoader = new THREE.DRACOLoader();
+            this.dracoLoader.setDecoderPath(this.decoders.dracoPath);
+            this.dracoLoader.setDecoderConfig({ type: typeof WebAssembly === 'object' ? 'wasm' : 'js' });
+            console.log(`🗜️ Draco decoder: ${this.decoders.dracoPath}`);
+        }
+        return this.dracoLoader;
+    }
+
+    async getMeshoptDecoder() {
+        if (!window.MeshoptDecoder) {
+            await this.loadScript(this.decoders.meshoptScript);
+        }
+        
+        await window.MeshoptDecoder.ready;
+        console.log(`🗜️ Meshopt decoder: ${this.decoders.meshoptScript}`);
+        return window.MeshoptDecoder;
+    }
+
+    async getKtx2Loader() {
+        if (this.ktx2Loader) {
+            return this.ktx2Loader;
+        }
+        
+        // three.js r128 only ships KTX2Loader as an ES module, so a script build is loaded on demand
+        if (!THREE.KTX2Loader) {
+            await this.loadScript(this.decoders.ktx2Script);
+        }
+        if (!THREE.KTX2Loader) {
+            throw new Error(`KTX2 texture requested but ${this.decoders.ktx2Script} did not define THREE.KTX2Loader`);
+        }
+        if (!this.decoders.renderer) {
+            throw new Error('KTX2 texture requested before configureDecoders({ renderer }) was called');
+        }
+        
+        this.ktx2Loader = new THREE.KTX2Loader();
+        this.ktx2Loader.setTranscoderPath(this.decoders.basisPath);
+        this.ktx2Loader.detectSupport(this.decoders.renderer);
+        console.log(`🗜️ KTX2 transcoder: ${this.decoders.basisPath}`);
+        return this.ktx2Loader;
+    }
+
+    // Load a local decoder script once
+    loadScript(src) {
+        if (!this.scriptPromises.has(src)) {
+            const scriptPromise = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = src;
+                script.onload = () => resolve();
+                script.onerror = () => {
+                    this.scriptPromises.delete(src);
+                    reject(new Error(`Decoder script ${src} could not be loaded`));
+                };
+                document.head.appendChild(script);
+            });
+            this.scriptPromises.set(src, scriptPromise);
+        }
+        
+        return this.scriptPromises.get(src);
     }
 
     // Create optimized instance from cached GLTF
     async createInstance(gltf, modelConfig) {
-        // Clone the scene efficiently
+        // Repeated single-mesh models share one InstancedMesh
+        if (modelConfig.instanced) {
+            const proxy = await this.createInstancedProxy(gltf, modelConfig);
+            if (proxy) {
+                return proxy;
+            }
+        }
+        
+        // Clone the scene efficiently; geometry and textures stay shared, materials are per copy
+        // so that processing, rules and item colors do not change the cached glTF or other copies
         const model = gltf.scene.clone();
+        this.cloneMaterials(model);
         
         // Apply transformations
+        this.applyTransform(model, modelConfig);
+        
+        // Process materials in batches to prevent freezing
+        if (modelConfig.processMaterials) {
+            await this.processMaterialsAsync(model, modelConfig.materialConfig, modelConfig.name);
+        }
+        
+        // Enable shadows if specified
+        if (modelConfig.enableShadows) {
+            this.enableShadowsOptimized(model);
+        }
+        
+        // Add to scene
+        this.scene.add(model);
+        
+        // Store reference
+        this.loadedModels.set(modelConfig.name, model);
+        this.assets.retain(model);
+        
+        return model;
+    }
+
+    // Remove a loaded model (or instance) from the scene and release its GPU resources
+    releaseModel(model) {
+        if (!model) return;
+        
+        if (model.parent) {
+            model.parent.remove(model);
+        }
+        
+        this.loadedModels.forEach((loaded, name) => {
+            if (loaded === model) {
+                this.loadedModels.delete(name);
+            }
+        });
+        
+        this.assets.release(model);
+        
+        // The instance can be handed to the next copy of the model
+        if (model.isInstanceProxy) {
+            model.pool.release(model);
+        }
+    }
+
+    // Get live geometry, material and texture counts
+    getAssetCounts() {
+        return this.assets.getCounts();
+    }
+
+    // Apply scale, position and rotation from a model config
+    applyTransform(object, modelConfig) {
         if (modelConfig.scale) {
-            model.scale.set(
+            object.scale.set(
                 modelConfig.scale.x, 
                 modelConfig.scale.y, 
                 modelConfig.scale.z
@@ -117,7 +587,7 @@ class OptimizedModelLoader {
         }
         
         if (modelConfig.position) {
-            model.position.set(
+            object.position.set(
                 modelConfig.position.x, 
                 modelConfig.position.y, 
                 modelConfig.position.z
@@ -125,42 +595,95 @@ class OptimizedModelLoader {
         }
         
         if (modelConfig.rotation) {
-            model.rotation.set(
+            object.rotation.set(
                 modelConfig.rotation.x, 
                 modelConfig.rotation.y, 
                 modelConfig.rotation.z
             );
         }
+    }
+
+    // Create an InstanceProxy drawn by the shared pool of this model
+    // Returns null when the model is not a single mesh with a single material
+    async createInstancedProxy(gltf, modelConfig) {
+        const poolKey = modelConfig.instanceGroup || modelConfig.path;
+        let pool = this.instanceCache.get(poolKey);
         
-        // Process materials in batches to prevent freezing
-        if (modelConfig.processMaterials) {
-            await this.processMaterialsAsync(model, modelConfig.materialConfig);
+        if (!pool) {
+            const meshes = [];
+            gltf.scene.updateMatrixWorld(true);
+            gltf.scene.traverse((object) => {
+                if (object.isMesh) {
+                    meshes.push(object);
+                }
+            });
+            
+            if (meshes.length !== 1 || Array.isArray(meshes[0].material)) {
+                console.warn(`⚠️ ${modelConfig.name}: instancing needs a single mesh with one material (found ${meshes.length} meshes), using a regular copy`);
+                return null;
+            }
+            
+            const source = meshes[0];
+            const baseMatrix = gltf.scene.matrixWorld.clone().invert().multiply(source.matrixWorld);
+            
+            // The pool owns its material so per-model processing runs once for all instances
+            pool = new window.InstancedModelPool(this.scene, source.geometry, source.material.clone(), {
+                name: poolKey,
+                baseMatrix: baseMatrix,
+                capacity: modelConfig.instanceCapacity,
+                castShadow: modelConfig.enableShadows,
+                receiveShadow: modelConfig.enableShadows
+            });
+            
+            if (modelConfig.processMaterials) {
+                await this.processMaterialsAsync(pool.mesh, modelConfig.materialConfig, poolKey);
+            }
+            
+            this.instanceCache.set(poolKey, pool);
         }
         
-        // Enable shadows if specified
-        if (modelConfig.enableShadows) {
-            this.enableShadowsOptimized(model);
-        }
+        const proxy = pool.acquire();
+        proxy.name = modelConfig.name;
+        this.applyTransform(proxy, modelConfig);
         
-        // Add to scene
-        this.scene.add(model);
+        if (modelConfig.instanceColor !== undefined) {
+            proxy.setColor(modelConfig.instanceColor);
+        }
         
-        // Store reference
-        this.loadedModels.set(modelConfig.name, model);
+        this.scene.add(proxy);
+        this.loadedModels.set(modelConfig.name, proxy);
+        this.assets.retain(proxy, pool.mesh);
         
-        return model;
+        console.log(`🧩 ${modelConfig.name} drawn as instance ${proxy.instanceId} of ${poolKey}`);
+        return proxy;
     }
 
-    // Async material processing to prevent freezing
-    async processMaterialsAsync(model, materialConfig = {}) {
-        const materials = [];
+    // Give a cloned scene its own materials; meshes that shared a material still share its copy
+    cloneMaterials(model) {
+        const copies = new Map();
+        const copy = (material) => {
+            if (!copies.has(material)) {
+                copies.set(material, material.clone());
+            }
+            return copies.get(material);
+        };
         
-        // Collect all materials first
         model.traverse((object) => {
-            if (object.isMesh && object.material) {
-                materials.push(object.material);
-            }
+            if (!object.isMesh || !object.material) return;
+            object.material = Array.isArray(object.material) ? object.material.map(copy) : copy(object.material);
         });
+    }
+
+    // Get instance counts per instanced pool
+    getInstancingStats() {
+        return Array.from(this.instanceCache.values()).map(pool => pool.getStats());
+    }
+
+    // Async material processing to prevent freezing
+    async processMaterialsAsync(model, materialConfig = {}, modelName = 'model') {
+        // Collect all { mesh, material } pairs first
+        const entries = this.materialRules.collectMaterials(model);
+        const materials = entries.map(entry => entry.material);
         
         console.log(`🎨 Processing ${materials.length} materials...`);
         
@@ -179,6 +702,14 @@ class OptimizedModelLoader {
             }
         }
         
+        // Color and property rules run after the base enhancements so they win
+        const rules = this.materialRules.getRules(materialConfig);
+        if (rules.length > 0) {
+            const report = this.materialRules.applyToMaterials(entries, rules, modelName);
+            this.materialReports.set(modelName, report);
+            this.materialRules.logReport(report);
+        }
+        
         console.log(`✅ Materials processed successfully`);
     }
 
@@ -205,6 +736,11 @@ class OptimizedModelLoader {
         material.needsUpdate = true;
     }
 
+    // Get the material rule report of a loaded model
+    getMaterialReport(name) {
+        return this.materialReports.get(name) || null;
+    }
+
     // Optimized shadow enabling
     enableShadowsOptimized(model) {
         const meshes = [];
@@ -229,39 +765,36 @@ class OptimizedModelLoader {
         });
     }
 
-    // Progressive loading for multiple models
-    async loadModelsProgressively(modelConfigs, onProgress = null) {
-        const results = [];
+    // Load several models through the queue; results keep the order of modelConfigs
+    async loadModelsProgressively(modelConfigs, onProgress = null, options = {}) {
         const total = modelConfigs.length;
+        let completed = 0;
         
-        console.log(`🔄 Starting progressive loading of ${total} models...`);
+        console.log(`🔄 Starting queued loading of ${total} models...`);
         
-        for (let i = 0; i < total; i++) {
-            const config = modelConfigs[i];
-            
-            try {
-                const model = await this.loadModel(config);
-                results.push(model);
-                
-                if (onProgress) {
-                    onProgress({
-                        current: i + 1,
-                        total: total,
-                        progress: ((i + 1) / total) * 100,
-                        modelName: config.name
-                    });
-                }
-                
-                // Yield after each model to prevent freezing
-                await this.yieldControl();
-                
-            } catch (error) {
-                console.error(`❌ Failed to load ${config.name}:`, error);
-                results.push(null);
-            }
-        }
+        const results = await Promise.all(modelConfigs.map(config => {
+            return this.loadModel(config, options)
+                .catch(error => {
+                    if (!error.isCancelled) {
+                        console.error(`❌ Failed to load ${config.name}:`, error);
+                    }
+                    return null;
+                })
+                .then(model => {
+                    completed++;
+                    if (onProgress) {
+                        onProgress({
+                            current: completed,
+                            total: total,
+                            progress: (completed / total) * 100,
+                            modelName: config.name
+                        });
+                    }
+                    return model;
+                });
+        }));
         
-        console.log(`✅ Progressive loading completed`);
+        console.log(`✅ Queued loading completed`);
         return results;
     }
 
@@ -274,11 +807,17 @@ class OptimizedModelLoader {
         return {
             totalLoads: this.loadingStats.totalLoads,
             cacheHits: this.loadingStats.cacheHits,
+            memoryHits: this.loadingStats.cacheHits,
+            persistentHits: this.loadingStats.persistentHits,
             hitRate: `${hitRate}%`,
             averageLoadTime: this.loadingStats.totalLoads > 0 
                 ? (this.loadingStats.loadingTime / this.loadingStats.totalLoads).toFixed(2)
                 : 0,
-            cachedModels: this.modelCache.size
+            cachedModels: this.modelCache.size,
+            instancedModels: this.instanceCache.size,
+            instances: this.getInstancingStats().reduce((sum, pool) => sum + pool.instances, 0),
+            loadQueue: this.loadQueue.getStats(),
+            persistent: this.persistentCache ? this.persistentCache.getStats() : null
         };
     }
 
@@ -286,14 +825,29 @@ class OptimizedModelLoader {
     clearCache() {
         this.modelCache.clear();
         this.instanceCache.clear();
-        this.loadingPromises.clear();
+        this.loadQueue.cancelAll();
         console.log('🗑️ Model cache cleared');
     }
 
     // Dispose resources
     dispose() {
+        this.loadedModels.forEach(model => this.scene.remove(model));
+        this.instanceCache.forEach(pool => pool.dispose());
+        this.assets.disposeAll();
         this.clearCache();
+        
+        if (this.dracoLoader) {
+            this.dracoLoader.dispose();
+        }
+        if (this.ktx2Loader) {
+            this.ktx2Loader.dispose();
+        }
+        this.gltfLoaders.clear();
         this.loadedModels.clear();
+        
+        if (this.persistentCache) {
+            this.persistentCache.dispose();
+        }
         console.log('🗑️ OptimizedModelLoader disposed');
     }
 }
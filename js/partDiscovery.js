@@ -0,0 +1,136 @@
+// Part Discovery
+// Finds the articulated parts of a model (doors, drawers, flaps) from a per-model mapping,
+// so every module works on the same nodes and a missing part is reported instead of
+// failing silently. Mapping, part name -> rules:
+//
+//   upperDoor: {
+//       extras: 'upperDoor',                  // node with glTF extras { "part": "upperDoor" }
+//       names: ['FridgeUpperDoor'],           // exact node names, in order of preference
+//       patterns: ['upper.*door', /top/i],    // regular expressions (strings are case-insensitive)
+//       required: true                        // missing part is an error rather than a warning
+//   }
+//
+// GLTFLoader copies a node's extras into userData, so extras: 'x' matches userData.part === 'x';
+// use extras: { key, value } for another property. Rules are tried in the order extras, names,
+// patterns. Within a rule the top-most matching node wins (the door group rather than one of
+// its meshes) and a node is given to one part only.
+
+class PartDiscovery {
+    // Returns { parts: { name: object }, matchedBy: { name: rule }, missing: [name], ambiguous: [{ part, nodes }] }
+    // plus nodeNames (named nodes of the model) when a part is missing
+    static discover(root, mapping) {
+        const nodes = [];
+        root.traverse(object => nodes.push(object));
+
+        const result = { parts: {}, matchedBy: {}, missing: [], ambiguous: [] };
+        const claimed = new Set();
+
+        Object.keys(mapping || {}).forEach(name => {
+            const rules = PartDiscovery.getRules(mapping[name]);
+
+            for (const rule of rules) {
+                const candidates = PartDiscovery.topMost(nodes.filter(node => !claimed.has(node) && rule.test(node)));
+                if (candidates.length === 0) continue;
+
+                if (rule.rank) {
+                    candidates.sort((a, b) => rule.rank(a) - rule.rank(b));
+                }
+                if (candidates.length > 1 && (!rule.rank || rule.rank(candidates[0]) === rule.rank(candidates[1]))) {
+                    result.ambiguous.push({ part: name, nodes: candidates.map(node => node.name) });
+                }
+
+                result.parts[name] = candidates[0];
+                result.matchedBy[name] = rule.label;
+                claimed.add(candidates[0]);
+                return;
+            }
+
+            result.missing.push(name);
+        });
+
+        if (result.missing.length > 0) {
+            result.nodeNames = PartDiscovery.listNodeNames(root);
+        }
+        return result;
+    }
+
+    // Matching rules of one part, in the order they are tried
+    static getRules(entry) {
+        const rules = [];
+
+        if (entry.extras) {
+            const key = typeof entry.extras === 'object' ? entry.extras.key : 'part';
+            const value = typeof entry.extras === 'object' ? entry.extras.value : entry.extras;
+            rules.push({
+                label: `extras ${key}=${value}`,
+                test: node => node.userData[key] === value
+            });
+        }
+
+        if (entry.names && entry.names.length > 0) {
+            rules.push({
+                label: `name ${entry.names.join(' | ')}`,
+                test: node => entry.names.includes(node.name),
+                rank: node => entry.names.indexOf(node.name)
+            });
+        }
+
+        if (entry.patterns && entry.patterns.length > 0) {
+            const patterns = entry.patterns.map(pattern => (pattern instanceof RegExp ? pattern : new RegExp(pattern, 'i')));
+            rules.push({
+                label: `pattern ${patterns.join(' | ')}`,
+                test: node => node.name !== '' && patterns.some(pattern => pattern.test(node.name)),
+                rank: node => patterns.findIndex(pattern => pattern.test(node.name))
+            });
+        }
+
+        return rules;
+    }
+
+    // Drop nodes that have a matching ancestor
+    static topMost(candidates) {
+        const set = new Set(candidates);
+        return candidates.filter(node => {
+            for (let parent = node.parent; parent; parent = parent.parent) {
+                if (set.has(parent)) return false;
+            }
+            return true;
+        });
+    }
+
+    // Log what was found; missing parts list the rules tried and the named nodes of the model
+    static report(result, mapping, label) {
+        Object.keys(result.parts).forEach(name => {
+            console.log(`🔎 ${label}: ${name} → ${result.parts[name].name || '(unnamed)'} (${result.matchedBy[name]})`);
+        });
+
+        result.ambiguous.forEach(entry => {
+            console.warn(`🔎 ${label}: ${entry.part} matches several nodes (${entry.nodes.join(', ')}), using ${entry.nodes[0]}`);
+        });
+
+        if (result.missing.length === 0) return;
+
+        result.missing.forEach(name => {
+            const tried = PartDiscovery.getRules(mapping[name]).map(rule => rule.label).join('; ') || 'no rules';
+            const message = `🔎 ${label}: ${name} not found (tried ${tried})`;
+            if (mapping[name].required) {
+                console.error(message);
+            } else {
+                console.warn(message);
+            }
+        });
+        console.log(`🔎 ${label} named nodes:`, result.nodeNames.join(', '));
+    }
+
+    // Names of the named nodes under root, to help write a mapping for a new model
+    static listNodeNames(root) {
+        const names = [];
+        root.traverse(object => {
+            if (object.name) names.push(object.name);
+        });
+        return names;
+    }
+}
+
+// Make it globally available
+window.PartDiscovery = PartDiscovery;
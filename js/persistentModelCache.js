@@ -0,0 +1,260 @@
+// Persistent Model Cache
+// Keeps downloaded GLB bytes in IndexedDB between page loads.
+// Entries are keyed by path and SHA-256 content hash and only used when the hash
+// matches the version manifest (models/modelVersions.json), so a changed model is
+// downloaded again. Least recently used entries are evicted above the size budget.
+//
+// Version manifest: { "version": 1, "models": { "models/x.glb": "<sha256 hex>" } }
+// Files missing from it are never stored.
+
+class PersistentModelCache {
+    constructor(options = {}) {
+        this.versionManifestUrl = options.versionManifestUrl || 'models/modelVersions.json';
+        this.budget = options.budget || 200 * 1024 * 1024; // bytes
+        this.dbName = options.dbName || 'inside-the-fridge-models';
+
+        this.db = null;
+        this.versions = new Map(); // path -> expected hash
+        this.enabled = false;
+        this.ready = null;
+
+        this.stats = {
+            hits: 0,
+            misses: 0,
+            stores: 0,
+            evictions: 0,
+            rejected: 0, // Downloaded bytes that did not match the version manifest
+            entries: 0,
+            bytes: 0
+        };
+    }
+
+    // Load the version manifest and open the database; resolves false if the cache cannot be used
+    open() {
+        if (!this.ready) {
+            this.ready = Promise.all([this.loadVersions(), this.openDatabase()])
+                .then(() => this.updateUsage())
+                .then(() => {
+                    this.enabled = true;
+                    console.log(`💽 Persistent model cache ready: ${this.stats.entries} models, ${(this.stats.bytes / 1024 / 1024).toFixed(1)}MB`);
+                    return true;
+                })
+                .catch(error => {
+                    console.warn('💽 Persistent model cache disabled:', error.message || error);
+                    return false;
+                });
+        }
+        return this.ready;
+    }
+
+    async loadVersions() {
+        const response = await fetch(this.versionManifestUrl, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`version manifest ${this.versionManifestUrl} could not be loaded (HTTP ${response.status})`);
+        }
+
+        const manifest = await response.json();
+        Object.keys(manifest.models || {}).forEach(path => {
+            const hash = String(manifest.models[path]).toLowerCase();
+            if (/^[0-9a-f]{64}$/.test(hash)) {
+                this.versions.set(path, hash);
+            } else {
+                console.warn(`💽 Ignoring ${path} in version manifest: not a SHA-256 hash`);
+            }
+        });
+    }
+
+    openDatabase() {
+        if (typeof indexedDB === 'undefined') {
+            return Promise.reject(new Error('IndexedDB is not available'));
+        }
+
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            // Metadata is kept apart from the bytes so eviction does not read whole files
+            const entries = db.createObjectStore('entries', { keyPath: 'key' });
+            entries.createIndex('path', 'path');
+            entries.createIndex('lastUsed', 'lastUsed');
+            db.createObjectStore('files');
+        };
+
+        return requestToPromise(request).then(db => {
+            this.db = db;
+        });
+    }
+
+    // True if the file is listed in the version manifest (call after open() resolved)
+    isVersioned(path) {
+        return this.enabled && this.versions.has(path);
+    }
+
+    getKey(path, hash) {
+        return `${path}#${hash}`;
+    }
+
+    // Stored bytes of the current version of path, or null
+    async get(path) {
+        if (!(await this.open()) || !this.versions.has(path)) {
+            return null;
+        }
+
+        const key = this.getKey(path, this.versions.get(path));
+        const transaction = this.db.transaction(['entries', 'files'], 'readwrite');
+        const entries = transaction.objectStore('entries');
+        const [entry, bytes] = await Promise.all([
+            requestToPromise(entries.get(key)),
+            requestToPromise(transaction.objectStore('files').get(key))
+        ]);
+
+        if (!entry || !bytes) {
+            this.stats.misses++;
+            return null;
+        }
+
+        entry.lastUsed = Date.now();
+        entries.put(entry);
+        await transactionDone(transaction);
+
+        this.stats.hits++;
+        return bytes;
+    }
+
+    // Store freshly downloaded bytes if they match the version manifest
+    async put(path, bytes) {
+        if (!(await this.open()) || !this.versions.has(path)) {
+            return false;
+        }
+
+        const hash = await hashBytes(bytes);
+        if (hash !== this.versions.get(path)) {
+            this.stats.rejected++;
+            console.warn(`💽 ${path} does not match its hash in the version manifest, not cached`);
+            return false;
+        }
+
+        if (bytes.byteLength > this.budget) {
+            return false;
+        }
+
+        // Older versions of the same file are never valid again
+        await this.delete(path);
+
+        const key = this.getKey(path, hash);
+        const transaction = this.db.transaction(['entries', 'files'], 'readwrite');
+        transaction.objectStore('entries').put({
+            key: key,
+            path: path,
+            hash: hash,
+            size: bytes.byteLength,
+            lastUsed: Date.now()
+        });
+        transaction.objectStore('files').put(bytes, key);
+        await transactionDone(transaction);
+
+        this.stats.stores++;
+        console.log(`💽 Stored ${path} (${(bytes.byteLength / 1024).toFixed(0)}KB)`);
+
+        await this.evict();
+        return true;
+    }
+
+    // Remove every stored version of path
+    async delete(path) {
+        const transaction = this.db.transaction(['entries', 'files'], 'readwrite');
+        const entries = transaction.objectStore('entries');
+        const keys = await requestToPromise(entries.index('path').getAllKeys(path));
+
+        keys.forEach(key => {
+            entries.delete(key);
+            transaction.objectStore('files').delete(key);
+        });
+        await transactionDone(transaction);
+        return keys.length;
+    }
+
+    // Drop least recently used files until the total size fits the budget
+    async evict() {
+        const transaction = this.db.transaction(['entries', 'files'], 'readwrite');
+        const entries = transaction.objectStore('entries');
+        const all = await requestToPromise(entries.index('lastUsed').getAll());
+
+        let total = all.reduce((sum, entry) => sum + entry.size, 0);
+        for (const entry of all) {
+            if (total <= this.budget) break;
+
+            entries.delete(entry.key);
+            transaction.objectStore('files').delete(entry.key);
+            total -= entry.size;
+            this.stats.evictions++;
+            console.log(`💽 Evicted ${entry.path} from persistent cache`);
+        }
+        await transactionDone(transaction);
+
+        await this.updateUsage();
+    }
+
+    async updateUsage() {
+        const all = await requestToPromise(this.db.transaction('entries').objectStore('entries').getAll());
+        this.stats.entries = all.length;
+        this.stats.bytes = all.reduce((sum, entry) => sum + entry.size, 0);
+    }
+
+    setBudget(bytes) {
+        this.budget = bytes;
+        return this.enabled ? this.evict() : Promise.resolve();
+    }
+
+    async clear() {
+        if (!(await this.open())) return;
+
+        const transaction = this.db.transaction(['entries', 'files'], 'readwrite');
+        transaction.objectStore('entries').clear();
+        transaction.objectStore('files').clear();
+        await transactionDone(transaction);
+        await this.updateUsage();
+        console.log('💽 Persistent model cache cleared');
+    }
+
+    getStats() {
+        return {
+            enabled: this.enabled,
+            budget: this.budget,
+            versionedModels: this.versions.size,
+            ...this.stats
+        };
+    }
+
+    dispose() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+        this.enabled = false;
+    }
+}
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+async function hashBytes(bytes) {
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+// Make it globally available
+window.PersistentModelCache = PersistentModelCache;
@@ -0,0 +1,450 @@
+// Scene History
+// Undo and redo for edits of the fridge contents: moves and turns made with the drag
+// controls, and items added to or removed from the FoodObjectManager. Ctrl+Z undoes a
+// step, Ctrl+Shift+Z redoes it.
+//
+// A drag is one step however long it is: the state of every item picked up (one, or a
+// whole multi-selection) is taken on 'dragstart', and the step is recorded once they have
+// all come to rest (DropSettler 'settled', which includes snapping into a slot), so undo
+// puts them back in the door bin or slot they came from. Several adds or removes made in
+// batch() are one step too (deleting a selection).
+//
+// Memory: at most maxSteps steps are kept. A removed item can only come back while a step
+// holds it, so items are removed with keepAssets and their GPU resources are released when
+// the step that could bring them back is dropped (too old, or redo history cut off by a
+// new edit). Steps keep the item's highlight lights with it, so they come back and are
+// released together. Removals that released their resources already are not recorded.
+//
+// Events (THREE.EventDispatcher):
+//   'change' - { canUndo, canRedo, undoLabel, redoLabel } when these change: a step recorded,
+//              undone or redone, a drag begun or ended (undo waits for it)
+
+class SceneHistory extends THREE.EventDispatcher {
+    constructor(foodObjectManager, options = {}) {
+        super();
+        this.foodObjectManager = foodObjectManager;
+
+        this.maxSteps = options.maxSteps || 100;
+
+        this.undoStack = [];
+        this.redoStack = [];
+        this.applying = false;   // Changes made by undo and redo are not recorded
+        this.batchSteps = null;  // Steps collected by batch()
+
+        // Drag in progress: object -> { before, settled }
+        this.drag = null;
+        this.dragControls = null;
+        this.settler = null;
+
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.onDragStart = (event) => this.handleDragStart(event.object);
+        this.onDragEnd = (event) => this.handleDragEnd(event.object);
+        this.onSettled = (event) => this.handleSettled(event.object);
+        this.onAdded = (event) => this.handleAdded(event.entry);
+        this.onRemoved = (event) => this.handleRemoved(event);
+
+        foodObjectManager.addEventListener('added', this.onAdded);
+        foodObjectManager.addEventListener('removed', this.onRemoved);
+        document.addEventListener('keydown', this.onKeyDown);
+
+        console.log('↩️ Scene history initialized');
+    }
+
+    /**
+     * Record the drags of the drag controls
+     * Attach before the door bins and slots, which take items out of their container on dragstart
+     * @param {ObjectDragControls} dragControls
+     * @param {DropSettler} [settler] - Steps end when the dropped items have settled
+     */
+    attachDragControls(dragControls, settler = null) {
+        this.detachDragControls();
+        this.dragControls = dragControls;
+        this.settler = settler;
+        dragControls.addEventListener('dragstart', this.onDragStart);
+        dragControls.addEventListener('dragend', this.onDragEnd);
+        if (settler) {
+            settler.addEventListener('settled', this.onSettled);
+        }
+    }
+
+    detachDragControls() {
+        if (!this.dragControls) return;
+        this.dragControls.removeEventListener('dragstart', this.onDragStart);
+        this.dragControls.removeEventListener('dragend', this.onDragEnd);
+        if (this.settler) {
+            this.settler.removeEventListener('settled', this.onSettled);
+        }
+        this.dragControls = null;
+        this.settler = null;
+    }
+
+    onKeyDown(event) {
+        if (!(event.ctrlKey || event.metaKey) || event.key.toLowerCase() !== 'z') return;
+        if (event.target && event.target.tagName === 'INPUT') return;
+
+        event.preventDefault();
+        if (event.shiftKey) {
+            this.redo();
+        } else {
+            this.undo();
+        }
+    }
+
+    /**
+     * Where an item is: its parent and transform in it, its slot and door bin
+     * @param {THREE.Object3D} object - Food object
+     */
+    captureState(object) {
+        const entry = this.foodObjectManager.getFoodObject(object.userData.foodObjectName);
+        return {
+            parent: object.parent,
+            position: object.position.clone(),
+            quaternion: object.quaternion.clone(),
+            slot: entry && entry.slot ? entry.slot : null,
+            doorBin: object.userData.doorBin || null
+        };
+    }
+
+    sameState(a, b) {
+        return a.parent === b.parent && a.slot === b.slot && a.doorBin === b.doorBin &&
+            a.position.distanceToSquared(b.position) < 1e-10 && Math.abs(a.quaternion.dot(b.quaternion)) > 1 - 1e-10;
+    }
+
+    /**
+     * Put an item back where a state says, with its slot and door bin
+     * @param {THREE.Object3D} object - Food object
+     * @param {Object} state - From captureState
+     */
+    applyState(object, state) {
+        const name = object.userData.foodObjectName;
+        const current = this.foodObjectManager.getItemSlot(name);
+        if (current && current.id !== state.slot) {
+            this.foodObjectManager.setSlotOccupant(current.id, null);
+        }
+
+        this.placeObject(object, state);
+
+        if (state.slot && !this.foodObjectManager.getSlotOccupant(state.slot)) {
+            this.foodObjectManager.setSlotOccupant(state.slot, name);
+        }
+        if (state.doorBin) {
+            object.userData.doorBin = state.doorBin;
+        } else {
+            delete object.userData.doorBin;
+        }
+        this.foodObjectManager.updateMetadata(name, { inBin: state.doorBin });
+    }
+
+    // Parent and local transform only
+    placeObject(object, state) {
+        if (state.parent && object.parent !== state.parent) {
+            state.parent.add(object);
+        }
+        object.position.copy(state.position);
+        object.quaternion.copy(state.quaternion);
+    }
+
+    handleDragStart(object) {
+        if (this.applying) return;
+
+        // Picked up again before the last drop settled: that step ends here
+        this.flush();
+        if (!this.drag) {
+            this.drag = { items: new Map(), ended: false };
+            this.dispatchChange();
+        }
+        if (!this.drag.items.has(object)) {
+            this.drag.items.set(object, { before: this.captureState(object), settled: false });
+        }
+    }
+
+    handleDragEnd(object) {
+        if (!this.drag || !this.drag.items.has(object)) return;
+
+        // Without a settler the item is where it was dropped
+        if (!this.settler) {
+            this.drag.items.get(object).settled = true;
+        }
+        this.drag.ended = true;
+        this.finishDragIfSettled();
+    }
+
+    handleSettled(object) {
+        if (!this.drag || !this.drag.items.has(object)) return;
+
+        this.drag.items.get(object).settled = true;
+        if (this.drag.ended) {
+            this.finishDragIfSettled();
+        }
+    }
+
+    finishDragIfSettled() {
+        const drag = this.drag;
+        if (!Array.from(drag.items.values()).every(item => item.settled)) return;
+
+        // Other 'settled' listeners (door bins) may still place the item: look after them
+        queueMicrotask(() => {
+            if (this.drag === drag) {
+                this.finishDrag();
+            }
+        });
+    }
+
+    /**
+     * Record a drag whose items have not all settled yet, with the items where they are now
+     * Called before a change that must come after the drag in the history, e.g. deleting a settling item
+     */
+    flush() {
+        if (this.drag && this.drag.ended) {
+            this.finishDrag();
+        }
+    }
+
+    finishDrag() {
+        const items = [];
+        this.drag.items.forEach((item, object) => {
+            // Deleted meanwhile
+            if (!this.foodObjectManager.getFoodObject(object.userData.foodObjectName)) return;
+
+            const after = this.captureState(object);
+            if (!this.sameState(item.before, after)) {
+                items.push({ object: object, before: item.before, after: after });
+            }
+        });
+        this.drag = null;
+
+        if (items.length > 0) {
+            const name = items.length === 1 ? items[0].object.userData.name || 'nesne' : `${items.length} nesne`;
+            this.record({ type: 'transform', label: `${name} taşıma`, items: items });
+        } else {
+            this.dispatchChange();
+        }
+    }
+
+    handleAdded(entry) {
+        if (this.applying) return;
+        this.record({ type: 'add', label: `${entry.object.userData.name || entry.name} ekleme`, entry: entry, lights: entry.lights || [], state: this.captureState(entry.object) });
+    }
+
+    handleRemoved(event) {
+        if (this.applying) return;
+
+        // Removed while it settled: the drag ends without it, its removal keeps where it was
+        if (this.drag && this.drag.items.has(event.entry.object)) {
+            this.drag.items.delete(event.entry.object);
+            this.flush();
+            if (this.drag && this.drag.items.size === 0) {
+                this.drag = null;
+            }
+        }
+
+        if (event.released) {
+            console.warn(`↩️ ${event.entry.name} was removed with its resources released, it cannot be brought back`);
+            this.discardObject(event.entry.object);
+            return;
+        }
+
+        const state = this.captureState(event.entry.object);
+        state.parent = event.parent;
+        state.slot = event.slot || null;
+        this.record({ type: 'remove', label: `${event.entry.object.userData.name || event.entry.name} silme`, entry: event.entry, lights: event.entry.lights || [], state: state });
+    }
+
+    /**
+     * Make the adds and removes of a function one step
+     * @param {string} label - Name of the step
+     * @param {Function} change - Makes the changes
+     */
+    batch(label, change) {
+        if (this.batchSteps) {
+            change();
+            return;
+        }
+
+        this.flush();
+        this.batchSteps = [];
+        try {
+            change();
+        } finally {
+            const steps = this.batchSteps;
+            this.batchSteps = null;
+            if (steps.length === 1) {
+                this.record(steps[0]);
+            } else if (steps.length > 1) {
+                this.record({ type: 'batch', label: label, steps: steps });
+            }
+        }
+    }
+
+    record(step) {
+        if (this.batchSteps) {
+            this.batchSteps.push(step);
+            return;
+        }
+
+        this.undoStack.push(step);
+        this.redoStack.splice(0).forEach(dropped => this.release(dropped, 'redo'));
+        while (this.undoStack.length > this.maxSteps) {
+            this.release(this.undoStack.shift(), 'undo');
+        }
+        this.dispatchChange();
+    }
+
+    /**
+     * Free what a dropped step kept alive: items it removed (from the undo stack) or could add again (from the redo stack)
+     * @param {Object} step
+     * @param {string} stack - 'undo' or 'redo'
+     */
+    release(step, stack) {
+        if (step.type === 'batch') {
+            step.steps.forEach(inner => this.release(inner, stack));
+            return;
+        }
+        const gone = (step.type === 'remove' && stack === 'undo') || (step.type === 'add' && stack === 'redo');
+        if (gone && !step.entry.object.parent) {
+            this.foodObjectManager.releaseFoodObject(step.entry.object, step.lights);
+        }
+    }
+
+    // Steps about an item whose resources are gone can no longer be applied
+    discardObject(object) {
+        const uses = (step) => step.type === 'batch'
+            ? step.steps.some(uses)
+            : (step.type === 'transform' ? step.items.some(item => item.object === object) : step.entry.object === object);
+        const keep = (stack) => stack.filter(step => !uses(step));
+
+        this.undoStack = keep(this.undoStack);
+        this.redoStack = keep(this.redoStack);
+        this.dispatchChange();
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0 && !this.isBusy();
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0 && !this.isBusy();
+    }
+
+    // A drag or its settling is not finished yet
+    isBusy() {
+        return !!this.drag || (!!this.dragControls && this.dragControls.isDragging);
+    }
+
+    /**
+     * Revert the last step
+     * @returns {boolean} False if there is nothing to undo or a drag is in progress
+     */
+    undo() {
+        if (!this.canUndo()) return false;
+
+        const step = this.undoStack.pop();
+        this.apply(step, true);
+        this.redoStack.push(step);
+        console.log(`↩️ Undo: ${step.label}`);
+        this.dispatchChange();
+        return true;
+    }
+
+    /**
+     * Make the last undone step again
+     * @returns {boolean} False if there is nothing to redo or a drag is in progress
+     */
+    redo() {
+        if (!this.canRedo()) return false;
+
+        const step = this.redoStack.pop();
+        this.apply(step, false);
+        this.undoStack.push(step);
+        console.log(`↪️ Redo: ${step.label}`);
+        this.dispatchChange();
+        return true;
+    }
+
+    apply(step, backwards) {
+        this.applying = true;
+        try {
+            this.applyStep(step, backwards);
+        } finally {
+            this.applying = false;
+        }
+    }
+
+    applyStep(step, backwards) {
+        switch (step.type) {
+            case 'batch': {
+                const steps = backwards ? step.steps.slice().reverse() : step.steps;
+                steps.forEach(inner => this.applyStep(inner, backwards));
+                break;
+            }
+            case 'transform':
+                step.items.forEach(item => this.applyState(item.object, backwards ? item.before : item.after));
+                break;
+            case 'add':
+                if (backwards) {
+                    this.removeItem(step);
+                } else {
+                    this.restoreItem(step);
+                }
+                break;
+            case 'remove':
+                if (backwards) {
+                    this.restoreItem(step);
+                } else {
+                    this.removeItem(step);
+                }
+                break;
+        }
+    }
+
+    restoreItem(step) {
+        const object = step.entry.object;
+        // In place before it is registered, so listeners (physics) find it where it belongs
+        this.placeObject(object, step.state);
+        this.foodObjectManager.restoreFoodObject({ ...step.entry, lights: step.lights });
+        this.applyState(object, step.state);
+    }
+
+    removeItem(step) {
+        // Registered again by restoreFoodObject: the entry now in the manager is the one to keep
+        step.entry = this.foodObjectManager.getFoodObject(step.entry.name) || step.entry;
+        step.state = this.captureState(step.entry.object);
+        this.foodObjectManager.removeFoodObject(step.entry.name, { keepAssets: true });
+    }
+
+    /**
+     * What undo and redo would do now
+     * @returns {{canUndo: boolean, canRedo: boolean, undoLabel: string|null, redoLabel: string|null}}
+     */
+    getState() {
+        return {
+            canUndo: this.canUndo(),
+            canRedo: this.canRedo(),
+            undoLabel: this.undoStack.length > 0 ? this.undoStack[this.undoStack.length - 1].label : null,
+            redoLabel: this.redoStack.length > 0 ? this.redoStack[this.redoStack.length - 1].label : null
+        };
+    }
+
+    dispatchChange() {
+        this.dispatchEvent({ type: 'change', ...this.getState() });
+    }
+
+    // Forget every step, e.g. after loading a new scene
+    clear() {
+        this.undoStack.splice(0).forEach(step => this.release(step, 'undo'));
+        this.redoStack.splice(0).forEach(step => this.release(step, 'redo'));
+        this.drag = null;
+        this.dispatchChange();
+    }
+
+    dispose() {
+        this.detachDragControls();
+        this.foodObjectManager.removeEventListener('added', this.onAdded);
+        this.foodObjectManager.removeEventListener('removed', this.onRemoved);
+        document.removeEventListener('keydown', this.onKeyDown);
+        this.clear();
+    }
+}
+
+// Make it globally available
+window.SceneHistory = SceneHistory;
@@ -0,0 +1,545 @@
+/**
+ * Scene Manifest Module
+ * Describes the fridge contents in a single JSON file and wires every item
+ * into the model loader, the food object manager and the drag controls
+ */
+class SceneManifest {
+    constructor(foodObjectManager, modelLoader) {
+        this.foodObjectManager = foodObjectManager;
+        this.modelLoader = modelLoader;
+        this.manifest = null;
+        this.items = new Map(); // Manifest id -> { entry, item, object }
+
+        console.log('📋 Scene Manifest module initialized');
+    }
+
+    /**
+     * Fetch and validate a manifest file
+     * @param {string} url - Path of the manifest JSON
+     * @returns {Promise<Object>} The validated manifest
+     */
+    async load(url) {
+        console.log(`📋 Loading scene manifest: ${url}`);
+
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Scene manifest ${url} could not be loaded (HTTP ${response.status})`);
+        }
+
+        this.manifest = this.validate(await response.json());
+        console.log(`📋 Scene manifest loaded with ${this.manifest.items.length} items`);
+        return this.manifest;
+    }
+
+    /**
+     * Check the manifest structure and fill in defaults
+     * @param {Object} manifest - Parsed manifest JSON
+     * @returns {Object} The same manifest with defaults applied
+     */
+    validate(manifest) {
+        if (!manifest || !Array.isArray(manifest.items)) {
+            throw new Error('Scene manifest must contain an "items" array');
+        }
+
+        const problems = [];
+        const ids = new Set();
+        const dragKeys = new Set();
+        const profiles = manifest.materialProfiles || {};
+
+        manifest.items.forEach((entry, index) => {
+            const where = entry && entry.id ? `"${entry.id}"` : `#${index}`;
+
+            if (!entry || typeof entry.id !== 'string' || !entry.id) {
+                problems.push(`item ${where} has no id`);
+                return;
+            }
+            if (ids.has(entry.id)) {
+                problems.push(`item ${where} is listed more than once`);
+            }
+            ids.add(entry.id);
+
+            if (typeof entry.model !== 'string' || !entry.model) {
+                problems.push(`item ${where} has no model path`);
+            }
+            if (entry.itemType && !window.FoodItemTypes.has(entry.itemType)) {
+                problems.push(`item ${where} uses unknown item type "${entry.itemType}"`);
+            }
+            if (entry.size !== undefined && !['x', 'y', 'z'].every(axis => entry.size[axis] > 0)) {
+                problems.push(`item ${where} has an invalid size (expected positive x, y and z)`);
+            }
+            if (entry.materialProfile && !profiles[entry.materialProfile]) {
+                problems.push(`item ${where} uses unknown material profile "${entry.materialProfile}"`);
+            }
+            if (entry.dragKey !== undefined) {
+                if (!/^[1-9]$/.test(String(entry.dragKey))) {
+                    problems.push(`item ${where} has drag key "${entry.dragKey}" (expected 1-9)`);
+                } else if (dragKeys.has(String(entry.dragKey))) {
+                    problems.push(`item ${where} reuses drag key ${entry.dragKey}`);
+                }
+                dragKeys.add(String(entry.dragKey));
+            }
+
+            entry.label = entry.label || entry.id;
+            entry.type = entry.type || 'generic';
+            entry.transform = entry.transform || {};
+            entry.metadata = entry.metadata || {};
+        });
+
+        if (manifest.fixtures) {
+            this.validateFixtures(manifest.fixtures, ids, problems);
+        }
+        if (manifest.doorBins) {
+            this.validateDoorBins(manifest.doorBins, ids, problems);
+        }
+        if (manifest.compartments) {
+            this.validateCompartments(manifest.compartments, problems);
+        }
+        if (manifest.slots) {
+            this.validateSlots(manifest.slots, ids, problems);
+        }
+        this.validateSlotItems(manifest, problems);
+
+        if (problems.length > 0) {
+            throw new Error(`Invalid scene manifest:\n - ${problems.join('\n - ')}`);
+        }
+
+        manifest.materialProfiles = profiles;
+        return manifest;
+    }
+
+    /**
+     * Check the shelves and drawers section (see js/fridgeFixtures.js)
+     * @param {Object} fixtures - { rails, items }
+     * @param {Set} ids - Item ids already used, fixture ids must not clash with them
+     * @param {Array} problems - Problems found are appended here
+     */
+    validateFixtures(fixtures, ids, problems) {
+        const rails = fixtures.rails || [];
+        if (!rails.every((height, index) => typeof height === 'number' && (index === 0 || height > rails[index - 1]))) {
+            problems.push('fixture rails must be increasing heights');
+        }
+
+        const usedRails = new Set();
+        (fixtures.items || []).forEach((fixture, index) => {
+            const where = fixture && fixture.id ? `"${fixture.id}"` : `#${index}`;
+
+            if (!fixture || typeof fixture.id !== 'string' || !fixture.id) {
+                problems.push(`fixture ${where} has no id`);
+                return;
+            }
+            if (ids.has(fixture.id)) {
+                problems.push(`fixture ${where} reuses an id`);
+            }
+            ids.add(fixture.id);
+
+            if (fixture.kind !== 'shelf' && fixture.kind !== 'drawer') {
+                problems.push(`fixture ${where} has kind "${fixture.kind}" (expected shelf or drawer)`);
+            }
+            if (!fixture.node && !(fixture.size && ['x', 'y', 'z'].every(axis => fixture.size[axis] > 0))) {
+                problems.push(`fixture ${where} needs a size or node rules`);
+            }
+            if (!fixture.node && !fixture.position) {
+                problems.push(`fixture ${where} needs a position or node rules`);
+            }
+            if (fixture.kind === 'shelf') {
+                if (!(fixture.rail >= 0 && fixture.rail < rails.length)) {
+                    problems.push(`fixture ${where} is on rail ${fixture.rail} (${rails.length} rails)`);
+                } else if (usedRails.has(fixture.rail)) {
+                    problems.push(`fixture ${where} shares rail ${fixture.rail} with another shelf`);
+                }
+                usedRails.add(fixture.rail);
+            }
+            if (fixture.kind === 'drawer' && fixture.travel !== undefined && !(fixture.travel > 0)) {
+                problems.push(`fixture ${where} has an invalid travel`);
+            }
+        });
+    }
+
+    /**
+     * Check the door bins section (see js/doorBins.js)
+     * @param {Array} bins - Bin entries
+     * @param {Set} ids - Item and fixture ids already used, bin ids must not clash with them
+     * @param {Array} problems - Problems found are appended here
+     */
+    validateDoorBins(bins, ids, problems) {
+        if (!Array.isArray(bins)) {
+            problems.push('"doorBins" must be an array');
+            return;
+        }
+
+        bins.forEach((bin, index) => {
+            const where = bin && bin.id ? `"${bin.id}"` : `#${index}`;
+
+            if (!bin || typeof bin.id !== 'string' || !bin.id) {
+                problems.push(`door bin ${where} has no id`);
+                return;
+            }
+            if (ids.has(bin.id)) {
+                problems.push(`door bin ${where} reuses an id`);
+            }
+            ids.add(bin.id);
+
+            if (typeof bin.door !== 'string' || !bin.door) {
+                problems.push(`door bin ${where} has no door part`);
+            }
+            if (!(bin.position && ['x', 'y', 'z'].every(axis => typeof bin.position[axis] === 'number'))) {
+                problems.push(`door bin ${where} needs a position`);
+            }
+            if (!(bin.size && ['x', 'y', 'z'].every(axis => bin.size[axis] > 0))) {
+                problems.push(`door bin ${where} needs a size`);
+            }
+        });
+    }
+
+    /**
+     * Check the compartments section (see js/dragCollision.js)
+     * @param {Array} compartments - { id, label, min, max, open } entries
+     * @param {Array} problems - Problems found are appended here
+     */
+    validateCompartments(compartments, problems) {
+        if (!Array.isArray(compartments)) {
+            problems.push('"compartments" must be an array');
+            return;
+        }
+
+        compartments.forEach((compartment, index) => {
+            const where = compartment && compartment.id ? `"${compartment.id}"` : `#${index}`;
+            const corners = compartment && compartment.min && compartment.max;
+
+            if (!corners || !['x', 'y', 'z'].every(axis => compartment.min[axis] < compartment.max[axis])) {
+                problems.push(`compartment ${where} needs min and max corners with min below max`);
+            }
+            const sides = ['-x', '+x', '-y', '+y', '-z', '+z'];
+            if (compartment && compartment.open !== undefined &&
+                !(Array.isArray(compartment.open) && compartment.open.every(side => sides.includes(side)))) {
+                problems.push(`compartment ${where} has invalid open sides (expected some of ${sides.join(', ')})`);
+            }
+        });
+    }
+
+    /**
+     * Check the slots section (see js/itemSlots.js)
+     * @param {Array} slots - Slot groups
+     * @param {Set} ids - Item, fixture and bin ids; containers must be one of them, group ids must not clash
+     * @param {Array} problems - Problems found are appended here
+     */
+    validateSlots(slots, ids, problems) {
+        if (!Array.isArray(slots)) {
+            problems.push('"slots" must be an array');
+            return;
+        }
+
+        const containers = new Set(ids);
+        slots.forEach((group, index) => {
+            const where = group && group.id ? `"${group.id}"` : `#${index}`;
+
+            if (!group || typeof group.id !== 'string' || !group.id) {
+                problems.push(`slots ${where} have no id`);
+                return;
+            }
+            if (ids.has(group.id)) {
+                problems.push(`slots ${where} reuse an id`);
+            }
+            ids.add(group.id);
+
+            if (!containers.has(group.container)) {
+                problems.push(`slots ${where} are in unknown container "${group.container}"`);
+            }
+            if (!(Array.isArray(group.accepts) && group.accepts.length > 0 && group.accepts.every(kind => typeof kind === 'string'))) {
+                problems.push(`slots ${where} need an "accepts" list of item kinds`);
+            }
+            if (!(Array.isArray(group.positions) && group.positions.length > 0 &&
+                group.positions.every(position => position && ['x', 'y', 'z'].every(axis => typeof position[axis] === 'number')))) {
+                problems.push(`slots ${where} need positions with x, y and z`);
+            }
+            if (group.radius !== undefined && !(group.radius > 0)) {
+                problems.push(`slots ${where} have an invalid radius`);
+            }
+        });
+    }
+
+    /**
+     * Check the items that start in a slot: the slot exists, takes the item and holds only it
+     * @param {Object} manifest - Manifest with its items and slots
+     * @param {Array} problems - Problems found are appended here
+     */
+    validateSlotItems(manifest, problems) {
+        const slots = new Map(); // Slot id -> group
+        (Array.isArray(manifest.slots) ? manifest.slots : []).forEach(group => {
+            (group && Array.isArray(group.positions) ? group.positions : []).forEach((position, index) => {
+                if (!(position && position.taken)) {
+                    slots.set(`${group.id}_${index + 1}`, group);
+                }
+            });
+        });
+
+        const used = new Set();
+        manifest.items.forEach(entry => {
+            if (!entry || entry.slot === undefined) return;
+
+            const group = slots.get(entry.slot);
+            const kind = entry.slotKind || entry.itemType;
+            if (!group) {
+                problems.push(`item "${entry.id}" is in unknown or taken slot "${entry.slot}"`);
+            } else if (!(Array.isArray(group.accepts) && group.accepts.includes(kind))) {
+                problems.push(`item "${entry.id}" (${kind}) does not fit slot "${entry.slot}"`);
+            }
+            if (used.has(entry.slot)) {
+                problems.push(`item "${entry.id}" shares slot "${entry.slot}" with another item`);
+            }
+            used.add(entry.slot);
+        });
+    }
+
+    /**
+     * Get the slots section of the loaded manifest
+     * @returns {Array} Slot groups, empty if the manifest has none
+     */
+    getSlots() {
+        return this.manifest && this.manifest.slots ? this.manifest.slots : [];
+    }
+
+    /**
+     * Get the compartments of the loaded manifest
+     * @returns {Array} Compartment entries, empty if the manifest has none
+     */
+    getCompartments() {
+        return this.manifest && this.manifest.compartments ? this.manifest.compartments : [];
+    }
+
+    /**
+     * Get the door bins section of the loaded manifest
+     * @returns {Array|null} Bin entries, or null if the manifest has none
+     */
+    getDoorBins() {
+        return this.manifest && this.manifest.doorBins ? this.manifest.doorBins : null;
+    }
+
+    /**
+     * Get the shelves and drawers section of the loaded manifest
+     * @returns {Object|null} { rails, items }, or null if the manifest has none
+     */
+    getFixtures() {
+        return this.manifest && this.manifest.fixtures ? this.manifest.fixtures : null;
+    }
+
+    /**
+     * Get all item entries of the loaded manifest
+     * @returns {Array} Manifest item entries
+     */
+    getEntries() {
+        return this.manifest ? this.manifest.items : [];
+    }
+
+    /**
+     * Decide the load queue priority of a manifest entry
+     * An explicit "loadPriority" wins, otherwise items inside the camera view load first
+     * @param {Object} entry - Manifest item entry
+     * @param {THREE.Frustum|null} frustum - View frustum of the camera, if known
+     * @returns {string} 'structural', 'visible' or 'hidden'
+     */
+    getLoadPriority(entry, frustum) {
+        if (entry.loadPriority) {
+            return entry.loadPriority;
+        }
+        if (!frustum) {
+            return 'visible';
+        }
+
+        const position = entry.transform.position || { x: 0, y: 0, z: 0 };
+        const point = new THREE.Vector3(position.x || 0, position.y || 0, position.z || 0);
+        return frustum.containsPoint(point) ? 'visible' : 'hidden';
+    }
+
+    /**
+     * Build an OptimizedModelLoader config from a manifest entry
+     * Rotations in the manifest are given in degrees
+     * @param {Object} entry - Manifest item entry
+     * @returns {Object} Model loader configuration
+     */
+    createModelConfig(entry) {
+        const transform = entry.transform;
+        const rotation = transform.rotation || { x: 0, y: 0, z: 0 };
+
+        const config = {
+            name: entry.id,
+            label: entry.label,
+            path: entry.model,
+            scale: transform.scale || { x: 1, y: 1, z: 1 },
+            position: transform.position || { x: 0, y: 0, z: 0 },
+            rotation: {
+                x: THREE.MathUtils.degToRad(rotation.x || 0),
+                y: THREE.MathUtils.degToRad(rotation.y || 0),
+                z: THREE.MathUtils.degToRad(rotation.z || 0)
+            },
+            enableShadows: entry.enableShadows !== false,
+            processMaterials: true,
+            priority: entry.loadPriority || 'visible'
+        };
+
+        // Approximate world size, used for the placeholder if the model fails to load
+        if (entry.size) {
+            config.size = entry.size;
+        }
+
+        // Draco / meshopt / KTX2 decoders this model needs
+        if (entry.compression) {
+            config.compression = entry.compression;
+        }
+
+        // Repeated single-mesh models can be drawn from one InstancedMesh
+        if (entry.instanced) {
+            config.instanced = true;
+            config.instanceGroup = entry.instanceGroup;
+            config.instanceColor = entry.instanceColor;
+        }
+
+        // Items that name no material profile get the manifest's "default" profile, if it has one
+        const profile = this.manifest.materialProfiles[entry.materialProfile || 'default'];
+        if (profile) {
+            config.materialConfig = { ...profile };
+        }
+
+        return config;
+    }
+
+    /**
+     * Load every manifest item through the model loader's queue
+     * @param {Object} [options] - Load options
+     * @param {THREE.Camera} [options.camera] - Items in this camera's view get a higher priority
+     * @param {AbortSignal} [options.signal] - Cancels the items that have not loaded yet
+     * @returns {Promise<Array>} Item objects in manifest order (null for failed or cancelled items)
+     */
+    async loadAll(options = {}) {
+        let frustum = null;
+        if (options.camera) {
+            const camera = options.camera;
+            camera.updateMatrixWorld();
+            frustum = new THREE.Frustum().setFromProjectionMatrix(
+                new THREE.Matrix4().multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse)
+            );
+        }
+
+        return Promise.all(this.getEntries().map(entry => this.loadItem(entry, {
+            priority: this.getLoadPriority(entry, frustum),
+            signal: options.signal
+        })));
+    }
+
+    /**
+     * Load, register and tag a single manifest item
+     * Entries with an itemType become FoodItems, other entries are loaded as plain models
+     * @param {Object} entry - Manifest item entry
+     * @param {Object} [options] - Load options
+     * @param {string} [options.priority] - Load queue priority, overrides the entry's own
+     * @param {AbortSignal} [options.signal] - Cancels the load
+     * @returns {Promise<THREE.Object3D|null>} The item object, or null if nothing could be created
+     */
+    async loadItem(entry, options = {}) {
+        const record = { entry, item: null, object: null };
+        this.items.set(entry.id, record);
+
+        const config = this.createModelConfig(entry);
+        if (options.priority) {
+            config.priority = options.priority;
+        }
+        const loadOptions = { signal: options.signal };
+
+        try {
+            if (entry.itemType) {
+                record.item = window.FoodItemTypes.create(this.foodObjectManager, this.modelLoader, {
+                    ...config,
+                    id: entry.id,
+                    label: entry.label,
+                    type: entry.type,
+                    itemType: entry.itemType,
+                    itemClass: entry.itemClass,
+                    interactable: entry.interactable,
+                    metadata: { manifestId: entry.id, slotKind: entry.slotKind || entry.itemType, ...entry.metadata },
+                    materials: entry.materials,
+                    options: entry.options,
+                    highlight: entry.highlight,
+                    fallback: entry.fallback
+                });
+                record.object = await record.item.load(loadOptions);
+            } else {
+                let isPlaceholder = false;
+                try {
+                    record.object = await this.modelLoader.loadModel(config, loadOptions);
+                } catch (error) {
+                    if (error.isCancelled) throw error;
+                    record.object = this.modelLoader.createPlaceholder(config, error);
+                    isPlaceholder = true;
+                }
+                this.foodObjectManager.registerFoodObject(entry.id, record.object, {
+                    type: entry.type,
+                    interactable: entry.interactable !== false,
+                    manifestId: entry.id,
+                    label: entry.label,
+                    slotKind: entry.slotKind,
+                    ...entry.metadata,
+                    ...(isPlaceholder ? { isFallback: true } : {})
+                });
+            }
+        } catch (error) {
+            if (error.isCancelled) {
+                this.items.delete(entry.id);
+                return null;
+            }
+            console.error(`❌ Manifest item ${entry.id} failed to load:`, error);
+        }
+
+        if (record.object) {
+            record.object.userData.name = entry.label;
+            record.object.userData.manifestId = entry.id;
+            if (entry.dragKey !== undefined) {
+                record.object.userData.dragKey = String(entry.dragKey);
+            }
+        }
+
+        return record.object;
+    }
+
+    /**
+     * Get the FoodItem created for a manifest item
+     * @param {string} id - Manifest item id
+     * @returns {FoodItem|null} The food item, or null for plain model entries
+     */
+    getItem(id) {
+        const record = this.items.get(id);
+        return record ? record.item : null;
+    }
+
+    /**
+     * Get the object created for a manifest item
+     * @param {string} id - Manifest item id
+     * @returns {THREE.Object3D|null} The item object
+     */
+    getItemObject(id) {
+        const record = this.items.get(id);
+        return record ? record.object : null;
+    }
+
+    /**
+     * Get all item objects that were created
+     * @returns {Array} Array of THREE.Object3D
+     */
+    getLoadedObjects() {
+        return Array.from(this.items.values())
+            .map(record => record.object)
+            .filter(object => object);
+    }
+
+    /**
+     * Get the objects that should be handed to the drag controls
+     * @returns {Array} Array of THREE.Object3D
+     */
+    getDragObjects() {
+        return Array.from(this.items.values())
+            .filter(record => record.object && record.entry.draggable !== false)
+            .map(record => record.object);
+    }
+}
+
+// Make SceneManifest available globally
+window.SceneManifest = SceneManifest;